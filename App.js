@@ -4,7 +4,7 @@
  */
 
 import 'react-native-gesture-handler';
-import React from 'react';
+import React, { useEffect } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
 import { Provider as PaperProvider, MD3LightTheme } from 'react-native-paper';
@@ -14,6 +14,21 @@ import { StatusBar } from 'expo-status-bar';
 import SemesterScreen from './src/screens/SemesterScreen';
 import SubjectScreen from './src/screens/SubjectScreen';
 import TaskScreen from './src/screens/TaskScreen';
+import SettingsScreen from './src/screens/SettingsScreen';
+import AgendaScreen from './src/screens/AgendaScreen';
+import CalendarScreen from './src/screens/CalendarScreen';
+import BackupScreen from './src/screens/BackupScreen';
+import CalendarExportScreen from './src/screens/CalendarExportScreen';
+import ImportTasksScreen from './src/screens/ImportTasksScreen';
+import SearchScreen from './src/screens/SearchScreen';
+import TrashScreen from './src/screens/TrashScreen';
+import StatsScreen from './src/screens/StatsScreen';
+import NewSemesterFromScreen from './src/screens/NewSemesterFromScreen';
+import TimetableScreen from './src/screens/TimetableScreen';
+import GradesScreen from './src/screens/GradesScreen';
+import AttendanceScreen from './src/screens/AttendanceScreen';
+import { startReminderSync } from './src/utils/notifications';
+import { purgeExpiredTrash } from './src/utils/trash';
 
 const Stack = createStackNavigator();
 
@@ -42,6 +57,14 @@ const theme = {
  * Sets up navigation and theme for the entire application
  */
 export default function App() {
+  // Keep task reminders scheduled as local notifications
+  useEffect(() => startReminderSync(), []);
+
+  // Deleted items are kept in the trash for a limited time only
+  useEffect(() => {
+    purgeExpiredTrash();
+  }, []);
+
   return (
     <PaperProvider theme={theme}>
       <NavigationContainer>
@@ -73,6 +96,71 @@ export default function App() {
             name="Tasks" 
             component={TaskScreen}
           />
+          <Stack.Screen 
+            name="Agenda" 
+            component={AgendaScreen}
+            options={{ title: 'Agenda' }}
+          />
+          <Stack.Screen 
+            name="Calendar" 
+            component={CalendarScreen}
+            options={{ title: 'Calendar' }}
+          />
+          <Stack.Screen 
+            name="Settings" 
+            component={SettingsScreen}
+            options={{ title: 'Settings' }}
+          />
+          <Stack.Screen 
+            name="Backup" 
+            component={BackupScreen}
+            options={{ title: 'Backup & Restore' }}
+          />
+          <Stack.Screen 
+            name="CalendarExport" 
+            component={CalendarExportScreen}
+            options={{ title: 'Export to Calendar' }}
+          />
+          <Stack.Screen 
+            name="ImportTasks" 
+            component={ImportTasksScreen}
+            options={{ title: 'Import Tasks' }}
+          />
+          <Stack.Screen 
+            name="Search" 
+            component={SearchScreen}
+            options={{ title: 'Search' }}
+          />
+          <Stack.Screen 
+            name="Trash" 
+            component={TrashScreen}
+            options={{ title: 'Trash' }}
+          />
+          <Stack.Screen 
+            name="Stats" 
+            component={StatsScreen}
+            options={{ title: 'Stats' }}
+          />
+          <Stack.Screen 
+            name="NewSemesterFrom" 
+            component={NewSemesterFromScreen}
+            options={{ title: 'New Semester From…' }}
+          />
+          <Stack.Screen 
+            name="Timetable" 
+            component={TimetableScreen}
+            options={{ title: 'Timetable' }}
+          />
+          <Stack.Screen 
+            name="Grades" 
+            component={GradesScreen}
+            options={{ title: 'Grades' }}
+          />
+          <Stack.Screen 
+            name="Attendance" 
+            component={AttendanceScreen}
+            options={{ title: 'Attendance' }}
+          />
         </Stack.Navigator>
       </NavigationContainer>
     </PaperProvider>
@@ -0,0 +1,158 @@
+import React, { useState, useRef } from 'react';
+import { View, ScrollView, PanResponder, StyleSheet } from 'react-native';
+import useLatestRef from '../hooks/useLatestRef';
+
+/**
+ * Move an item of a list to another position
+ * @returns {Array} New list
+ */
+const moveItem = (list, from, to) => {
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+};
+
+/**
+ * DraggableList Component
+ * A scrolling list whose rows can be long-pressed and dragged into a new order
+ * @param {Array} data - Items in their current order
+ * @param {Function} keyExtractor - Returns a unique key for an item
+ * @param {Function} renderItem - Renders ({ item, index, drag, isActive }); call `drag`
+ *   from the row's onLongPress to pick it up
+ * @param {Function} onReorder - Called with the items in their new order after a drop
+ * @param {boolean} enabled - Whether rows can be picked up (default true)
+ */
+export default function DraggableList({
+  data,
+  keyExtractor,
+  renderItem,
+  onReorder,
+  enabled = true,
+  contentContainerStyle,
+  ListHeaderComponent,
+  ListEmptyComponent,
+  ListFooterComponent,
+}) {
+  // Drag state: index of the lifted row, vertical offset and the slot it would drop into
+  const [activeIndex, setActiveIndex] = useState(null);
+  const [offset, setOffset] = useState(0);
+  const [targetIndex, setTargetIndex] = useState(null);
+
+  const layouts = useRef({});
+  const drag = useRef(null);
+
+  /**
+   * Work out which slot the lifted row is over
+   */
+  const findTarget = (dy) => {
+    const { index } = drag.current;
+    const active = layouts.current[index];
+    if (!active) return index;
+    const center = active.y + active.height / 2 + dy;
+    let target = 0;
+    data.forEach((item, i) => {
+      const layout = layouts.current[i];
+      if (i !== index && layout && layout.y + layout.height / 2 < center) target++;
+    });
+    return target;
+  };
+
+  /**
+   * Drop the lifted row, reordering the list when it moved
+   */
+  const endDrag = () => {
+    if (!drag.current) return;
+    const { index, target } = drag.current;
+    drag.current = null;
+    setActiveIndex(null);
+    setTargetIndex(null);
+    setOffset(0);
+    if (target !== index) {
+      onReorder(moveItem(data, index, target));
+    }
+  };
+
+  /**
+   * Follow the finger with the lifted row
+   */
+  const moveDrag = (dy) => {
+    if (!drag.current) return;
+    drag.current.target = findTarget(dy);
+    setOffset(dy);
+    setTargetIndex(drag.current.target);
+  };
+
+  const handlers = useLatestRef({ moveDrag, endDrag });
+
+  // Once a row is lifted, the list takes over the touch so the row follows the finger
+  const panResponder = useRef(PanResponder.create({
+    onMoveShouldSetPanResponderCapture: () => drag.current !== null,
+    onPanResponderTerminationRequest: () => false,
+    onPanResponderMove: (event, gesture) => handlers.current.moveDrag(gesture.dy),
+    onPanResponderRelease: () => handlers.current.endDrag(),
+    onPanResponderTerminate: () => handlers.current.endDrag(),
+  })).current;
+
+  /**
+   * Lift a row; called from the row's long press
+   */
+  const startDrag = (index) => {
+    if (!enabled) return;
+    drag.current = { index, target: index };
+    setActiveIndex(index);
+    setTargetIndex(index);
+    setOffset(0);
+  };
+
+  /**
+   * How far a row moves aside to make room for the lifted one
+   */
+  const getShift = (index) => {
+    if (activeIndex === null || index === activeIndex) return 0;
+    const height = layouts.current[activeIndex] ? layouts.current[activeIndex].height : 0;
+    if (activeIndex < index && index <= targetIndex) return -height;
+    if (targetIndex <= index && index < activeIndex) return height;
+    return 0;
+  };
+
+  return (
+    <ScrollView
+      contentContainerStyle={contentContainerStyle}
+      scrollEnabled={activeIndex === null}
+      keyboardShouldPersistTaps="handled"
+      {...panResponder.panHandlers}
+    >
+      {ListHeaderComponent}
+      {data.length === 0 && ListEmptyComponent}
+      {data.map((item, index) => {
+        const isActive = index === activeIndex;
+        return (
+          <View
+            key={keyExtractor(item)}
+            onLayout={(event) => {
+              layouts.current[index] = event.nativeEvent.layout;
+            }}
+            // A long press that ends without moving never hands the touch to the list
+            onTouchEnd={() => handlers.current.endDrag()}
+            style={[
+              { transform: [{ translateY: isActive ? offset : getShift(index) }] },
+              isActive && styles.activeRow
+            ]}
+          >
+            {renderItem({ item, index, isActive, drag: () => startDrag(index) })}
+          </View>
+        );
+      })}
+      {ListFooterComponent}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  activeRow: {
+    zIndex: 10,
+    elevation: 8,
+    opacity: 0.9,
+  },
+});
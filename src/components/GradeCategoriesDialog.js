@@ -0,0 +1,173 @@
+import React, { useState, useEffect } from 'react';
+import { View, ScrollView, StyleSheet } from 'react-native';
+import {
+  Portal,
+  Dialog,
+  TextInput,
+  Button,
+  IconButton,
+  Text
+} from 'react-native-paper';
+import { generateId } from '../utils/id';
+
+// Offered when a subject has no categories yet
+const EXAMPLE_CATEGORIES = [
+  { name: 'Homework', weight: '20' },
+  { name: 'Midterm', weight: '30' },
+  { name: 'Final', weight: '50' },
+];
+
+/**
+ * GradeCategoriesDialog Component
+ * Edits a subject's weighted grading categories, e.g. homework 20%, midterm 30%, final 50%
+ * @param {boolean} visible - Whether the dialog is shown
+ * @param {Object|null} subject - Subject whose categories are edited
+ * @param {Function} onDismiss - Called when the dialog is closed without saving
+ * @param {Function} onSubmit - Called with [{ id, name, weight }]; when it throws, the
+ *   dialog stays open and shows the error
+ */
+export default function GradeCategoriesDialog({ visible, subject, onDismiss, onSubmit }) {
+  // Form state
+  const [categories, setCategories] = useState([]);
+  const [error, setError] = useState('');
+
+  /**
+   * Fill the form from the subject each time the dialog opens
+   */
+  useEffect(() => {
+    if (!visible || !subject) return;
+    setCategories((subject.gradeCategories || []).map(c => ({ ...c, weight: String(c.weight) })));
+    setError('');
+  }, [visible, subject]);
+
+  const total = categories.reduce((sum, c) => sum + (parseFloat(c.weight) || 0), 0);
+
+  /**
+   * Merge a change into one category
+   */
+  const updateCategory = (categoryId, changes) => {
+    setCategories(prev => prev.map(c => (c.id === categoryId ? { ...c, ...changes } : c)));
+    setError('');
+  };
+
+  /**
+   * Hand the categories to the screen, keeping the dialog open when they are invalid
+   */
+  const handleSubmit = async () => {
+    try {
+      await onSubmit(categories);
+    } catch (submitError) {
+      setError(submitError.message);
+    }
+  };
+
+  return (
+    <Portal>
+      <Dialog visible={visible} onDismiss={onDismiss}>
+        <Dialog.Title>Grading categories</Dialog.Title>
+        <Dialog.ScrollArea style={styles.scrollArea}>
+          <ScrollView keyboardShouldPersistTaps="handled">
+            <Text style={styles.hint}>
+              Each category counts with its weight. Without categories the grade is the total of all points.
+            </Text>
+            {categories.map(category => (
+              <View key={category.id} style={styles.row}>
+                <TextInput
+                  label="Category"
+                  value={category.name}
+                  onChangeText={name => updateCategory(category.id, { name })}
+                  mode="outlined"
+                  dense
+                  style={styles.nameInput}
+                />
+                <TextInput
+                  label="%"
+                  value={category.weight}
+                  onChangeText={weight => updateCategory(category.id, { weight })}
+                  mode="outlined"
+                  dense
+                  keyboardType="decimal-pad"
+                  style={styles.weightInput}
+                />
+                <IconButton
+                  icon="delete-outline"
+                  size={20}
+                  onPress={() => setCategories(prev => prev.filter(c => c.id !== category.id))}
+                />
+              </View>
+            ))}
+            <View style={styles.buttonRow}>
+              <Button
+                icon="plus"
+                mode="text"
+                onPress={() => setCategories(prev => [...prev, { id: generateId('cat'), name: '', weight: '' }])}
+              >
+                Add category
+              </Button>
+              {categories.length === 0 && (
+                <Button
+                  mode="text"
+                  onPress={() => setCategories(EXAMPLE_CATEGORIES.map(c => ({ ...c, id: generateId('cat') })))}
+                >
+                  Use example
+                </Button>
+              )}
+            </View>
+            {categories.length > 0 && (
+              <Text style={[styles.total, Math.abs(total - 100) > 0.01 && styles.totalOff]}>
+                {`Total ${Math.round(total * 100) / 100}%`}
+                {Math.abs(total - 100) > 0.01 ? ' – weights are scaled to 100%' : ''}
+              </Text>
+            )}
+            {error ? <Text style={styles.error}>{error}</Text> : null}
+          </ScrollView>
+        </Dialog.ScrollArea>
+        <Dialog.Actions>
+          <Button onPress={onDismiss}>Cancel</Button>
+          <Button onPress={handleSubmit}>Save</Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+}
+
+const styles = StyleSheet.create({
+  scrollArea: {
+    maxHeight: 480,
+    paddingHorizontal: 24,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#64748B',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  nameInput: {
+    flex: 1,
+    marginRight: 8,
+  },
+  weightInput: {
+    width: 72,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+  },
+  total: {
+    fontSize: 13,
+    color: '#10B981',
+    marginBottom: 8,
+  },
+  totalOff: {
+    color: '#B45309',
+  },
+  error: {
+    fontSize: 12,
+    color: '#EF4444',
+    marginBottom: 8,
+  },
+});
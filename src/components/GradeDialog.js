@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet } from 'react-native';
+import {
+  Portal,
+  Dialog,
+  TextInput,
+  Button,
+  Chip,
+  Text
+} from 'react-native-paper';
+import { DEFAULT_MAX_SCORE, parseScore, isGraded } from '../utils/grades';
+
+/**
+ * GradeDialog Component
+ * Records the score of a task and the grading category it counts towards
+ * @param {boolean} visible - Whether the dialog is shown
+ * @param {Object|null} task - Task being graded
+ * @param {Array} categories - Grading categories of the task's subject
+ * @param {Function} onDismiss - Called when the dialog is closed without saving
+ * @param {Function} onSubmit - Called with { score, maxScore, category } (score null to
+ *   clear the grade); when it throws, the dialog stays open and shows the error
+ */
+export default function GradeDialog({ visible, task, categories, onDismiss, onSubmit }) {
+  // Form state
+  const [score, setScore] = useState('');
+  const [maxScore, setMaxScore] = useState('');
+  const [category, setCategory] = useState(null);
+  const [error, setError] = useState('');
+
+  /**
+   * Fill the form from the task each time the dialog opens
+   */
+  useEffect(() => {
+    if (!visible || !task) return;
+    setScore(isGraded(task) ? String(task.score) : '');
+    setMaxScore(String(task.maxScore || DEFAULT_MAX_SCORE));
+    setCategory(task.category || null);
+    setError('');
+  }, [visible, task]);
+
+  /**
+   * Hand the grade to the screen, keeping the dialog open when it is invalid
+   */
+  const submit = async (grade) => {
+    try {
+      await onSubmit(grade);
+    } catch (submitError) {
+      setError(submitError.message);
+    }
+  };
+
+  /**
+   * Check the typed numbers before saving
+   */
+  const handleSubmit = () => {
+    const parsedScore = parseScore(score);
+    const parsedMax = parseScore(maxScore);
+    if (score.trim() && parsedScore === null) {
+      setError('Enter the score as a number');
+      return;
+    }
+    if (!(parsedMax > 0)) {
+      setError('The maximum score must be more than 0');
+      return;
+    }
+    submit({ score: parsedScore, maxScore: parsedMax, category });
+  };
+
+  return (
+    <Portal>
+      <Dialog visible={visible} onDismiss={onDismiss}>
+        <Dialog.Title>Grade</Dialog.Title>
+        <Dialog.Content>
+          <Text style={styles.taskTitle}>{task ? task.title : ''}</Text>
+          <View style={styles.scoreRow}>
+            <TextInput
+              label="Score"
+              value={score}
+              onChangeText={(text) => {
+                setScore(text);
+                setError('');
+              }}
+              mode="outlined"
+              keyboardType="decimal-pad"
+              style={styles.scoreInput}
+            />
+            <Text style={styles.outOf}>out of</Text>
+            <TextInput
+              label="Max"
+              value={maxScore}
+              onChangeText={(text) => {
+                setMaxScore(text);
+                setError('');
+              }}
+              mode="outlined"
+              keyboardType="decimal-pad"
+              style={styles.scoreInput}
+            />
+          </View>
+          <Text style={styles.hint}>Leave the score empty until the task is graded.</Text>
+
+          {/* Category selection (tap the selected chip again to clear it) */}
+          {categories.length > 0 && (
+            <>
+              <Text style={styles.label}>Category</Text>
+              <View style={styles.chipRow}>
+                {categories.map(option => (
+                  <Chip
+                    key={option.id}
+                    selected={category === option.id}
+                    onPress={() => setCategory(category === option.id ? null : option.id)}
+                    style={styles.chip}
+                  >
+                    {`${option.name} · ${option.weight}%`}
+                  </Chip>
+                ))}
+              </View>
+            </>
+          )}
+          {error ? <Text style={styles.error}>{error}</Text> : null}
+        </Dialog.Content>
+        <Dialog.Actions>
+          {task && isGraded(task) && (
+            <Button onPress={() => submit({ score: null, category })}>Clear grade</Button>
+          )}
+          <Button onPress={onDismiss}>Cancel</Button>
+          <Button onPress={handleSubmit}>Save</Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+}
+
+const styles = StyleSheet.create({
+  taskTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#1E293B',
+    marginBottom: 8,
+  },
+  scoreRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  scoreInput: {
+    flex: 1,
+  },
+  outOf: {
+    marginHorizontal: 12,
+    color: '#64748B',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#64748B',
+    marginTop: 4,
+  },
+  label: {
+    fontSize: 14,
+    marginTop: 16,
+    marginBottom: 8,
+    color: '#64748B',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  error: {
+    fontSize: 12,
+    color: '#EF4444',
+    marginTop: 8,
+  },
+});
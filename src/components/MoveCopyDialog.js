@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react';
+import { View, ScrollView, StyleSheet } from 'react-native';
+import {
+  Portal,
+  Dialog,
+  TextInput,
+  Button,
+  Chip,
+  Text
+} from 'react-native-paper';
+import { getOrderedSubjects } from '../utils/ordering';
+import { isArchived } from '../utils/semesters';
+import useStore from '../hooks/useStore';
+
+/**
+ * MoveCopyDialog Component
+ * Picks where a task (semester and subject) or a subject (semester) is moved or copied to
+ * @param {boolean} visible - Whether the dialog is shown
+ * @param {string} action - 'move' or 'copy'
+ * @param {string} kind - 'task' or 'subject'
+ * @param {Object|null} item - Task or subject being moved or copied
+ * @param {string} semesterId - Semester the item is in
+ * @param {string} subjectId - Subject the task is in (tasks only)
+ * @param {Function} onDismiss - Called when the dialog is closed without saving
+ * @param {Function} onSubmit - Called with { semesterId, subjectId, name }; when it
+ *   throws, the dialog stays open and shows the error
+ */
+export default function MoveCopyDialog({
+  visible,
+  action,
+  kind,
+  item,
+  semesterId,
+  subjectId,
+  onDismiss,
+  onSubmit,
+}) {
+  // Archived semesters are read-only, so they can't receive anything
+  const semesters = useStore(state => state.semesters.filter(s => !isArchived(s)));
+  const data = useStore(state => state.data);
+
+  // Form state
+  const [targetSemesterId, setTargetSemesterId] = useState(null);
+  const [targetSubjectId, setTargetSubjectId] = useState(null);
+  const [name, setName] = useState('');
+  const [error, setError] = useState('');
+
+  /**
+   * Start from the item's current place each time the dialog opens, unless it is archived
+   */
+  useEffect(() => {
+    if (!visible) return;
+    const canStay = semesters.some(s => s.id === semesterId);
+    setTargetSemesterId(canStay ? semesterId : null);
+    setTargetSubjectId(kind === 'task' && canStay ? subjectId : null);
+    setName(kind === 'subject' && item ? item.name : '');
+    setError('');
+  }, [visible, item]);
+
+  const isTask = kind === 'task';
+  const targetSubjects = getOrderedSubjects(data[targetSemesterId]);
+  const isCurrentPlace = isTask
+    ? targetSemesterId === semesterId && targetSubjectId === subjectId
+    : targetSemesterId === semesterId;
+  const isNoOp = action === 'move' && isCurrentPlace;
+  // Same rule as renaming: subject names are unique within a semester
+  const nameTaken = !isTask && !isNoOp && targetSubjects.some(s => s.name === name.trim());
+  const canSubmit = targetSemesterId
+    && (isTask ? targetSubjectId : name.trim())
+    && !isNoOp
+    && !nameTaken;
+
+  /**
+   * Choose the target semester; a task then needs a subject from that semester
+   */
+  const selectSemester = (id) => {
+    setTargetSemesterId(id);
+    setTargetSubjectId(null);
+    setError('');
+  };
+
+  /**
+   * Hand the chosen place to the screen, keeping the dialog open when it fails
+   */
+  const handleSubmit = async () => {
+    if (!canSubmit) return;
+    try {
+      await onSubmit({
+        semesterId: targetSemesterId,
+        subjectId: targetSubjectId,
+        name: isTask ? undefined : name.trim(),
+      });
+    } catch (submitError) {
+      setError(submitError.message);
+    }
+  };
+
+  const itemName = item ? (isTask ? item.title : item.name) : '';
+  const verb = action === 'copy' ? 'Copy' : 'Move';
+
+  return (
+    <Portal>
+      <Dialog visible={visible} onDismiss={onDismiss}>
+        <Dialog.Title>{`${verb} ${isTask ? 'task' : 'subject'}`}</Dialog.Title>
+        <Dialog.ScrollArea style={styles.scrollArea}>
+          <ScrollView keyboardShouldPersistTaps="handled">
+            <Text style={styles.itemName}>{itemName}</Text>
+
+            {/* Target semester */}
+            <Text style={styles.label}>Semester</Text>
+            <View style={styles.chipRow}>
+              {semesters.map(semester => (
+                <Chip
+                  key={semester.id}
+                  selected={targetSemesterId === semester.id}
+                  onPress={() => selectSemester(semester.id)}
+                  style={styles.chip}
+                >
+                  {semester.name}
+                </Chip>
+              ))}
+            </View>
+
+            {/* Target subject (tasks) or name in the target semester (subjects) */}
+            {isTask ? (
+              <>
+                <Text style={styles.label}>Subject</Text>
+                {targetSubjects.length === 0 && (
+                  <Text style={styles.hint}>This semester has no subjects yet.</Text>
+                )}
+                <View style={styles.chipRow}>
+                  {targetSubjects.map(subject => (
+                    <Chip
+                      key={subject.id}
+                      selected={targetSubjectId === subject.id}
+                      onPress={() => {
+                        setTargetSubjectId(subject.id);
+                        setError('');
+                      }}
+                      style={styles.chip}
+                      selectedColor={subject.colorTag}
+                    >
+                      {subject.name}
+                    </Chip>
+                  ))}
+                </View>
+              </>
+            ) : (
+              <TextInput
+                label="Subject Name"
+                value={name}
+                onChangeText={(text) => {
+                  setName(text);
+                  setError('');
+                }}
+                mode="outlined"
+                style={styles.input}
+              />
+            )}
+
+            {isNoOp && (
+              <Text style={styles.hint}>{`The ${isTask ? 'task' : 'subject'} is already here.`}</Text>
+            )}
+            {nameTaken && (
+              <Text style={styles.error}>
+                A subject with this name already exists in this semester. Choose another name.
+              </Text>
+            )}
+            {error ? <Text style={styles.error}>{error}</Text> : null}
+          </ScrollView>
+        </Dialog.ScrollArea>
+        <Dialog.Actions>
+          <Button onPress={onDismiss}>Cancel</Button>
+          <Button onPress={handleSubmit} disabled={!canSubmit}>{verb}</Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+}
+
+const styles = StyleSheet.create({
+  scrollArea: {
+    maxHeight: 480,
+    paddingHorizontal: 24,
+  },
+  itemName: {
+    marginTop: 12,
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#1E293B',
+  },
+  label: {
+    marginTop: 12,
+    marginBottom: 4,
+    fontSize: 14,
+    color: '#64748B',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  input: {
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#64748B',
+    marginBottom: 8,
+  },
+  error: {
+    fontSize: 12,
+    color: '#EF4444',
+    marginBottom: 8,
+  },
+});
@@ -0,0 +1,188 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, Platform } from 'react-native';
+import { Chip, TextInput, Button, Text } from 'react-native-paper';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { WEEKDAYS, describeRule } from '../utils/recurrence';
+import { parseDateKey, toDateKey } from '../utils/dates';
+
+// Weekday chips shown Monday first
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+/**
+ * RecurrenceEditor Component
+ * Form section of the task dialog for choosing how a task repeats
+ * @param {Object|null} value - Current recurrence rule, or null for a one-off task
+ * @param {Function} onChange - Called with the new rule (or null)
+ * @param {string} dueDate - Due date of the task ("YYYY-MM-DD"), used for defaults
+ */
+export default function RecurrenceEditor({ value, onChange, dueDate }) {
+  const [showUntilPicker, setShowUntilPicker] = useState(false);
+  const rule = value;
+
+  /**
+   * Merge a change into the current rule
+   */
+  const update = (changes) => onChange({ ...rule, ...changes });
+
+  /**
+   * Switch between no repeat, daily and weekly
+   */
+  const setFrequency = (freq) => {
+    if (!freq) {
+      onChange(null);
+      return;
+    }
+    const due = parseDateKey(dueDate) || new Date();
+    onChange({
+      freq,
+      interval: rule ? rule.interval : 1,
+      byWeekday: freq === 'weekly' ? [due.getDay()] : [],
+      until: rule ? rule.until : null,
+      count: rule ? rule.count : null,
+    });
+  };
+
+  /**
+   * Add or remove a weekday from a weekly rule
+   */
+  const toggleWeekday = (day) => {
+    const days = rule.byWeekday || [];
+    const next = days.includes(day) ? days.filter(d => d !== day) : [...days, day];
+    // A weekly rule always needs at least one day
+    if (next.length > 0) update({ byWeekday: next });
+  };
+
+  /**
+   * Choose how the series ends
+   */
+  const setEnd = (end) => {
+    if (end === 'never') update({ until: null, count: null });
+    if (end === 'until') update({ until: rule.until || dueDate, count: null });
+    if (end === 'count') update({ until: null, count: rule.count || 10 });
+  };
+
+  /**
+   * Handle date picker changes for the end date
+   */
+  const onUntilChange = (event, selectedDate) => {
+    setShowUntilPicker(Platform.OS === 'ios');
+    if (selectedDate) {
+      update({ until: toDateKey(selectedDate) });
+    }
+  };
+
+  const end = !rule ? null : rule.until ? 'until' : rule.count ? 'count' : 'never';
+
+  return (
+    <View>
+      <Text style={styles.label}>Repeat</Text>
+      <View style={styles.chipRow}>
+        <Chip selected={!rule} onPress={() => setFrequency(null)} style={styles.chip}>Never</Chip>
+        <Chip
+          selected={rule && rule.freq === 'daily'}
+          onPress={() => setFrequency('daily')}
+          style={styles.chip}
+        >
+          Daily
+        </Chip>
+        <Chip
+          selected={rule && rule.freq === 'weekly'}
+          onPress={() => setFrequency('weekly')}
+          style={styles.chip}
+        >
+          Weekly
+        </Chip>
+      </View>
+
+      {rule && (
+        <>
+          <TextInput
+            label={rule.freq === 'daily' ? 'Every N days' : 'Every N weeks'}
+            value={String(rule.interval || 1)}
+            onChangeText={text => update({ interval: Math.max(1, parseInt(text, 10) || 1) })}
+            mode="outlined"
+            keyboardType="number-pad"
+            dense
+            style={styles.input}
+          />
+
+          {/* Weekdays for weekly rules */}
+          {rule.freq === 'weekly' && (
+            <View style={styles.chipRow}>
+              {WEEKDAY_ORDER.map(day => (
+                <Chip
+                  key={day}
+                  compact
+                  selected={(rule.byWeekday || []).includes(day)}
+                  onPress={() => toggleWeekday(day)}
+                  style={styles.chip}
+                >
+                  {WEEKDAYS[day]}
+                </Chip>
+              ))}
+            </View>
+          )}
+
+          {/* End of the series */}
+          <Text style={styles.label}>Ends</Text>
+          <View style={styles.chipRow}>
+            <Chip selected={end === 'never'} onPress={() => setEnd('never')} style={styles.chip}>Never</Chip>
+            <Chip selected={end === 'until'} onPress={() => setEnd('until')} style={styles.chip}>On date</Chip>
+            <Chip selected={end === 'count'} onPress={() => setEnd('count')} style={styles.chip}>After</Chip>
+          </View>
+          {end === 'until' && (
+            <Button mode="outlined" onPress={() => setShowUntilPicker(true)} style={styles.input}>
+              Until: {rule.until}
+            </Button>
+          )}
+          {showUntilPicker && (
+            <DateTimePicker
+              value={parseDateKey(rule.until) || new Date()}
+              mode="date"
+              display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+              onChange={onUntilChange}
+            />
+          )}
+          {end === 'count' && (
+            <TextInput
+              label="Occurrences"
+              value={String(rule.count)}
+              onChangeText={text => update({ count: Math.max(1, parseInt(text, 10) || 1) })}
+              mode="outlined"
+              keyboardType="number-pad"
+              dense
+              style={styles.input}
+            />
+          )}
+          <Text style={styles.summary}>{describeRule(rule)}</Text>
+        </>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  label: {
+    fontSize: 14,
+    marginTop: 16,
+    marginBottom: 8,
+    color: '#64748B',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  input: {
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  summary: {
+    fontSize: 12,
+    fontStyle: 'italic',
+    color: '#64748B',
+  },
+});
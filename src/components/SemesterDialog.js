@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, Platform } from 'react-native';
+import {
+  Portal,
+  Dialog,
+  TextInput,
+  Button,
+  Chip,
+  Text,
+  IconButton
+} from 'react-native-paper';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { SEMESTER_STATUSES, getSemesterStatus } from '../utils/semesters';
+import { parseDateKey, toDateKey } from '../utils/dates';
+
+/**
+ * SemesterDialog Component
+ * Add/edit form for a semester: name, optional start and end date, and status
+ * @param {boolean} visible - Whether the dialog is shown
+ * @param {Object|null} semester - Semester being edited, or null to add a new one
+ * @param {Function} onDismiss - Called when the dialog is closed without saving
+ * @param {Function} onSubmit - Called with { name, startDate, endDate, status } when saved
+ */
+export default function SemesterDialog({ visible, semester, onDismiss, onSubmit }) {
+  // Form state
+  const [name, setName] = useState('');
+  const [startDate, setStartDate] = useState(null);
+  const [endDate, setEndDate] = useState(null);
+  const [status, setStatus] = useState('active');
+  const [pickerField, setPickerField] = useState(null);
+
+  /**
+   * Fill the form from the semester being edited each time the dialog opens
+   */
+  useEffect(() => {
+    if (!visible) return;
+    setName(semester ? semester.name : '');
+    setStartDate(semester && semester.startDate ? semester.startDate : null);
+    setEndDate(semester && semester.endDate ? semester.endDate : null);
+    setStatus(semester ? getSemesterStatus(semester) : 'active');
+    setPickerField(null);
+  }, [visible, semester]);
+
+  const datesInvalid = !!(startDate && endDate && endDate < startDate);
+
+  /**
+   * Handle date picker changes for the start or end date
+   */
+  const onDateChange = (event, selectedDate) => {
+    const field = pickerField;
+    setPickerField(Platform.OS === 'ios' ? field : null);
+    if (!selectedDate) return;
+    if (field === 'start') {
+      setStartDate(toDateKey(selectedDate));
+    } else {
+      setEndDate(toDateKey(selectedDate));
+    }
+  };
+
+  /**
+   * Collect the form and hand it to the screen
+   */
+  const handleSubmit = () => {
+    if (!name.trim() || datesInvalid) return;
+    onSubmit({ name: name.trim(), startDate, endDate, status });
+  };
+
+  /**
+   * Render a date button with a clear action once a date is chosen
+   */
+  const renderDateButton = (field, label, value, clear) => (
+    <View style={styles.dateRow}>
+      <Button
+        mode="outlined"
+        icon="calendar"
+        onPress={() => setPickerField(field)}
+        style={styles.dateButton}
+      >
+        {value ? `${label}: ${value}` : `Add ${label}`}
+      </Button>
+      {value && <IconButton icon="close" size={20} onPress={clear} />}
+    </View>
+  );
+
+  const pickerValue = pickerField === 'start' ? startDate : endDate;
+
+  return (
+    <Portal>
+      <Dialog visible={visible} onDismiss={onDismiss}>
+        <Dialog.Title>{semester ? 'Edit Semester' : 'Add Semester'}</Dialog.Title>
+        <Dialog.Content>
+          <TextInput
+            label="Semester Name"
+            value={name}
+            onChangeText={setName}
+            mode="outlined"
+            placeholder="e.g., Fall 2024, Semester 1"
+            style={styles.input}
+          />
+          {renderDateButton('start', 'Start date', startDate, () => setStartDate(null))}
+          {renderDateButton('end', 'End date', endDate, () => setEndDate(null))}
+          {datesInvalid && (
+            <Text style={styles.error}>The end date must not be before the start date.</Text>
+          )}
+          {/* Date picker component */}
+          {pickerField && (
+            <DateTimePicker
+              value={parseDateKey(pickerValue) || new Date()}
+              mode="date"
+              display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+              onChange={onDateChange}
+            />
+          )}
+
+          {/* Status selection */}
+          <Text style={styles.label}>Status</Text>
+          <View style={styles.chipRow}>
+            {SEMESTER_STATUSES.map(option => (
+              <Chip
+                key={option.value}
+                icon={option.icon}
+                selected={status === option.value}
+                onPress={() => setStatus(option.value)}
+                style={styles.chip}
+              >
+                {option.label}
+              </Chip>
+            ))}
+          </View>
+          {status === 'archived' && (
+            <Text style={styles.hint}>Archived semesters are read-only until they are restored.</Text>
+          )}
+        </Dialog.Content>
+        <Dialog.Actions>
+          <Button onPress={onDismiss}>Cancel</Button>
+          <Button onPress={handleSubmit} disabled={datesInvalid}>
+            {semester ? 'Update' : 'Add'}
+          </Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+}
+
+const styles = StyleSheet.create({
+  input: {
+    marginBottom: 8,
+  },
+  dateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  dateButton: {
+    flex: 1,
+  },
+  label: {
+    marginTop: 16,
+    marginBottom: 4,
+    fontSize: 14,
+    color: '#64748B',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#64748B',
+  },
+  error: {
+    fontSize: 12,
+    color: '#EF4444',
+    marginTop: 4,
+  },
+});
@@ -0,0 +1,302 @@
+import React, { useState, useEffect } from 'react';
+import { View, ScrollView, StyleSheet, Platform } from 'react-native';
+import {
+  Portal,
+  Dialog,
+  TextInput,
+  Button,
+  Chip,
+  Text,
+  IconButton
+} from 'react-native-paper';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { WEEKDAYS } from '../utils/recurrence';
+import { parseTimeKey, toTimeKey } from '../utils/dates';
+import { SCHEDULE_DAY_ORDER, createMeeting } from '../utils/courses';
+
+/**
+ * SubjectDetailsDialog Component
+ * Course details form for a subject: instructor, email, room, credits and the weekly
+ * class schedule
+ * @param {boolean} visible - Whether the dialog is shown
+ * @param {Object|null} subject - Subject whose details are edited
+ * @param {Function} onDismiss - Called when the dialog is closed without saving
+ * @param {Function} onSubmit - Called with { instructor, email, room, credits, schedule };
+ *   when it throws, the dialog stays open and shows the error
+ */
+export default function SubjectDetailsDialog({ visible, subject, onDismiss, onSubmit }) {
+  // Form state
+  const [instructor, setInstructor] = useState('');
+  const [email, setEmail] = useState('');
+  const [room, setRoom] = useState('');
+  const [credits, setCredits] = useState('');
+  const [schedule, setSchedule] = useState([]);
+  const [picker, setPicker] = useState(null);
+  const [error, setError] = useState('');
+
+  /**
+   * Fill the form from the subject each time the dialog opens
+   */
+  useEffect(() => {
+    if (!visible) return;
+    const details = (subject && subject.details) || {};
+    setInstructor(details.instructor || '');
+    setEmail(details.email || '');
+    setRoom(details.room || '');
+    setCredits(details.credits !== undefined ? String(details.credits) : '');
+    setSchedule(details.schedule ? details.schedule.map(meeting => ({ location: '', ...meeting })) : []);
+    setPicker(null);
+    setError('');
+  }, [visible, subject]);
+
+  /**
+   * Merge a change into one class of the schedule
+   */
+  const updateMeeting = (meetingId, changes) => {
+    setSchedule(prev => prev.map(m => (m.id === meetingId ? { ...m, ...changes } : m)));
+    setError('');
+  };
+
+  /**
+   * Add a class; after the first one it copies the last class's times two days later
+   * (e.g. Mon → Wed), which is how most courses meet
+   */
+  const addMeeting = () => {
+    const last = schedule[schedule.length - 1];
+    if (!last) {
+      setSchedule([createMeeting()]);
+      return;
+    }
+    const day = SCHEDULE_DAY_ORDER[(SCHEDULE_DAY_ORDER.indexOf(last.day) + 2) % 7];
+    setSchedule(prev => [
+      ...prev,
+      { ...createMeeting(day), startTime: last.startTime, endTime: last.endTime },
+    ]);
+  };
+
+  /**
+   * Handle time picker changes for the class being edited
+   */
+  const onTimeChange = (event, selectedTime) => {
+    const current = picker;
+    setPicker(Platform.OS === 'ios' ? current : null);
+    if (selectedTime) {
+      updateMeeting(current.meetingId, { [current.field]: toTimeKey(selectedTime) });
+    }
+  };
+
+  /**
+   * Value shown in the time picker: the class's current start or end time
+   */
+  const getTimePickerValue = () => {
+    const meeting = schedule.find(m => m.id === picker.meetingId);
+    const time = parseTimeKey(meeting && meeting[picker.field]) || { hours: 9, minutes: 0 };
+    const value = new Date();
+    value.setHours(time.hours, time.minutes, 0, 0);
+    return value;
+  };
+
+  /**
+   * Hand the form to the screen, keeping the dialog open when it is invalid
+   */
+  const handleSubmit = async () => {
+    try {
+      await onSubmit({ instructor, email, room, credits, schedule });
+    } catch (submitError) {
+      setError(submitError.message);
+    }
+  };
+
+  /**
+   * Render the editor of one weekly class
+   */
+  const renderMeeting = meeting => (
+    <View key={meeting.id} style={styles.meeting}>
+      <View style={styles.chipRow}>
+        {SCHEDULE_DAY_ORDER.map(day => (
+          <Chip
+            key={day}
+            compact
+            selected={meeting.day === day}
+            onPress={() => updateMeeting(meeting.id, { day })}
+            style={styles.dayChip}
+          >
+            {WEEKDAYS[day]}
+          </Chip>
+        ))}
+      </View>
+      <View style={styles.timeRow}>
+        <Button
+          mode="outlined"
+          icon="clock-outline"
+          onPress={() => setPicker({ meetingId: meeting.id, field: 'startTime' })}
+          style={styles.timeButton}
+        >
+          {meeting.startTime}
+        </Button>
+        <Text style={styles.timeSeparator}>–</Text>
+        <Button
+          mode="outlined"
+          onPress={() => setPicker({ meetingId: meeting.id, field: 'endTime' })}
+          style={styles.timeButton}
+        >
+          {meeting.endTime}
+        </Button>
+        <IconButton
+          icon="delete-outline"
+          size={20}
+          onPress={() => setSchedule(prev => prev.filter(m => m.id !== meeting.id))}
+        />
+      </View>
+      <TextInput
+        label="Location"
+        value={meeting.location}
+        onChangeText={location => updateMeeting(meeting.id, { location })}
+        mode="outlined"
+        dense
+        placeholder={room || 'Same as the room'}
+        style={styles.input}
+      />
+    </View>
+  );
+
+  return (
+    <Portal>
+      <Dialog visible={visible} onDismiss={onDismiss}>
+        <Dialog.Title>Course details</Dialog.Title>
+        <Dialog.ScrollArea style={styles.scrollArea}>
+          <ScrollView keyboardShouldPersistTaps="handled">
+            <Text style={styles.subjectName}>{subject ? subject.name : ''}</Text>
+            <TextInput
+              label="Instructor"
+              value={instructor}
+              onChangeText={setInstructor}
+              mode="outlined"
+              placeholder="e.g., Dr. Jane Smith"
+              style={styles.input}
+            />
+            <TextInput
+              label="Instructor Email"
+              value={email}
+              onChangeText={(text) => {
+                setEmail(text);
+                setError('');
+              }}
+              mode="outlined"
+              keyboardType="email-address"
+              autoCapitalize="none"
+              style={styles.input}
+            />
+            <TextInput
+              label="Room"
+              value={room}
+              onChangeText={setRoom}
+              mode="outlined"
+              placeholder="e.g., B204"
+              style={styles.input}
+            />
+            <TextInput
+              label="Credits"
+              value={credits}
+              onChangeText={(text) => {
+                setCredits(text);
+                setError('');
+              }}
+              mode="outlined"
+              keyboardType="decimal-pad"
+              placeholder="e.g., 3"
+              style={styles.input}
+            />
+
+            {/* Weekly class schedule */}
+            <Text style={styles.label}>Weekly schedule</Text>
+            {schedule.length === 0 && (
+              <Text style={styles.hint}>No classes yet. Add the times the course meets each week.</Text>
+            )}
+            {schedule.map(renderMeeting)}
+            <Button icon="plus" mode="text" onPress={addMeeting} style={styles.addButton}>
+              Add class time
+            </Button>
+            {/* Time picker component */}
+            {picker && (
+              <DateTimePicker
+                value={getTimePickerValue()}
+                mode="time"
+                display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+                onChange={onTimeChange}
+              />
+            )}
+
+            {error ? <Text style={styles.error}>{error}</Text> : null}
+          </ScrollView>
+        </Dialog.ScrollArea>
+        <Dialog.Actions>
+          <Button onPress={onDismiss}>Cancel</Button>
+          <Button onPress={handleSubmit}>Save</Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+}
+
+const styles = StyleSheet.create({
+  scrollArea: {
+    maxHeight: 480,
+    paddingHorizontal: 24,
+  },
+  subjectName: {
+    marginTop: 12,
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#1E293B',
+  },
+  input: {
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  label: {
+    fontSize: 14,
+    marginTop: 16,
+    marginBottom: 8,
+    color: '#64748B',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#64748B',
+    marginBottom: 8,
+  },
+  meeting: {
+    borderTopWidth: StyleSheet.hairlineWidth,
+    borderTopColor: '#CBD5E1',
+    paddingTop: 8,
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  dayChip: {
+    marginRight: 4,
+    marginBottom: 4,
+  },
+  timeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  timeButton: {
+    flex: 1,
+  },
+  timeSeparator: {
+    marginHorizontal: 8,
+    color: '#64748B',
+  },
+  addButton: {
+    alignSelf: 'flex-start',
+  },
+  error: {
+    fontSize: 12,
+    color: '#EF4444',
+    marginBottom: 8,
+  },
+});
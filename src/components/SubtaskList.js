@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Checkbox, IconButton, TextInput, Text } from 'react-native-paper';
+import {
+  addSubtask,
+  toggleSubtask,
+  moveSubtask,
+  deleteSubtask
+} from '../utils/storage';
+
+/**
+ * SubtaskList Component
+ * Editable checklist of subtasks shown inside an expanded task card
+ * @param {string} semesterId - Id of the semester
+ * @param {string} subjectId - Id of the subject
+ * @param {Object} task - Parent task
+ * @param {string} colorTag - Subject color used for the checkboxes
+ * @param {boolean} readOnly - Show the checklist without editing controls
+ */
+export default function SubtaskList({ semesterId, subjectId, task, colorTag, readOnly = false }) {
+  const [newTitle, setNewTitle] = useState('');
+  const subtasks = task.subtasks || [];
+
+  /**
+   * Add the typed subtask to the end of the checklist
+   */
+  const handleAddSubtask = async () => {
+    if (newTitle.trim()) {
+      await addSubtask(semesterId, subjectId, task.id, newTitle.trim());
+      setNewTitle('');
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      {subtasks.map((subtask, index) => (
+        <View key={subtask.id} style={styles.row}>
+          <Checkbox
+            status={subtask.done ? 'checked' : 'unchecked'}
+            onPress={() => toggleSubtask(semesterId, subjectId, task.id, subtask.id)}
+            disabled={readOnly}
+            color={colorTag}
+          />
+          <Text style={[styles.title, subtask.done && styles.doneText]}>{subtask.title}</Text>
+          {!readOnly && (
+            <>
+              <IconButton
+                icon="arrow-up"
+                size={16}
+                disabled={index === 0}
+                onPress={() => moveSubtask(semesterId, subjectId, task.id, subtask.id, -1)}
+              />
+              <IconButton
+                icon="arrow-down"
+                size={16}
+                disabled={index === subtasks.length - 1}
+                onPress={() => moveSubtask(semesterId, subjectId, task.id, subtask.id, 1)}
+              />
+              <IconButton
+                icon="close"
+                size={16}
+                onPress={() => deleteSubtask(semesterId, subjectId, task.id, subtask.id)}
+              />
+            </>
+          )}
+        </View>
+      ))}
+
+      {/* New subtask input */}
+      {!readOnly && (
+        <TextInput
+          value={newTitle}
+          onChangeText={setNewTitle}
+          onSubmitEditing={handleAddSubtask}
+          placeholder="Add a step, e.g. Research"
+          mode="flat"
+          dense
+          style={styles.input}
+          right={<TextInput.Icon icon="plus" onPress={handleAddSubtask} />}
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  title: {
+    flex: 1,
+    fontSize: 14,
+    color: '#1E293B',
+  },
+  doneText: {
+    textDecorationLine: 'line-through',
+    color: '#9CA3AF',
+  },
+  input: {
+    backgroundColor: 'transparent',
+    marginTop: 4,
+  },
+});
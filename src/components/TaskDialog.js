@@ -0,0 +1,283 @@
+import React, { useState, useEffect } from 'react';
+import { View, ScrollView, StyleSheet, Platform } from 'react-native';
+import {
+  Portal,
+  Dialog,
+  TextInput,
+  Button,
+  Chip,
+  Text,
+  IconButton
+} from 'react-native-paper';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { PRIORITIES, TASK_TYPES, parseEstimatedHours } from '../utils/taskOptions';
+import { REMINDER_OPTIONS } from '../utils/reminders';
+import { parseDateKey, toDateKey, parseTimeKey, toTimeKey } from '../utils/dates';
+import RecurrenceEditor from './RecurrenceEditor';
+
+/**
+ * TaskDialog Component
+ * Add/edit form for a task, shared by every screen that creates or edits tasks
+ * @param {boolean} visible - Whether the dialog is shown
+ * @param {Object|null} task - Task being edited, or null to add a new one
+ * @param {Function} onDismiss - Called when the dialog is closed without saving
+ * @param {Function} onSubmit - Called with the task fields when the form is saved
+ */
+export default function TaskDialog({ visible, task, onDismiss, onSubmit }) {
+  // Form state
+  const [taskTitle, setTaskTitle] = useState('');
+  const [dueDate, setDueDate] = useState(new Date());
+  const [showDatePicker, setShowDatePicker] = useState(false);
+  const [dueTime, setDueTime] = useState(null);
+  const [showTimePicker, setShowTimePicker] = useState(false);
+  const [priority, setPriority] = useState(null);
+  const [taskType, setTaskType] = useState(null);
+  const [estimatedHours, setEstimatedHours] = useState('');
+  const [notes, setNotes] = useState('');
+  const [reminder, setReminder] = useState(null);
+  const [repeat, setRepeat] = useState(null);
+
+  /**
+   * Fill the form from the task being edited each time the dialog opens
+   */
+  useEffect(() => {
+    if (!visible) return;
+    setTaskTitle(task ? task.title : '');
+    setDueDate((task && parseDateKey(task.dueDate)) || new Date());
+    setDueTime(task && task.dueTime ? task.dueTime : null);
+    setPriority(task && task.priority ? task.priority : null);
+    setTaskType(task && task.type ? task.type : null);
+    setEstimatedHours(task && task.estimatedHours ? String(task.estimatedHours) : '');
+    setNotes(task && task.notes ? task.notes : '');
+    setReminder(task && task.reminder ? task.reminder : null);
+    setRepeat(task && task.recurrence ? task.recurrence.rule : null);
+    setShowDatePicker(false);
+    setShowTimePicker(false);
+  }, [visible, task]);
+
+  /**
+   * Handle date picker changes
+   */
+  const onDateChange = (event, selectedDate) => {
+    setShowDatePicker(Platform.OS === 'ios');
+    if (selectedDate) {
+      setDueDate(selectedDate);
+    }
+  };
+
+  /**
+   * Handle time picker changes
+   */
+  const onTimeChange = (event, selectedTime) => {
+    setShowTimePicker(Platform.OS === 'ios');
+    if (selectedTime) {
+      setDueTime(toTimeKey(selectedTime));
+    }
+  };
+
+  /**
+   * Value shown in the time picker: the chosen time, or 23:59 for a new one
+   */
+  const getTimePickerValue = () => {
+    const time = parseTimeKey(dueTime) || { hours: 23, minutes: 59 };
+    const value = new Date(dueDate);
+    value.setHours(time.hours, time.minutes, 0, 0);
+    return value;
+  };
+
+  /**
+   * Collect the form into task fields and hand them to the screen
+   */
+  const handleSubmit = () => {
+    if (!taskTitle.trim()) return;
+    onSubmit({
+      title: taskTitle.trim(),
+      dueDate: toDateKey(dueDate),
+      dueTime,
+      priority,
+      type: taskType,
+      estimatedHours: parseEstimatedHours(estimatedHours),
+      notes: notes.trim(),
+      reminder,
+      repeat,
+    });
+  };
+
+  return (
+    <Portal>
+      <Dialog visible={visible} onDismiss={onDismiss}>
+        <Dialog.Title>{task ? 'Edit Task' : 'Add Task'}</Dialog.Title>
+        <Dialog.ScrollArea style={styles.scrollArea}>
+          <ScrollView keyboardShouldPersistTaps="handled">
+            <TextInput
+              label="Task Title"
+              value={taskTitle}
+              onChangeText={setTaskTitle}
+              mode="outlined"
+              placeholder="e.g., Complete Assignment 1"
+              style={styles.input}
+            />
+            <Button
+              mode="outlined"
+              onPress={() => setShowDatePicker(true)}
+              style={styles.dateButton}
+            >
+              Due Date: {toDateKey(dueDate)}
+            </Button>
+            <View style={styles.timeRow}>
+              <Button
+                mode="outlined"
+                icon="clock-outline"
+                onPress={() => setShowTimePicker(true)}
+                style={styles.timeButton}
+              >
+                {dueTime ? `Due Time: ${dueTime}` : 'Add Due Time'}
+              </Button>
+              {dueTime && (
+                <IconButton icon="close" size={20} onPress={() => setDueTime(null)} />
+              )}
+            </View>
+            {/* Date picker component */}
+            {showDatePicker && (
+              <DateTimePicker
+                value={dueDate}
+                mode="date"
+                display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+                onChange={onDateChange}
+              />
+            )}
+            {/* Time picker component */}
+            {showTimePicker && (
+              <DateTimePicker
+                value={getTimePickerValue()}
+                mode="time"
+                display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+                onChange={onTimeChange}
+              />
+            )}
+
+            {/* Recurrence rule */}
+            <RecurrenceEditor
+              value={repeat}
+              onChange={setRepeat}
+              dueDate={toDateKey(dueDate)}
+            />
+
+            {/* Priority selection (tap the selected chip again to clear it) */}
+            <Text style={styles.label}>Priority</Text>
+            <View style={styles.chipRow}>
+              {PRIORITIES.map(option => (
+                <Chip
+                  key={option.value}
+                  selected={priority === option.value}
+                  onPress={() => setPriority(priority === option.value ? null : option.value)}
+                  style={styles.chip}
+                  selectedColor={option.color}
+                >
+                  {option.label}
+                </Chip>
+              ))}
+            </View>
+
+            {/* Task type selection */}
+            <Text style={styles.label}>Type</Text>
+            <View style={styles.chipRow}>
+              {TASK_TYPES.map(option => (
+                <Chip
+                  key={option.value}
+                  icon={option.icon}
+                  selected={taskType === option.value}
+                  onPress={() => setTaskType(taskType === option.value ? null : option.value)}
+                  style={styles.chip}
+                >
+                  {option.label}
+                </Chip>
+              ))}
+            </View>
+
+            {/* Reminder selection; "Default" follows the app-wide setting */}
+            <Text style={styles.label}>Reminder</Text>
+            <View style={styles.chipRow}>
+              <Chip
+                selected={reminder === null}
+                onPress={() => setReminder(null)}
+                style={styles.chip}
+              >
+                Default
+              </Chip>
+              {REMINDER_OPTIONS.map(option => (
+                <Chip
+                  key={option.value}
+                  selected={reminder === option.value}
+                  onPress={() => setReminder(option.value)}
+                  style={styles.chip}
+                >
+                  {option.label}
+                </Chip>
+              ))}
+            </View>
+
+            <TextInput
+              label="Estimated Hours"
+              value={estimatedHours}
+              onChangeText={setEstimatedHours}
+              mode="outlined"
+              keyboardType="decimal-pad"
+              placeholder="e.g., 2.5"
+              style={styles.input}
+            />
+            <TextInput
+              label="Notes"
+              value={notes}
+              onChangeText={setNotes}
+              mode="outlined"
+              multiline
+              numberOfLines={4}
+              style={styles.input}
+            />
+          </ScrollView>
+        </Dialog.ScrollArea>
+        <Dialog.Actions>
+          <Button onPress={onDismiss}>Cancel</Button>
+          <Button onPress={handleSubmit}>{task ? 'Update' : 'Add'}</Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+}
+
+const styles = StyleSheet.create({
+  scrollArea: {
+    maxHeight: 480,
+    paddingHorizontal: 24,
+  },
+  input: {
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  dateButton: {
+    marginTop: 8,
+  },
+  timeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  timeButton: {
+    flex: 1,
+  },
+  label: {
+    fontSize: 14,
+    marginTop: 16,
+    marginBottom: 8,
+    color: '#64748B',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
+});
@@ -0,0 +1,14 @@
+import { useRef } from 'react';
+
+/**
+ * Keep a ref pointing at the value from the latest render
+ * A PanResponder is created once and would otherwise keep calling the handlers
+ * from its first render; reading them through this ref always reaches the current ones
+ * @param {*} value - Value from the current render
+ * @returns {Object} Ref whose `current` is that value
+ */
+export default function useLatestRef(value) {
+  const ref = useRef(value);
+  ref.current = value;
+  return ref;
+}
@@ -0,0 +1,19 @@
+import { useEffect, useSyncExternalStore } from 'react';
+import { load, getState, subscribe } from '../utils/repository';
+
+/**
+ * Subscribe a component to the repository
+ * Re-renders whenever the store changes, so screens no longer need to reload on focus
+ * @param {Function} selector - Picks the needed data from the state; must not modify it
+ * @returns {*} Value returned by the selector for the current state
+ */
+export default function useStore(selector) {
+  const state = useSyncExternalStore(subscribe, getState);
+
+  // Read the store from AsyncStorage the first time any screen needs it
+  useEffect(() => {
+    load();
+  }, []);
+
+  return selector(state);
+}
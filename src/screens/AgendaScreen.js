@@ -0,0 +1,137 @@
+import React from 'react';
+import { View, SectionList, StyleSheet } from 'react-native';
+import {
+  Card,
+  Paragraph,
+  Checkbox,
+  Text,
+  List,
+  useTheme
+} from 'react-native-paper';
+import { toggleTaskCompletion } from '../utils/storage';
+import { buildAgenda } from '../utils/agenda';
+import { formatDue } from '../utils/dates';
+import useStore from '../hooks/useStore';
+
+/**
+ * AgendaScreen Component
+ * Shows overdue, today's and upcoming tasks across every semester and subject
+ */
+export default function AgendaScreen({ navigation }) {
+  const theme = useTheme();
+  const sections = useStore(state => buildAgenda(state));
+  const isEmpty = sections.every(section => section.data.length === 0);
+
+  /**
+   * Jump to the task list that owns an agenda row
+   */
+  const openTask = ({ semester, subject }) => {
+    navigation.navigate('Tasks', {
+      semesterId: semester.id,
+      subjectId: subject.id,
+      subject: subject.name,
+      colorTag: subject.colorTag,
+    });
+  };
+
+  /**
+   * Render a single agenda row tagged with its subject color
+   */
+  const renderItem = ({ item }) => {
+    const { task, subject, semester } = item;
+    return (
+      <Card
+        style={[
+          styles.card,
+          { borderLeftColor: subject.colorTag, borderLeftWidth: 6 },
+          task.completed && styles.completedCard
+        ]}
+        onPress={() => openTask(item)}
+      >
+        <Card.Content style={styles.row}>
+          <Checkbox
+            status={task.completed ? 'checked' : 'unchecked'}
+            onPress={() => toggleTaskCompletion(semester.id, subject.id, task.id)}
+            color={subject.colorTag}
+          />
+          <View style={styles.info}>
+            <Paragraph style={[styles.title, task.completed && styles.completedText]}>
+              {task.title}
+            </Paragraph>
+            <Text style={styles.meta}>
+              {subject.name} · {semester.name} · Due: {formatDue(task)}
+            </Text>
+          </View>
+        </Card.Content>
+      </Card>
+    );
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <SectionList
+        sections={sections}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.task.id}
+        renderSectionHeader={({ section }) => (
+          <List.Subheader style={section.key === 'overdue' && styles.overdueHeader}>
+            {`${section.title} (${section.data.length})`}
+          </List.Subheader>
+        )}
+        stickySectionHeadersEnabled={false}
+        contentContainerStyle={styles.listContent}
+        ListFooterComponent={isEmpty ? (
+          <Paragraph style={styles.emptyText}>Nothing due this week. Enjoy the break!</Paragraph>
+        ) : null}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  listContent: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  card: {
+    marginBottom: 12,
+    elevation: 2,
+  },
+  completedCard: {
+    opacity: 0.6,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  info: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#1E293B',
+  },
+  completedText: {
+    textDecorationLine: 'line-through',
+    color: '#9CA3AF',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#64748B',
+    marginTop: 4,
+  },
+  overdueHeader: {
+    color: '#EF4444',
+  },
+  emptyText: {
+    textAlign: 'center',
+    marginTop: 32,
+    fontStyle: 'italic',
+    color: '#64748B',
+  },
+});
@@ -0,0 +1,399 @@
+import React, { useState, useEffect } from 'react';
+import { View, ScrollView, StyleSheet, Platform } from 'react-native';
+import {
+  Card,
+  Title,
+  Paragraph,
+  Text,
+  Chip,
+  TextInput,
+  Button,
+  IconButton,
+  Icon,
+  ProgressBar,
+  Portal,
+  Dialog,
+  Snackbar,
+  useTheme
+} from 'react-native-paper';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import {
+  generateAttendance,
+  addAttendanceEntry,
+  setAttendanceStatus,
+  deleteAttendanceEntry,
+  setAttendanceThreshold
+} from '../utils/storage';
+import {
+  ATTENDANCE_STATUSES,
+  getAttendanceSummary,
+  sortAttendance
+} from '../utils/attendance';
+import { WEEKDAYS } from '../utils/recurrence';
+import { parseDateKey, toDateKey } from '../utils/dates';
+import { isArchived } from '../utils/semesters';
+import useStore from '../hooks/useStore';
+
+/**
+ * AttendanceScreen Component
+ * Attendance log of one subject: classes from its schedule or added by hand, each marked
+ * present, late, absent or excused, against a minimum attendance
+ */
+export default function AttendanceScreen({ route, navigation }) {
+  const { semesterId, subjectId } = route.params;
+  const theme = useTheme();
+  const semester = useStore(state => state.semesters.find(s => s.id === semesterId));
+  const subject = useStore(state => (state.data[semesterId] || {})[subjectId]);
+
+  // State management
+  const [threshold, setThreshold] = useState('');
+  const [addVisible, setAddVisible] = useState(false);
+  const [newDate, setNewDate] = useState(new Date());
+  const [newStatus, setNewStatus] = useState('present');
+  const [showDatePicker, setShowDatePicker] = useState(false);
+  const [snackbarVisible, setSnackbarVisible] = useState(false);
+  const [snackbarMessage, setSnackbarMessage] = useState('');
+
+  // Archived semesters are read-only until they are restored
+  const archived = isArchived(semester);
+  const summary = subject ? getAttendanceSummary(subject) : null;
+
+  /**
+   * Show the subject name in the header
+   */
+  useEffect(() => {
+    if (subject) {
+      navigation.setOptions({ title: `${subject.name} – Attendance` });
+    }
+  }, [subject && subject.name]);
+
+  /**
+   * Keep the threshold field in sync with the stored value
+   */
+  useEffect(() => {
+    if (summary) setThreshold(String(summary.threshold));
+  }, [summary && summary.threshold]);
+
+  /**
+   * Show a short message in the snackbar
+   */
+  const showMessage = (message) => {
+    setSnackbarMessage(message);
+    setSnackbarVisible(true);
+  };
+
+  /**
+   * Handle adding the scheduled classes that aren't in the log yet
+   */
+  const handleGenerate = async () => {
+    const added = await generateAttendance(semesterId, subjectId);
+    showMessage(added > 0
+      ? `${added} ${added === 1 ? 'class' : 'classes'} added`
+      : 'The log already has every scheduled class');
+  };
+
+  /**
+   * Handle marking a class; tapping its current status again unmarks it
+   */
+  const handleMark = (entry, status) => {
+    setAttendanceStatus(semesterId, subjectId, entry.id, entry.status === status ? null : status);
+  };
+
+  /**
+   * Handle adding a class by hand
+   */
+  const handleAddEntry = async () => {
+    await addAttendanceEntry(semesterId, subjectId, { date: toDateKey(newDate), status: newStatus });
+    setAddVisible(false);
+  };
+
+  /**
+   * Handle saving the minimum attendance when the field loses focus
+   */
+  const handleSaveThreshold = async () => {
+    if (threshold === String(summary.threshold)) return;
+    try {
+      await setAttendanceThreshold(semesterId, subjectId, parseFloat(threshold.replace(',', '.')));
+    } catch (error) {
+      setThreshold(String(summary.threshold));
+      showMessage(error.message);
+    }
+  };
+
+  /**
+   * Handle date picker changes in the add dialog
+   */
+  const onDateChange = (event, selectedDate) => {
+    setShowDatePicker(Platform.OS === 'ios');
+    if (selectedDate) {
+      setNewDate(selectedDate);
+    }
+  };
+
+  /**
+   * Open the dialog for adding a class by hand, defaulting to today
+   */
+  const openAddDialog = () => {
+    setNewDate(new Date());
+    setNewStatus('present');
+    setShowDatePicker(false);
+    setAddVisible(true);
+  };
+
+  if (!subject) {
+    return (
+      <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+        <Paragraph style={styles.emptyText}>This subject no longer exists.</Paragraph>
+      </View>
+    );
+  }
+
+  const schedule = (subject.details && subject.details.schedule) || [];
+  const entries = sortAttendance(subject.attendance || []);
+  const warningColor = summary.below ? '#EF4444' : '#B45309';
+  const breakdown = [
+    ...ATTENDANCE_STATUSES.map(option => `${summary.counts[option.value]} ${option.label.toLowerCase()}`),
+    ...(summary.unmarked > 0 ? [`${summary.unmarked} not marked`] : []),
+  ].join(' · ');
+
+  /**
+   * Render one class of the log with its status chips
+   */
+  const renderEntry = (entry) => {
+    const date = parseDateKey(entry.date);
+    return (
+      <View key={entry.id} style={styles.entry}>
+        <View style={styles.entryHeader}>
+          <Text style={styles.entryDate}>
+            {`${WEEKDAYS[date.getDay()]} ${entry.date}${entry.startTime ? ` · ${entry.startTime}` : ''}`}
+          </Text>
+          {!entry.status && <Text style={styles.unmarked}>Not marked</Text>}
+          {!archived && (
+            <IconButton
+              icon="delete-outline"
+              size={18}
+              onPress={() => deleteAttendanceEntry(semesterId, subjectId, entry.id)}
+            />
+          )}
+        </View>
+        <View style={styles.chipRow}>
+          {ATTENDANCE_STATUSES.map(option => (
+            <Chip
+              key={option.value}
+              compact
+              icon={option.icon}
+              selected={entry.status === option.value}
+              selectedColor={option.color}
+              onPress={archived ? undefined : () => handleMark(entry, option.value)}
+              style={styles.chip}
+            >
+              {option.label}
+            </Chip>
+          ))}
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        {/* Summary against the minimum attendance */}
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Attendance</Title>
+            {summary.percent !== null ? (
+              <>
+                <Text style={[styles.percent, { color: summary.below ? '#EF4444' : subject.colorTag }]}>
+                  {Math.round(summary.percent)}%
+                </Text>
+                <ProgressBar
+                  progress={summary.percent / 100}
+                  color={summary.below ? '#EF4444' : subject.colorTag}
+                  style={styles.progressBar}
+                />
+              </>
+            ) : (
+              <Paragraph style={styles.caption}>No classes marked yet.</Paragraph>
+            )}
+            <Text style={styles.caption}>{breakdown}</Text>
+            {(summary.below || summary.atRisk) && (
+              <View style={styles.warning}>
+                <Icon source="alert-outline" size={16} color={warningColor} />
+                <Text style={[styles.warningText, { color: warningColor }]}>
+                  {summary.below
+                    ? `Below the minimum of ${summary.threshold}%.`
+                    : `Missing one more class drops you below ${summary.threshold}%.`}
+                </Text>
+              </View>
+            )}
+            <TextInput
+              label="Minimum attendance (%)"
+              value={threshold}
+              onChangeText={setThreshold}
+              onBlur={handleSaveThreshold}
+              mode="outlined"
+              keyboardType="decimal-pad"
+              disabled={archived}
+              style={styles.input}
+            />
+            <Text style={styles.caption}>Late counts as attended; excused classes don't count.</Text>
+          </Card.Content>
+          {!archived && (
+            <Card.Actions>
+              <Button icon="calendar-sync" onPress={handleGenerate} disabled={schedule.length === 0}>
+                From schedule
+              </Button>
+              <Button icon="plus" onPress={openAddDialog}>Add class</Button>
+            </Card.Actions>
+          )}
+          {!archived && schedule.length === 0 && (
+            <Card.Content>
+              <Text style={styles.caption}>
+                Add class times under "Course details…" to fill the log from the schedule.
+              </Text>
+            </Card.Content>
+          )}
+        </Card>
+
+        {/* Log, newest first */}
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Log</Title>
+            {entries.length === 0 && <Paragraph style={styles.caption}>No classes in the log yet.</Paragraph>}
+            {entries.map(renderEntry)}
+          </Card.Content>
+        </Card>
+      </ScrollView>
+
+      {/* Add Class Dialog */}
+      <Portal>
+        <Dialog visible={addVisible} onDismiss={() => setAddVisible(false)}>
+          <Dialog.Title>Add class</Dialog.Title>
+          <Dialog.Content>
+            <Button mode="outlined" icon="calendar" onPress={() => setShowDatePicker(true)}>
+              {`Date: ${toDateKey(newDate)}`}
+            </Button>
+            {/* Date picker component */}
+            {showDatePicker && (
+              <DateTimePicker
+                value={newDate}
+                mode="date"
+                display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+                onChange={onDateChange}
+              />
+            )}
+            <View style={[styles.chipRow, styles.dialogChips]}>
+              {ATTENDANCE_STATUSES.map(option => (
+                <Chip
+                  key={option.value}
+                  icon={option.icon}
+                  selected={newStatus === option.value}
+                  selectedColor={option.color}
+                  onPress={() => setNewStatus(option.value)}
+                  style={styles.chip}
+                >
+                  {option.label}
+                </Chip>
+              ))}
+            </View>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setAddVisible(false)}>Cancel</Button>
+            <Button onPress={handleAddEntry}>Add</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      {/* Message Snackbar */}
+      <Snackbar
+        visible={snackbarVisible}
+        onDismiss={() => setSnackbarVisible(false)}
+        duration={3000}
+        action={{
+          label: 'OK',
+          onPress: () => setSnackbarVisible(false),
+        }}
+      >
+        {snackbarMessage}
+      </Snackbar>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+  },
+  card: {
+    marginBottom: 12,
+    elevation: 2,
+  },
+  percent: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    marginTop: 8,
+  },
+  progressBar: {
+    height: 6,
+    borderRadius: 3,
+    marginVertical: 8,
+  },
+  caption: {
+    fontSize: 12,
+    color: '#64748B',
+  },
+  warning: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  warningText: {
+    fontSize: 13,
+    marginLeft: 4,
+  },
+  input: {
+    marginTop: 12,
+    marginBottom: 4,
+  },
+  entry: {
+    borderTopWidth: StyleSheet.hairlineWidth,
+    borderTopColor: '#E2E8F0',
+    paddingTop: 4,
+    marginTop: 8,
+  },
+  entryHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  entryDate: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1E293B',
+  },
+  unmarked: {
+    fontSize: 12,
+    color: '#B45309',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  dialogChips: {
+    marginTop: 16,
+  },
+  chip: {
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  emptyText: {
+    textAlign: 'center',
+    marginTop: 32,
+    fontStyle: 'italic',
+    color: '#64748B',
+  },
+});
@@ -0,0 +1,218 @@
+import React, { useState } from 'react';
+import { View, ScrollView, StyleSheet } from 'react-native';
+import {
+  Card,
+  Title,
+  Paragraph,
+  Button,
+  RadioButton,
+  Portal,
+  Dialog,
+  Snackbar,
+  Text,
+  useTheme
+} from 'react-native-paper';
+import {
+  createBackup,
+  getBackupFileName,
+  parseBackup,
+  importBackup
+} from '../utils/backup';
+import { shareTextFile, pickTextFile } from '../utils/share';
+
+/**
+ * BackupScreen Component
+ * Exports all data to a JSON file and imports it back, replacing or merging
+ */
+export default function BackupScreen() {
+  const theme = useTheme();
+
+  // State management
+  const [pendingImport, setPendingImport] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [conflict, setConflict] = useState('combine');
+  const [confirmVisible, setConfirmVisible] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [snackbarVisible, setSnackbarVisible] = useState(false);
+  const [snackbarMessage, setSnackbarMessage] = useState('');
+
+  /**
+   * Show a short message at the bottom of the screen
+   */
+  const showMessage = (message) => {
+    setSnackbarMessage(message);
+    setSnackbarVisible(true);
+  };
+
+  /**
+   * Handle exporting all data as a JSON backup file
+   */
+  const handleExport = async () => {
+    setBusy(true);
+    try {
+      const backup = await createBackup();
+      await shareTextFile(getBackupFileName(), JSON.stringify(backup, null, 2), 'application/json');
+    } catch (error) {
+      showMessage(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Handle choosing a backup file; validates it before anything is imported
+   */
+  const handleChooseFile = async () => {
+    try {
+      const file = await pickTextFile(['application/json', 'text/plain', '*/*']);
+      if (!file) return;
+      setPendingImport({ fileName: file.name, ...parseBackup(file.text) });
+    } catch (error) {
+      setPendingImport(null);
+      showMessage(error.message);
+    }
+  };
+
+  /**
+   * Handle importing the chosen backup with the selected mode
+   */
+  const handleImport = async () => {
+    setConfirmVisible(false);
+    setBusy(true);
+    try {
+      await importBackup(pendingImport, mode, conflict);
+      setPendingImport(null);
+      showMessage(mode === 'replace' ? 'All data replaced from backup' : 'Backup merged into your data');
+    } catch (error) {
+      showMessage(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <ScrollView contentContainerStyle={styles.content}>
+        {/* Export */}
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Export backup</Title>
+            <Paragraph style={styles.description}>
+              Save every semester, subject and task to a JSON file you can keep or share.
+            </Paragraph>
+          </Card.Content>
+          <Card.Actions>
+            <Button mode="contained" icon="export" onPress={handleExport} disabled={busy}>
+              Export
+            </Button>
+          </Card.Actions>
+        </Card>
+
+        {/* Import */}
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Import backup</Title>
+            <Paragraph style={styles.description}>
+              Restore data from a CampusBuddy backup file.
+            </Paragraph>
+
+            {pendingImport && (
+              <>
+                <Text style={styles.fileName}>{pendingImport.fileName}</Text>
+                <Paragraph style={styles.description}>
+                  {pendingImport.summary.semesters} semesters · {pendingImport.summary.subjects} subjects · {pendingImport.summary.tasks} tasks
+                  {pendingImport.summary.exportedAt ? `\nExported ${pendingImport.summary.exportedAt.slice(0, 10)}` : ''}
+                </Paragraph>
+
+                <Text style={styles.label}>Import mode</Text>
+                <RadioButton.Group value={mode} onValueChange={setMode}>
+                  <RadioButton.Item label="Merge into my data" value="merge" color={theme.colors.primary} />
+                  <RadioButton.Item label="Replace all my data" value="replace" color={theme.colors.primary} />
+                </RadioButton.Group>
+
+                {mode === 'merge' && (
+                  <>
+                    <Text style={styles.label}>Semesters and subjects with the same name</Text>
+                    <RadioButton.Group value={conflict} onValueChange={setConflict}>
+                      <RadioButton.Item label="Combine them" value="combine" color={theme.colors.primary} />
+                      <RadioButton.Item label="Keep both (rename imported)" value="keep-both" color={theme.colors.primary} />
+                    </RadioButton.Group>
+                  </>
+                )}
+              </>
+            )}
+          </Card.Content>
+          <Card.Actions>
+            <Button icon="file-upload-outline" onPress={handleChooseFile} disabled={busy}>
+              {pendingImport ? 'Choose another file' : 'Choose file'}
+            </Button>
+            {pendingImport && (
+              <Button
+                mode="contained"
+                onPress={() => (mode === 'replace' ? setConfirmVisible(true) : handleImport())}
+                disabled={busy}
+              >
+                Import
+              </Button>
+            )}
+          </Card.Actions>
+        </Card>
+
+        {/* Confirm replacing everything */}
+        <Portal>
+          <Dialog visible={confirmVisible} onDismiss={() => setConfirmVisible(false)}>
+            <Dialog.Title>Replace all data?</Dialog.Title>
+            <Dialog.Content>
+              <Paragraph>
+                Every semester, subject and task currently in the app will be replaced by the backup.
+              </Paragraph>
+            </Dialog.Content>
+            <Dialog.Actions>
+              <Button onPress={() => setConfirmVisible(false)}>Cancel</Button>
+              <Button onPress={handleImport}>Replace</Button>
+            </Dialog.Actions>
+          </Dialog>
+        </Portal>
+      </ScrollView>
+
+      {/* Result Snackbar */}
+      <Snackbar
+        visible={snackbarVisible}
+        onDismiss={() => setSnackbarVisible(false)}
+        duration={3000}
+        action={{
+          label: 'OK',
+          onPress: () => setSnackbarVisible(false),
+        }}
+      >
+        {snackbarMessage}
+      </Snackbar>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+  },
+  card: {
+    marginBottom: 12,
+    elevation: 2,
+  },
+  description: {
+    color: '#64748B',
+  },
+  fileName: {
+    marginTop: 12,
+    fontWeight: 'bold',
+    color: '#1E293B',
+  },
+  label: {
+    fontSize: 14,
+    marginTop: 12,
+    color: '#64748B',
+  },
+});
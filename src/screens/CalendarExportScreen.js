@@ -0,0 +1,221 @@
+import React, { useState } from 'react';
+import { View, ScrollView, StyleSheet } from 'react-native';
+import {
+  Card,
+  Title,
+  Paragraph,
+  Button,
+  RadioButton,
+  Chip,
+  Snackbar,
+  Text,
+  useTheme
+} from 'react-native-paper';
+import { selectCalendarEntries, buildICalendar } from '../utils/ical';
+import { shareTextFile } from '../utils/share';
+import { getState } from '../utils/repository';
+import { getOrderedSubjects } from '../utils/ordering';
+import useStore from '../hooks/useStore';
+
+/**
+ * Turn a name into a safe file name part, e.g. "Fall 2025" -> "fall-2025"
+ */
+const slugify = name => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export';
+
+/**
+ * CalendarExportScreen Component
+ * Exports task deadlines as an .ics file for Google Calendar, Apple Calendar or Outlook
+ * Optional route params { semesterId, subjectId } preselect the scope
+ */
+export default function CalendarExportScreen({ route }) {
+  const params = route.params || {};
+  const theme = useTheme();
+  const semesters = useStore(state => state.semesters);
+  const data = useStore(state => state.data);
+
+  // State management
+  const [scope, setScope] = useState(params.subjectId ? 'subject' : params.semesterId ? 'semester' : 'all');
+  const [semesterId, setSemesterId] = useState(params.semesterId || (semesters[0] && semesters[0].id));
+  const [subjectId, setSubjectId] = useState(params.subjectId || null);
+  const [component, setComponent] = useState('VEVENT');
+  const [busy, setBusy] = useState(false);
+  const [snackbarVisible, setSnackbarVisible] = useState(false);
+  const [snackbarMessage, setSnackbarMessage] = useState('');
+
+  const semester = semesters.find(s => s.id === semesterId);
+  const subjects = getOrderedSubjects(data[semesterId]);
+  const subject = subjects.find(s => s.id === subjectId);
+
+  /**
+   * Scope passed to the exporter, or null when the selection is incomplete
+   */
+  const getScope = () => {
+    if (scope === 'all') return {};
+    if (!semester) return null;
+    if (scope === 'semester') return { semesterId };
+    return subject ? { semesterId, subjectId } : null;
+  };
+
+  const selectedScope = getScope();
+  const taskCount = selectedScope ? selectCalendarEntries({ semesters, data }, selectedScope).length : 0;
+
+  /**
+   * Pick a semester; the subject choice only applies within one semester
+   */
+  const selectSemester = (id) => {
+    setSemesterId(id);
+    setSubjectId(null);
+  };
+
+  /**
+   * Handle building the calendar file and handing it to the share sheet
+   */
+  const handleExport = async () => {
+    setBusy(true);
+    try {
+      const entries = selectCalendarEntries(getState(), selectedScope);
+      const names = scope === 'all' ? [] : [semester.name, ...(scope === 'subject' ? [subject.name] : [])];
+      const text = buildICalendar(entries, { name: ['CampusBuddy', ...names].join(' · '), component });
+      const fileName = `campusbuddy-${names.length ? names.map(slugify).join('-') : 'all'}.ics`;
+      await shareTextFile(fileName, text, 'text/calendar');
+    } catch (error) {
+      setSnackbarMessage(error.message);
+      setSnackbarVisible(true);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <ScrollView contentContainerStyle={styles.content}>
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Export to calendar</Title>
+            <Paragraph style={styles.description}>
+              Create an .ics file with your deadlines. Importing a newer export updates the
+              same entries instead of adding duplicates.
+            </Paragraph>
+
+            {/* Scope */}
+            <Text style={styles.label}>Tasks to export</Text>
+            <RadioButton.Group value={scope} onValueChange={setScope}>
+              <RadioButton.Item label="Everything" value="all" color={theme.colors.primary} />
+              <RadioButton.Item label="One semester" value="semester" color={theme.colors.primary} />
+              <RadioButton.Item label="One subject" value="subject" color={theme.colors.primary} />
+            </RadioButton.Group>
+
+            {scope !== 'all' && (
+              <>
+                <Text style={styles.label}>Semester</Text>
+                <View style={styles.chipRow}>
+                  {semesters.map(item => (
+                    <Chip
+                      key={item.id}
+                      selected={item.id === semesterId}
+                      onPress={() => selectSemester(item.id)}
+                      style={styles.chip}
+                    >
+                      {item.name}
+                    </Chip>
+                  ))}
+                </View>
+              </>
+            )}
+
+            {scope === 'subject' && (
+              <>
+                <Text style={styles.label}>Subject</Text>
+                {subjects.length > 0 ? (
+                  <View style={styles.chipRow}>
+                    {subjects.map(item => (
+                      <Chip
+                        key={item.id}
+                        selected={item.id === subjectId}
+                        onPress={() => setSubjectId(item.id)}
+                        style={styles.chip}
+                      >
+                        {item.name}
+                      </Chip>
+                    ))}
+                  </View>
+                ) : (
+                  <Paragraph style={styles.description}>This semester has no subjects yet.</Paragraph>
+                )}
+              </>
+            )}
+
+            {/* Entry type */}
+            <Text style={styles.label}>Add tasks as</Text>
+            <RadioButton.Group value={component} onValueChange={setComponent}>
+              <RadioButton.Item label="Calendar events" value="VEVENT" color={theme.colors.primary} />
+              <RadioButton.Item label="To-dos (with completion status)" value="VTODO" color={theme.colors.primary} />
+            </RadioButton.Group>
+
+            <Text style={styles.count}>
+              {selectedScope ? `${taskCount} ${taskCount === 1 ? 'task' : 'tasks'} will be exported` : 'Choose what to export'}
+            </Text>
+          </Card.Content>
+          <Card.Actions>
+            <Button
+              mode="contained"
+              icon="calendar-export"
+              onPress={handleExport}
+              disabled={busy || !selectedScope || taskCount === 0}
+            >
+              Export .ics
+            </Button>
+          </Card.Actions>
+        </Card>
+      </ScrollView>
+
+      {/* Error Snackbar */}
+      <Snackbar
+        visible={snackbarVisible}
+        onDismiss={() => setSnackbarVisible(false)}
+        duration={3000}
+        action={{
+          label: 'OK',
+          onPress: () => setSnackbarVisible(false),
+        }}
+      >
+        {snackbarMessage}
+      </Snackbar>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+  },
+  card: {
+    marginBottom: 12,
+    elevation: 2,
+  },
+  description: {
+    color: '#64748B',
+  },
+  label: {
+    fontSize: 14,
+    marginTop: 16,
+    marginBottom: 8,
+    color: '#64748B',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  count: {
+    marginTop: 12,
+    fontWeight: 'bold',
+    color: '#1E293B',
+  },
+});
@@ -0,0 +1,446 @@
+import React, { useState, useRef } from 'react';
+import {
+  View,
+  ScrollView,
+  StyleSheet,
+  Pressable,
+  PanResponder,
+  Animated
+} from 'react-native';
+import {
+  Card,
+  Paragraph,
+  Text,
+  IconButton,
+  Icon,
+  SegmentedButtons,
+  Checkbox,
+  useTheme
+} from 'react-native-paper';
+import { updateTask, toggleTaskCompletion } from '../utils/storage';
+import { toDateKey, addDays } from '../utils/dates';
+import {
+  WEEKDAY_LABELS,
+  getMonthGrid,
+  getWeekDays,
+  groupTasksByDate,
+  getSubjectDots
+} from '../utils/calendar';
+import useStore from '../hooks/useStore';
+import useLatestRef from '../hooks/useLatestRef';
+
+// Maximum number of subject dots drawn in a day cell
+const MAX_DOTS = 4;
+
+/**
+ * DraggableTask Component
+ * A task row that can be dragged by its handle onto another day of the calendar
+ */
+function DraggableTask({ entry, onDragStart, onDragMove, onDragEnd, onToggle, onOpen }) {
+  const { task, subject } = entry;
+
+  const handlers = useLatestRef({ onDragStart, onDragMove, onDragEnd });
+
+  const panResponder = useRef(PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onPanResponderTerminationRequest: () => false,
+    onPanResponderGrant: (event, gesture) => handlers.current.onDragStart(entry, gesture),
+    onPanResponderMove: (event, gesture) => handlers.current.onDragMove(gesture),
+    onPanResponderRelease: (event, gesture) => handlers.current.onDragEnd(gesture),
+    onPanResponderTerminate: () => handlers.current.onDragEnd(null),
+  })).current;
+
+  return (
+    <Card
+      style={[
+        styles.taskCard,
+        { borderLeftColor: subject.colorTag, borderLeftWidth: 6 },
+        task.completed && styles.completedCard
+      ]}
+      onPress={onOpen}
+    >
+      <Card.Content style={styles.taskRow}>
+        <Checkbox
+          status={task.completed ? 'checked' : 'unchecked'}
+          onPress={onToggle}
+          color={subject.colorTag}
+        />
+        <View style={styles.taskInfo}>
+          <Paragraph style={[styles.taskTitle, task.completed && styles.completedText]}>
+            {task.title}
+          </Paragraph>
+          <Text style={styles.taskMeta}>{subject.name}</Text>
+        </View>
+        {/* Drag handle */}
+        <View {...panResponder.panHandlers} style={styles.dragHandle}>
+          <Icon source="drag" size={24} color="#64748B" />
+        </View>
+      </Card.Content>
+    </Card>
+  );
+}
+
+/**
+ * CalendarScreen Component
+ * Month and week grids of tasks by due date; drag a task onto a day to reschedule it
+ */
+export default function CalendarScreen({ navigation }) {
+  const theme = useTheme();
+  const tasksByDate = useStore(groupTasksByDate);
+
+  // View state
+  const [mode, setMode] = useState('month');
+  const [anchorDate, setAnchorDate] = useState(new Date());
+  const [selectedKey, setSelectedKey] = useState(toDateKey(new Date()));
+
+  // Drag state
+  const [dragEntry, setDragEntry] = useState(null);
+  const [hoverKey, setHoverKey] = useState(null);
+  const dragPosition = useRef(new Animated.ValueXY()).current;
+  const containerRef = useRef(null);
+  const containerOffset = useRef({ x: 0, y: 0 });
+  const cellRefs = useRef({});
+  const cellRects = useRef({});
+
+  const todayKey = toDateKey(new Date());
+  const weeks = mode === 'month'
+    ? getMonthGrid(anchorDate.getFullYear(), anchorDate.getMonth())
+    : [getWeekDays(anchorDate)];
+  const selectedEntries = tasksByDate[selectedKey] || [];
+
+  /**
+   * Title shown between the previous/next arrows
+   */
+  const getPeriodLabel = () => {
+    if (mode === 'month') {
+      return anchorDate.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    }
+    const days = weeks[0];
+    return `${toDateKey(days[0])} – ${toDateKey(days[6])}`;
+  };
+
+  /**
+   * Move to the previous or next month/week
+   */
+  const shiftPeriod = (direction) => {
+    if (mode === 'month') {
+      setAnchorDate(new Date(anchorDate.getFullYear(), anchorDate.getMonth() + direction, 1));
+    } else {
+      setAnchorDate(addDays(anchorDate, direction * 7));
+    }
+  };
+
+  /**
+   * Find the day cell under a point on screen
+   */
+  const findCellAt = (x, y) => {
+    const match = Object.entries(cellRects.current).find(([, rect]) => (
+      x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height
+    ));
+    return match ? match[0] : null;
+  };
+
+  /**
+   * Start dragging a task: remember where every day cell is on screen
+   */
+  const handleDragStart = (entry, gesture) => {
+    cellRects.current = {};
+    Object.entries(cellRefs.current).forEach(([key, ref]) => {
+      if (ref) {
+        ref.measureInWindow((x, y, width, height) => {
+          cellRects.current[key] = { x, y, width, height };
+        });
+      }
+    });
+    if (containerRef.current) {
+      containerRef.current.measureInWindow((x, y) => {
+        containerOffset.current = { x, y };
+      });
+    }
+    dragPosition.setValue({ x: gesture.x0 - containerOffset.current.x, y: gesture.y0 - containerOffset.current.y });
+    setDragEntry(entry);
+  };
+
+  /**
+   * Follow the finger and highlight the day cell underneath
+   */
+  const handleDragMove = (gesture) => {
+    dragPosition.setValue({
+      x: gesture.moveX - containerOffset.current.x,
+      y: gesture.moveY - containerOffset.current.y,
+    });
+    const key = findCellAt(gesture.moveX, gesture.moveY);
+    if (key !== hoverKey) setHoverKey(key);
+  };
+
+  /**
+   * Drop the task: reschedule it to the day it was released on
+   */
+  const handleDragEnd = async (gesture) => {
+    const entry = dragEntry;
+    const targetKey = gesture ? findCellAt(gesture.moveX, gesture.moveY) : null;
+    setDragEntry(null);
+    setHoverKey(null);
+    if (entry && targetKey && targetKey !== entry.task.dueDate) {
+      await updateTask(entry.semester.id, entry.subject.id, entry.task.id, { dueDate: targetKey });
+      setSelectedKey(targetKey);
+    }
+  };
+
+  /**
+   * Open the task list that owns a task
+   */
+  const openTask = ({ semester, subject }) => {
+    navigation.navigate('Tasks', {
+      semesterId: semester.id,
+      subjectId: subject.id,
+      subject: subject.name,
+      colorTag: subject.colorTag,
+    });
+  };
+
+  /**
+   * Render a single day cell with one dot per subject that has tasks that day
+   */
+  const renderDay = (date) => {
+    const key = toDateKey(date);
+    const entries = tasksByDate[key] || [];
+    const dots = getSubjectDots(entries);
+    const outsideMonth = mode === 'month' && date.getMonth() !== anchorDate.getMonth();
+    return (
+      <Pressable
+        key={key}
+        ref={(ref) => { cellRefs.current[key] = ref; }}
+        onPress={() => setSelectedKey(key)}
+        style={[
+          styles.dayCell,
+          mode === 'week' && styles.weekDayCell,
+          key === selectedKey && { backgroundColor: theme.colors.primaryContainer },
+          key === hoverKey && { borderColor: theme.colors.primary, borderWidth: 2 },
+        ]}
+      >
+        <Text
+          style={[
+            styles.dayNumber,
+            outsideMonth && styles.outsideMonth,
+            key === todayKey && { color: theme.colors.primary, fontWeight: 'bold' },
+          ]}
+        >
+          {date.getDate()}
+        </Text>
+        <View style={styles.dots}>
+          {dots.slice(0, MAX_DOTS).map((color, index) => (
+            <View key={index} style={[styles.dot, { backgroundColor: color }]} />
+          ))}
+        </View>
+        {mode === 'week' && entries.length > 0 && (
+          <Text style={styles.weekCount}>{entries.length}</Text>
+        )}
+      </Pressable>
+    );
+  };
+
+  return (
+    <View
+      ref={containerRef}
+      style={[styles.container, { backgroundColor: theme.colors.background }]}
+    >
+      <ScrollView scrollEnabled={!dragEntry} contentContainerStyle={styles.content}>
+        <SegmentedButtons
+          value={mode}
+          onValueChange={setMode}
+          buttons={[
+            { value: 'month', label: 'Month', icon: 'calendar-month' },
+            { value: 'week', label: 'Week', icon: 'calendar-week' },
+          ]}
+          style={styles.modeSwitch}
+        />
+
+        {/* Period navigation */}
+        <View style={styles.periodRow}>
+          <IconButton icon="chevron-left" onPress={() => shiftPeriod(-1)} />
+          <Text style={styles.periodLabel}>{getPeriodLabel()}</Text>
+          <IconButton icon="chevron-right" onPress={() => shiftPeriod(1)} />
+        </View>
+
+        {/* Day grid */}
+        <View style={styles.weekRow}>
+          {WEEKDAY_LABELS.map(label => (
+            <Text key={label} style={styles.weekdayLabel}>{label}</Text>
+          ))}
+        </View>
+        {weeks.map(week => (
+          <View key={toDateKey(week[0])} style={styles.weekRow}>
+            {week.map(renderDay)}
+          </View>
+        ))}
+
+        {/* Tasks of the selected day */}
+        <Text style={styles.dayHeader}>Due {selectedKey}</Text>
+        {selectedEntries.length > 0 ? (
+          selectedEntries.map(entry => (
+            <DraggableTask
+              key={entry.task.id}
+              entry={entry}
+              onDragStart={handleDragStart}
+              onDragMove={handleDragMove}
+              onDragEnd={handleDragEnd}
+              onToggle={() => toggleTaskCompletion(entry.semester.id, entry.subject.id, entry.task.id)}
+              onOpen={() => openTask(entry)}
+            />
+          ))
+        ) : (
+          <Paragraph style={styles.emptyText}>No tasks due on this day.</Paragraph>
+        )}
+        {selectedEntries.length > 0 && (
+          <Paragraph style={styles.hint}>Drag a task by its handle onto another day to reschedule it.</Paragraph>
+        )}
+      </ScrollView>
+
+      {/* Floating preview of the task being dragged */}
+      {dragEntry && (
+        <Animated.View
+          pointerEvents="none"
+          style={[
+            styles.dragPreview,
+            { backgroundColor: dragEntry.subject.colorTag },
+            { transform: [{ translateX: dragPosition.x }, { translateY: dragPosition.y }] },
+          ]}
+        >
+          <Text style={styles.dragPreviewText} numberOfLines={1}>{dragEntry.task.title}</Text>
+        </Animated.View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  modeSwitch: {
+    marginBottom: 8,
+  },
+  periodRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  periodLabel: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#1E293B',
+  },
+  weekRow: {
+    flexDirection: 'row',
+  },
+  weekdayLabel: {
+    flex: 1,
+    textAlign: 'center',
+    fontSize: 12,
+    color: '#64748B',
+    marginBottom: 4,
+  },
+  dayCell: {
+    flex: 1,
+    height: 52,
+    alignItems: 'center',
+    paddingTop: 4,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  weekDayCell: {
+    height: 88,
+  },
+  dayNumber: {
+    fontSize: 14,
+    color: '#1E293B',
+  },
+  outsideMonth: {
+    color: '#CBD5E1',
+  },
+  dots: {
+    flexDirection: 'row',
+    marginTop: 4,
+  },
+  dot: {
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+    marginHorizontal: 1,
+  },
+  weekCount: {
+    fontSize: 12,
+    color: '#64748B',
+    marginTop: 8,
+  },
+  dayHeader: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#64748B',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  taskCard: {
+    marginBottom: 12,
+    elevation: 2,
+  },
+  completedCard: {
+    opacity: 0.6,
+  },
+  taskRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  taskInfo: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  taskTitle: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#1E293B',
+  },
+  completedText: {
+    textDecorationLine: 'line-through',
+    color: '#9CA3AF',
+  },
+  taskMeta: {
+    fontSize: 12,
+    color: '#64748B',
+    marginTop: 4,
+  },
+  dragHandle: {
+    padding: 8,
+  },
+  emptyText: {
+    textAlign: 'center',
+    marginTop: 16,
+    fontStyle: 'italic',
+    color: '#64748B',
+  },
+  hint: {
+    fontSize: 12,
+    textAlign: 'center',
+    color: '#64748B',
+  },
+  dragPreview: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    maxWidth: 200,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    elevation: 4,
+  },
+  dragPreviewText: {
+    color: '#FFFFFF',
+    fontWeight: 'bold',
+  },
+});
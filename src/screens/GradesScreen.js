@@ -0,0 +1,367 @@
+import React, { useState, useEffect } from 'react';
+import { View, ScrollView, StyleSheet } from 'react-native';
+import {
+  Card,
+  Title,
+  Paragraph,
+  Text,
+  Chip,
+  TextInput,
+  Button,
+  List,
+  Snackbar,
+  useTheme
+} from 'react-native-paper';
+import { updateGradeCategories, setTaskGrade } from '../utils/storage';
+import {
+  getSubjectGrade,
+  getNeededScore,
+  getLetterGrade,
+  formatGrade,
+  roundPercent,
+  isGraded,
+  parseScore
+} from '../utils/grades';
+import { dueSortKey } from '../utils/dates';
+import { isArchived } from '../utils/semesters';
+import useStore from '../hooks/useStore';
+import GradeDialog from '../components/GradeDialog';
+import GradeCategoriesDialog from '../components/GradeCategoriesDialog';
+
+/**
+ * Pick the task the projection starts on: the last exam still to be graded, otherwise
+ * the last ungraded task
+ */
+const pickFinal = (candidates) => {
+  const exams = candidates.filter(t => t.type === 'exam');
+  const pool = exams.length > 0 ? exams : candidates;
+  return pool.length > 0 ? pool[pool.length - 1] : null;
+};
+
+/**
+ * GradesScreen Component
+ * Running grade of one subject with its grading categories, graded tasks and a
+ * projection of the score still needed on an upcoming task such as the final
+ */
+export default function GradesScreen({ route, navigation }) {
+  const { semesterId, subjectId } = route.params;
+  const theme = useTheme();
+  const semester = useStore(state => state.semesters.find(s => s.id === semesterId));
+  const subject = useStore(state => (state.data[semesterId] || {})[subjectId]);
+
+  // State management
+  const [categoriesVisible, setCategoriesVisible] = useState(false);
+  const [gradingTask, setGradingTask] = useState(null);
+  const [targetId, setTargetId] = useState(null);
+  const [targetGrade, setTargetGrade] = useState('90');
+  const [snackbarVisible, setSnackbarVisible] = useState(false);
+  const [snackbarMessage, setSnackbarMessage] = useState('');
+
+  // Archived semesters are read-only until they are restored
+  const archived = isArchived(semester);
+
+  /**
+   * Show the subject name in the header
+   */
+  useEffect(() => {
+    if (subject) {
+      navigation.setOptions({ title: `${subject.name} – Grades` });
+    }
+  }, [subject && subject.name]);
+
+  if (!subject) {
+    return (
+      <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+        <Paragraph style={styles.emptyText}>This subject no longer exists.</Paragraph>
+      </View>
+    );
+  }
+
+  const grade = getSubjectGrade(subject);
+  const categories = subject.gradeCategories || [];
+  const categoryNames = Object.fromEntries(categories.map(c => [c.id, c.name]));
+  const byDue = [...subject.tasks].sort((a, b) => dueSortKey(a).localeCompare(dueSortKey(b)));
+  const gradedTasks = byDue.filter(isGraded);
+  // With categories, a task only moves the grade once it belongs to one
+  const candidates = byDue.filter(t => !isGraded(t) && (!grade.weighted || categoryNames[t.category]));
+  const target = candidates.find(t => t.id === targetId) || pickFinal(candidates);
+  const targetPercent = parseScore(targetGrade);
+  const needed = target && targetPercent !== null ? getNeededScore(subject, target, targetPercent) : null;
+
+  /**
+   * Handle saving the grading categories
+   * A nameless or repeated category, or one without a positive weight, stays in the dialog to be fixed
+   */
+  const handleSaveCategories = async (changes) => {
+    await updateGradeCategories(semesterId, subjectId, changes);
+    setCategoriesVisible(false);
+  };
+
+  /**
+   * Handle saving the grade of a task and confirming it in the snackbar
+   * Invalid scores reject before the snackbar, leaving the grading dialog open with the error
+   */
+  const handleSaveGrade = async (changes) => {
+    await setTaskGrade(semesterId, subjectId, gradingTask.id, changes);
+    setGradingTask(null);
+    setSnackbarMessage(changes.score === null ? 'Grade cleared' : 'Grade saved');
+    setSnackbarVisible(true);
+  };
+
+  /**
+   * Describe what the projection means for the chosen task
+   */
+  const renderProjection = () => {
+    if (!needed) return null;
+    const points = `${roundPercent(Math.max(0, needed.score))} / ${needed.maxScore}`;
+    if (needed.percent > 100) {
+      return (
+        <Text style={[styles.projection, { color: '#EF4444' }]}>
+          {`Out of reach: even ${needed.maxScore} / ${needed.maxScore} won't get you to ${targetPercent}%.`}
+        </Text>
+      );
+    }
+    if (needed.score <= 0) {
+      return (
+        <Text style={[styles.projection, { color: '#10B981' }]}>
+          {`Secured: you stay at ${targetPercent}% or above whatever you score.`}
+        </Text>
+      );
+    }
+    return (
+      <Text style={styles.projection}>
+        {`You need ${points} (${roundPercent(needed.percent)}%) on "${target.title}".`}
+      </Text>
+    );
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        {/* Running grade */}
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Current grade</Title>
+            {grade.percent !== null ? (
+              <>
+                <Text style={[styles.grade, { color: subject.colorTag }]}>{formatGrade(grade.percent)}</Text>
+                <Text style={styles.caption}>
+                  {`${getLetterGrade(grade.percent).points.toFixed(1)} grade points · `}
+                  {`${grade.graded} graded ${grade.graded === 1 ? 'task' : 'tasks'} · `}
+                  {grade.weighted ? 'weighted by category' : 'total of all points'}
+                </Text>
+              </>
+            ) : (
+              <Paragraph style={styles.caption}>
+                No grades yet. Use "Grade…" in a task's menu to record a score.
+              </Paragraph>
+            )}
+          </Card.Content>
+        </Card>
+
+        {/* Grading categories */}
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Categories</Title>
+            {categories.length === 0 && (
+              <Paragraph style={styles.caption}>
+                No categories: every point counts the same. Add categories such as homework 20%,
+                midterm 30% and final 50% to weight them.
+              </Paragraph>
+            )}
+            {grade.categories.map(category => (
+              <View key={category.id} style={styles.categoryRow}>
+                <View style={styles.categoryName}>
+                  <Text style={styles.name}>{category.name}</Text>
+                  <Text style={styles.caption}>
+                    {`${category.weight}% · ${category.graded} of ${category.total} graded`}
+                  </Text>
+                </View>
+                <Text style={styles.categoryGrade}>
+                  {category.percent !== null ? `${roundPercent(category.percent)}%` : '–'}
+                </Text>
+              </View>
+            ))}
+            {grade.uncategorized > 0 && (
+              <Text style={styles.warningText}>
+                {grade.uncategorized} graded {grade.uncategorized === 1 ? 'task has' : 'tasks have'} no
+                category and {grade.uncategorized === 1 ? "doesn't" : "don't"} count.
+              </Text>
+            )}
+          </Card.Content>
+          {!archived && (
+            <Card.Actions>
+              <Button onPress={() => setCategoriesVisible(true)}>Edit categories</Button>
+            </Card.Actions>
+          )}
+        </Card>
+
+        {/* What do I need on the final */}
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>What do I need?</Title>
+            {candidates.length === 0 ? (
+              <Paragraph style={styles.caption}>
+                {grade.weighted
+                  ? 'Give an upcoming task such as the final a category to see the score it needs.'
+                  : 'Add an upcoming task such as the final to see the score it needs.'}
+              </Paragraph>
+            ) : (
+              <>
+                <View style={styles.chipRow}>
+                  {candidates.map(task => (
+                    <Chip
+                      key={task.id}
+                      selected={target && target.id === task.id}
+                      onPress={() => setTargetId(task.id)}
+                      style={styles.chip}
+                    >
+                      {task.title}
+                    </Chip>
+                  ))}
+                </View>
+                <TextInput
+                  label="Target grade (%)"
+                  value={targetGrade}
+                  onChangeText={setTargetGrade}
+                  mode="outlined"
+                  keyboardType="decimal-pad"
+                  style={styles.input}
+                />
+                {renderProjection()}
+                {!(target.maxScore > 0) && (
+                  <Text style={styles.caption}>Assumes the task is scored out of 100.</Text>
+                )}
+              </>
+            )}
+          </Card.Content>
+        </Card>
+
+        {/* Graded tasks */}
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Graded tasks</Title>
+            {gradedTasks.length === 0 && <Paragraph style={styles.caption}>Nothing graded yet.</Paragraph>}
+          </Card.Content>
+          {gradedTasks.map(task => (
+            <List.Item
+              key={task.id}
+              title={task.title}
+              description={categoryNames[task.category] || (grade.weighted ? 'No category' : null)}
+              right={() => (
+                <Text style={styles.score}>
+                  {`${task.score} / ${task.maxScore} · ${roundPercent((task.score / task.maxScore) * 100)}%`}
+                </Text>
+              )}
+              onPress={archived ? undefined : () => setGradingTask(task)}
+            />
+          ))}
+        </Card>
+      </ScrollView>
+
+      {/* Grading Categories Dialog */}
+      <GradeCategoriesDialog
+        visible={categoriesVisible}
+        subject={subject}
+        onDismiss={() => setCategoriesVisible(false)}
+        onSubmit={handleSaveCategories}
+      />
+
+      {/* Task Grade Dialog */}
+      <GradeDialog
+        visible={gradingTask !== null}
+        task={gradingTask}
+        categories={categories}
+        onDismiss={() => setGradingTask(null)}
+        onSubmit={handleSaveGrade}
+      />
+
+      {/* Confirmation Snackbar */}
+      <Snackbar
+        visible={snackbarVisible}
+        onDismiss={() => setSnackbarVisible(false)}
+        duration={3000}
+        action={{
+          label: 'OK',
+          onPress: () => setSnackbarVisible(false),
+        }}
+      >
+        {snackbarMessage}
+      </Snackbar>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+  },
+  card: {
+    marginBottom: 12,
+    elevation: 2,
+  },
+  grade: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    marginVertical: 8,
+  },
+  caption: {
+    fontSize: 12,
+    color: '#64748B',
+  },
+  categoryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  categoryName: {
+    flex: 1,
+  },
+  name: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1E293B',
+  },
+  categoryGrade: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#1E293B',
+  },
+  warningText: {
+    fontSize: 12,
+    color: '#B45309',
+    marginTop: 12,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  chip: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  input: {
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  projection: {
+    fontSize: 14,
+    color: '#1E293B',
+    marginBottom: 4,
+  },
+  score: {
+    alignSelf: 'center',
+    fontSize: 13,
+    color: '#1E293B',
+  },
+  emptyText: {
+    textAlign: 'center',
+    marginTop: 32,
+    fontStyle: 'italic',
+    color: '#64748B',
+  },
+});
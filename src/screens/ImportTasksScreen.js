@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import { View, ScrollView, StyleSheet } from 'react-native';
+import {
+  Card,
+  Title,
+  Paragraph,
+  TextInput,
+  Button,
+  SegmentedButtons,
+  Checkbox,
+  List,
+  Snackbar,
+  Text,
+  useTheme
+} from 'react-native-paper';
+import { addTasks } from '../utils/storage';
+import { parseImportText, detectImportFormat } from '../utils/taskImport';
+import { getTaskType } from '../utils/taskOptions';
+import { pickTextFile } from '../utils/share';
+import useStore from '../hooks/useStore';
+
+/**
+ * ImportTasksScreen Component
+ * Adds many deadlines to a subject at once from CSV or pasted lines like "HW3 - Oct 12"
+ */
+export default function ImportTasksScreen({ route, navigation }) {
+  const { semesterId, subjectId } = route.params;
+  const theme = useTheme();
+  const subject = useStore(state => (state.data[semesterId] || {})[subjectId]);
+
+  // State management
+  const [text, setText] = useState('');
+  const [format, setFormat] = useState('auto');
+  const [dayFirst, setDayFirst] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [snackbarVisible, setSnackbarVisible] = useState(false);
+  const [snackbarMessage, setSnackbarMessage] = useState('');
+
+  const resolvedFormat = format === 'auto' ? detectImportFormat(text) : format;
+  const rows = parseImportText(text, { format: resolvedFormat, dayFirst });
+  const validRows = rows.filter(row => row.task);
+  const errorCount = rows.length - validRows.length;
+
+  /**
+   * Show a short message at the bottom of the screen
+   */
+  const showMessage = (message) => {
+    setSnackbarMessage(message);
+    setSnackbarVisible(true);
+  };
+
+  /**
+   * Handle loading a CSV or text file into the editor
+   */
+  const handleLoadFile = async () => {
+    try {
+      const file = await pickTextFile(['text/csv', 'text/comma-separated-values', 'text/plain', '*/*']);
+      if (file) setText(file.text);
+    } catch (error) {
+      showMessage(error.message);
+    }
+  };
+
+  /**
+   * Handle creating every valid row as a task in one write
+   */
+  const handleImport = async () => {
+    setBusy(true);
+    try {
+      await addTasks(semesterId, subjectId, validRows.map(row => ({ ...row.task, completed: false })));
+      navigation.goBack();
+    } catch (error) {
+      showMessage(error.message);
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Render one preview row, either the task it becomes or why it can't be read
+   */
+  const renderRow = row => (row.task ? (
+    <List.Item
+      key={row.line}
+      title={row.task.title}
+      description={[row.task.dueDate, row.task.type && getTaskType(row.task.type).label, row.task.notes]
+        .filter(Boolean)
+        .join(' · ')}
+      left={props => <List.Icon {...props} icon="check-circle-outline" color="#10B981" />}
+    />
+  ) : (
+    <List.Item
+      key={row.line}
+      title={`Line ${row.line}: ${row.source}`}
+      description={row.error}
+      descriptionStyle={styles.error}
+      left={props => <List.Icon {...props} icon="alert-circle-outline" color="#EF4444" />}
+    />
+  ));
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        {/* Input */}
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Import deadlines{subject ? ` into ${subject.name}` : ''}</Title>
+            <Paragraph style={styles.description}>
+              Paste one deadline per line (e.g. "HW3 - Oct 12"), or CSV with the columns
+              title, due date, type and notes.
+            </Paragraph>
+            <TextInput
+              value={text}
+              onChangeText={setText}
+              mode="outlined"
+              multiline
+              numberOfLines={8}
+              placeholder={'HW1 - Sep 15\nMidterm: Oct 20\nLab report 2, 2025-11-03'}
+              style={styles.input}
+            />
+            <SegmentedButtons
+              value={format}
+              onValueChange={setFormat}
+              buttons={[
+                { value: 'auto', label: 'Auto' },
+                { value: 'lines', label: 'Lines' },
+                { value: 'csv', label: 'CSV' },
+              ]}
+              style={styles.segments}
+            />
+            <Checkbox.Item
+              label="Numeric dates are day first (12/10 = 12 Oct)"
+              status={dayFirst ? 'checked' : 'unchecked'}
+              onPress={() => setDayFirst(!dayFirst)}
+              color={theme.colors.primary}
+              labelStyle={styles.checkboxLabel}
+            />
+          </Card.Content>
+          <Card.Actions>
+            <Button icon="file-upload-outline" onPress={handleLoadFile} disabled={busy}>
+              Load file
+            </Button>
+          </Card.Actions>
+        </Card>
+
+        {/* Preview */}
+        {rows.length > 0 && (
+          <Card style={styles.card}>
+            <Card.Content>
+              <Title>Preview</Title>
+              <Text style={styles.summary}>
+                {validRows.length} ready to import
+                {errorCount > 0 ? ` · ${errorCount} with errors will be skipped` : ''}
+                {format === 'auto' ? ` · read as ${resolvedFormat === 'csv' ? 'CSV' : 'lines'}` : ''}
+              </Text>
+            </Card.Content>
+            {rows.map(renderRow)}
+            <Card.Actions>
+              <Button
+                mode="contained"
+                onPress={handleImport}
+                disabled={busy || validRows.length === 0}
+              >
+                Import {validRows.length} {validRows.length === 1 ? 'task' : 'tasks'}
+              </Button>
+            </Card.Actions>
+          </Card>
+        )}
+      </ScrollView>
+
+      {/* Error Snackbar */}
+      <Snackbar
+        visible={snackbarVisible}
+        onDismiss={() => setSnackbarVisible(false)}
+        duration={3000}
+        action={{
+          label: 'OK',
+          onPress: () => setSnackbarVisible(false),
+        }}
+      >
+        {snackbarMessage}
+      </Snackbar>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+  },
+  card: {
+    marginBottom: 12,
+    elevation: 2,
+  },
+  description: {
+    color: '#64748B',
+  },
+  input: {
+    marginTop: 12,
+    minHeight: 140,
+  },
+  segments: {
+    marginTop: 12,
+  },
+  checkboxLabel: {
+    fontSize: 14,
+  },
+  summary: {
+    color: '#64748B',
+  },
+  error: {
+    color: '#EF4444',
+  },
+});
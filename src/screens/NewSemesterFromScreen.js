@@ -0,0 +1,338 @@
+import React, { useState, useEffect } from 'react';
+import { View, ScrollView, StyleSheet, Platform } from 'react-native';
+import {
+  Card,
+  Title,
+  Paragraph,
+  TextInput,
+  Button,
+  SegmentedButtons,
+  Chip,
+  List,
+  IconButton,
+  Snackbar,
+  Text,
+  useTheme
+} from 'react-native-paper';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import {
+  CLONE_MODES,
+  SEMESTER_TEMPLATES,
+  buildSemesterPlan,
+  suggestOffsetDays,
+  createSemesterFromPlan
+} from '../utils/semesterTemplates';
+import { parseDateKey, toDateKey } from '../utils/dates';
+import useStore from '../hooks/useStore';
+
+/**
+ * NewSemesterFromScreen Component
+ * Starts a semester from an existing one (subjects and colors, optionally with tasks
+ * shifted to the new dates) or from a built-in template, with a preview before saving
+ */
+export default function NewSemesterFromScreen({ route, navigation }) {
+  const theme = useTheme();
+  const semesters = useStore(state => state.semesters);
+  const data = useStore(state => state.data);
+
+  // State management
+  const [mode, setMode] = useState('subjects');
+  const [sourceId, setSourceId] = useState((route.params && route.params.semesterId) || null);
+  const [templateId, setTemplateId] = useState(SEMESTER_TEMPLATES[0].id);
+  const [name, setName] = useState('');
+  const [startDate, setStartDate] = useState(null);
+  const [endDate, setEndDate] = useState(null);
+  const [pickerField, setPickerField] = useState(null);
+  const [offsetDays, setOffsetDays] = useState('0');
+  const [busy, setBusy] = useState(false);
+  const [snackbarVisible, setSnackbarVisible] = useState(false);
+  const [snackbarMessage, setSnackbarMessage] = useState('');
+
+  const source = semesters.find(s => s.id === sourceId);
+  const offset = parseInt(offsetDays, 10) || 0;
+  const plan = buildSemesterPlan({
+    mode,
+    sourceData: source ? data[source.id] : {},
+    templateId,
+    offsetDays: offset,
+  });
+  const taskCount = plan.subjects.reduce((count, subject) => count + subject.tasks.length, 0);
+  const needsSource = mode !== 'template' && !source;
+  const datesInvalid = !!(startDate && endDate && endDate < startDate);
+
+  /**
+   * Default the offset to the gap between the two start dates when both are known
+   */
+  useEffect(() => {
+    const suggested = suggestOffsetDays(source, startDate);
+    if (suggested !== null) setOffsetDays(String(suggested));
+  }, [sourceId, startDate]);
+
+  /**
+   * Handle date picker changes for the start or end date
+   */
+  const onDateChange = (event, selectedDate) => {
+    const field = pickerField;
+    setPickerField(Platform.OS === 'ios' ? field : null);
+    if (!selectedDate) return;
+    if (field === 'start') {
+      setStartDate(toDateKey(selectedDate));
+    } else {
+      setEndDate(toDateKey(selectedDate));
+    }
+  };
+
+  /**
+   * Handle creating the previewed semester and opening it
+   */
+  const handleCreate = async () => {
+    setBusy(true);
+    try {
+      // A semester that hasn't started yet is upcoming
+      const status = startDate && startDate > toDateKey(new Date()) ? 'upcoming' : 'active';
+      const semester = await createSemesterFromPlan(name.trim(), { startDate, endDate, status }, plan);
+      navigation.replace('Subjects', { semesterId: semester.id, semester: semester.name });
+    } catch (error) {
+      setSnackbarMessage(error.message);
+      setSnackbarVisible(true);
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Render a date button with a clear action once a date is chosen
+   */
+  const renderDateButton = (field, label, value, clear) => (
+    <View style={styles.dateRow}>
+      <Button
+        mode="outlined"
+        icon="calendar"
+        onPress={() => setPickerField(field)}
+        style={styles.dateButton}
+      >
+        {value ? `${label}: ${value}` : `Add ${label}`}
+      </Button>
+      {value && <IconButton icon="close" size={20} onPress={clear} />}
+    </View>
+  );
+
+  /**
+   * Render one subject of the preview with the tasks it will get
+   */
+  const renderPlannedSubject = (subject) => (
+    <View key={subject.name} style={styles.previewSubject}>
+      <List.Item
+        title={subject.name}
+        description={mode === 'tasks'
+          ? `${subject.tasks.length} ${subject.tasks.length === 1 ? 'task' : 'tasks'}`
+          : null}
+        left={props => <List.Icon {...props} icon="circle" color={subject.colorTag} />}
+      />
+      {subject.tasks.map((task, index) => (
+        <Text key={index} style={styles.previewTask}>
+          {task.title} · {task.dueDate}{task.recurrence ? ' · repeats' : ''}
+        </Text>
+      ))}
+    </View>
+  );
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        {/* What to start from */}
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Start from</Title>
+            <SegmentedButtons
+              value={mode}
+              onValueChange={setMode}
+              buttons={CLONE_MODES}
+              style={styles.segments}
+            />
+            {mode === 'template' ? (
+              <>
+                <Text style={styles.label}>Template</Text>
+                <View style={styles.chipRow}>
+                  {SEMESTER_TEMPLATES.map(template => (
+                    <Chip
+                      key={template.id}
+                      selected={templateId === template.id}
+                      onPress={() => setTemplateId(template.id)}
+                      style={styles.chip}
+                    >
+                      {template.name}
+                    </Chip>
+                  ))}
+                </View>
+              </>
+            ) : (
+              <>
+                <Text style={styles.label}>Semester to copy</Text>
+                {semesters.length === 0 && (
+                  <Paragraph style={styles.description}>No semesters yet. Start from a template instead.</Paragraph>
+                )}
+                <View style={styles.chipRow}>
+                  {semesters.map(semester => (
+                    <Chip
+                      key={semester.id}
+                      selected={sourceId === semester.id}
+                      onPress={() => setSourceId(semester.id)}
+                      style={styles.chip}
+                    >
+                      {semester.name}
+                    </Chip>
+                  ))}
+                </View>
+              </>
+            )}
+            {mode === 'tasks' && (
+              <>
+                <TextInput
+                  label="Shift due dates by (days)"
+                  value={offsetDays}
+                  onChangeText={setOffsetDays}
+                  mode="outlined"
+                  keyboardType="numbers-and-punctuation"
+                  style={styles.input}
+                />
+                <Text style={styles.hint}>
+                  Filled in from the start dates when both semesters have one. Copied tasks start
+                  out pending.
+                </Text>
+              </>
+            )}
+          </Card.Content>
+        </Card>
+
+        {/* The new semester */}
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>New semester</Title>
+            <TextInput
+              label="Semester Name"
+              value={name}
+              onChangeText={setName}
+              mode="outlined"
+              placeholder="e.g., Spring 2026"
+              style={styles.input}
+            />
+            {renderDateButton('start', 'Start date', startDate, () => setStartDate(null))}
+            {renderDateButton('end', 'End date', endDate, () => setEndDate(null))}
+            {datesInvalid && (
+              <Text style={styles.error}>The end date must not be before the start date.</Text>
+            )}
+            {/* Date picker component */}
+            {pickerField && (
+              <DateTimePicker
+                value={parseDateKey(pickerField === 'start' ? startDate : endDate) || new Date()}
+                mode="date"
+                display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+                onChange={onDateChange}
+              />
+            )}
+          </Card.Content>
+        </Card>
+
+        {/* Preview */}
+        {!needsSource && (
+          <Card style={styles.card}>
+            <Card.Content>
+              <Title>Preview</Title>
+              <Text style={styles.description}>
+                {plan.subjects.length} {plan.subjects.length === 1 ? 'subject' : 'subjects'}
+                {mode === 'tasks' ? ` · ${taskCount} ${taskCount === 1 ? 'task' : 'tasks'}` : ''}
+              </Text>
+            </Card.Content>
+            {plan.subjects.map(renderPlannedSubject)}
+            <Card.Actions>
+              <Button
+                mode="contained"
+                onPress={handleCreate}
+                disabled={busy || !name.trim() || datesInvalid}
+              >
+                Create semester
+              </Button>
+            </Card.Actions>
+          </Card>
+        )}
+      </ScrollView>
+
+      {/* Error Snackbar */}
+      <Snackbar
+        visible={snackbarVisible}
+        onDismiss={() => setSnackbarVisible(false)}
+        duration={3000}
+        action={{
+          label: 'OK',
+          onPress: () => setSnackbarVisible(false),
+        }}
+      >
+        {snackbarMessage}
+      </Snackbar>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+  },
+  card: {
+    marginBottom: 12,
+    elevation: 2,
+  },
+  description: {
+    color: '#64748B',
+  },
+  segments: {
+    marginTop: 12,
+  },
+  label: {
+    marginTop: 16,
+    marginBottom: 4,
+    fontSize: 14,
+    color: '#64748B',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  input: {
+    marginTop: 12,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#64748B',
+    marginTop: 4,
+  },
+  dateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  dateButton: {
+    flex: 1,
+  },
+  error: {
+    fontSize: 12,
+    color: '#EF4444',
+    marginTop: 4,
+  },
+  previewSubject: {
+    paddingBottom: 8,
+  },
+  previewTask: {
+    fontSize: 12,
+    color: '#64748B',
+    marginLeft: 72,
+    marginRight: 16,
+    marginBottom: 2,
+  },
+});
@@ -0,0 +1,200 @@
+import React, { useState, useMemo } from 'react';
+import { View, SectionList, StyleSheet } from 'react-native';
+import {
+  Card,
+  Paragraph,
+  Searchbar,
+  Text,
+  List,
+  Icon,
+  useTheme
+} from 'react-native-paper';
+import { searchAll, getSearchTerms, highlightMatches, foldText } from '../utils/search';
+import { formatDue } from '../utils/dates';
+import useStore from '../hooks/useStore';
+
+/**
+ * SearchScreen Component
+ * Finds tasks, subjects and semesters by name as you type, grouped by semester and subject
+ */
+export default function SearchScreen({ navigation }) {
+  const theme = useTheme();
+  const state = useStore(s => s);
+
+  // State management
+  const [query, setQuery] = useState('');
+
+  const terms = getSearchTerms(query);
+  const sections = useMemo(() => searchAll(state, query), [state, query]);
+
+  /**
+   * Jump to the task list of a subject
+   */
+  const openTasks = ({ semester, subject }) => {
+    navigation.navigate('Tasks', {
+      semesterId: semester.id,
+      subjectId: subject.id,
+      subject: subject.name,
+      colorTag: subject.colorTag,
+    });
+  };
+
+  /**
+   * Render text with the matched parts in bold
+   */
+  const renderHighlighted = (text, style) => (
+    <Text style={style} numberOfLines={2}>
+      {highlightMatches(text, terms).map((part, index) => (
+        <Text key={index} style={part.match && styles.match}>{part.text}</Text>
+      ))}
+    </Text>
+  );
+
+  /**
+   * Jump to the subject list of a semester
+   */
+  const openSubjects = ({ semester }) => {
+    navigation.navigate('Subjects', { semesterId: semester.id, semester: semester.name });
+  };
+
+  /**
+   * Render a matching semester
+   */
+  const renderSemesterHeader = (section) => {
+    const count = Object.keys(state.data[section.semester.id] || {}).length;
+    return (
+      <List.Item
+        title={() => renderHighlighted(section.semester.name, styles.groupTitle)}
+        description={`Semester · ${count} ${count === 1 ? 'subject' : 'subjects'}`}
+        left={props => <List.Icon {...props} icon="calendar-range" />}
+        onPress={() => openSubjects(section)}
+        style={styles.groupHeader}
+      />
+    );
+  };
+
+  /**
+   * Render the semester/subject header of a result group
+   */
+  const renderSectionHeader = ({ section }) => (section.subject ? (
+    <List.Item
+      title={() => renderHighlighted(`${section.semester.name} › ${section.subject.name}`, styles.groupTitle)}
+      description={section.data.length > 0
+        ? `${section.data.length} matching ${section.data.length === 1 ? 'task' : 'tasks'}`
+        : `${section.subject.tasks.length} ${section.subject.tasks.length === 1 ? 'task' : 'tasks'}`}
+      left={props => <List.Icon {...props} icon="bookshelf" color={section.subject.colorTag} />}
+      onPress={() => openTasks(section)}
+      style={styles.groupHeader}
+    />
+  ) : renderSemesterHeader(section));
+
+  /**
+   * Render a matching task; notes are shown when they contain the search terms
+   */
+  const renderItem = ({ item, section }) => {
+    const { task } = item;
+    const notesMatch = task.notes && terms.some(term => foldText(task.notes).includes(term));
+    return (
+      <Card
+        style={[styles.card, { borderLeftColor: section.subject.colorTag, borderLeftWidth: 6 }]}
+        onPress={() => openTasks(section)}
+      >
+        <Card.Content style={styles.row}>
+          <Icon
+            source={task.completed ? 'check-circle' : 'circle-outline'}
+            color={task.completed ? '#10B981' : '#9CA3AF'}
+            size={20}
+          />
+          <View style={styles.info}>
+            {renderHighlighted(task.title, [styles.title, task.completed && styles.completedText])}
+            {task.dueDate ? <Text style={styles.meta}>Due: {formatDue(task)}</Text> : null}
+            {notesMatch && renderHighlighted(task.notes, styles.meta)}
+          </View>
+        </Card.Content>
+      </Card>
+    );
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <Searchbar
+        placeholder="Search tasks, subjects, semesters"
+        value={query}
+        onChangeText={setQuery}
+        autoFocus
+        style={styles.searchbar}
+      />
+      <SectionList
+        sections={sections}
+        renderItem={renderItem}
+        renderSectionHeader={renderSectionHeader}
+        keyExtractor={(item) => item.task.id}
+        stickySectionHeadersEnabled={false}
+        keyboardShouldPersistTaps="handled"
+        contentContainerStyle={styles.listContent}
+        ListEmptyComponent={
+          <Paragraph style={styles.emptyText}>
+            {terms.length > 0 ? `Nothing matches "${query.trim()}"` : 'Type to search everything'}
+          </Paragraph>
+        }
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  searchbar: {
+    margin: 16,
+    marginBottom: 0,
+  },
+  listContent: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  groupHeader: {
+    paddingHorizontal: 0,
+  },
+  groupTitle: {
+    fontSize: 16,
+    color: '#1E293B',
+  },
+  card: {
+    marginBottom: 12,
+    elevation: 2,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  info: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#1E293B',
+  },
+  completedText: {
+    textDecorationLine: 'line-through',
+    color: '#9CA3AF',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#64748B',
+    marginTop: 4,
+  },
+  match: {
+    fontWeight: 'bold',
+    color: '#6C63FF',
+  },
+  emptyText: {
+    textAlign: 'center',
+    marginTop: 32,
+    fontStyle: 'italic',
+    color: '#64748B',
+  },
+});
@@ -1,25 +1,43 @@
-import React, { useState, useCallback } from 'react';
-import { View, FlatList, StyleSheet } from 'react-native';
+import React, { useState, useEffect, useLayoutEffect } from 'react';
+import { View, StyleSheet } from 'react-native';
 import { 
   Card, 
   Title, 
   FAB, 
-  Portal, 
-  Dialog, 
-  TextInput, 
-  Button, 
   IconButton, 
+  Icon,
+  List,
   Paragraph,
   Snackbar,
+  ProgressBar,
+  Text,
+  Chip,
+  Menu,
   useTheme 
 } from 'react-native-paper';
-import { useFocusEffect } from '@react-navigation/native';
 import { 
-  loadSemesters, 
   addSemester, 
   deleteSemester, 
-  updateSemester 
+  updateSemester,
+  setSemesterStatus,
+  reorderSemesters,
+  updateSettings
 } from '../utils/storage';
+import { LIST_SORT_OPTIONS, sortList } from '../utils/ordering';
+import { restoreFromTrash } from '../utils/trash';
+import { getProgress, getSemesterTasks } from '../utils/progress';
+import {
+  isArchived,
+  getSemesterStatus,
+  getCurrentSemester,
+  countTasksOutsideSemester,
+  formatSemesterDates
+} from '../utils/semesters';
+import { getSemesterGpa } from '../utils/grades';
+import { load } from '../utils/repository';
+import useStore from '../hooks/useStore';
+import DraggableList from '../components/DraggableList';
+import SemesterDialog from '../components/SemesterDialog';
 
 /**
  * SemesterScreen Component
@@ -28,64 +46,143 @@ import {
 export default function SemesterScreen({ navigation }) {
   const theme = useTheme();
   
+  // Semesters come straight from the repository and update automatically
+  const semesters = useStore(state => state.semesters);
+  const sort = useStore(state => state.settings.semesterSort) || 'manual';
+  const progressById = useStore(state => Object.fromEntries(
+    state.semesters.map(s => [s.id, getProgress(getSemesterTasks(state, s.id))])
+  ));
+  const outsideById = useStore(state => Object.fromEntries(
+    state.semesters.map(s => [s.id, countTasksOutsideSemester(s, state.data[s.id])])
+  ));
+  const gpaById = useStore(state => Object.fromEntries(
+    state.semesters.map(s => [s.id, getSemesterGpa(state.data[s.id])])
+  ));
+
   // State management
-  const [semesters, setSemesters] = useState([]);
   const [dialogVisible, setDialogVisible] = useState(false);
   const [editingSemester, setEditingSemester] = useState(null);
-  const [semesterName, setSemesterName] = useState('');
+  const [archiveExpanded, setArchiveExpanded] = useState(false);
   const [snackbarVisible, setSnackbarVisible] = useState(false);
   const [snackbarMessage, setSnackbarMessage] = useState('');
+  const [undoEntryId, setUndoEntryId] = useState(null);
+  const [sortMenuVisible, setSortMenuVisible] = useState(false);
+  const [fabOpen, setFabOpen] = useState(false);
+
+  const sortOption = LIST_SORT_OPTIONS.find(o => o.value === sort) || LIST_SORT_OPTIONS[0];
+  const openSemesters = semesters.filter(s => !isArchived(s));
+  const archivedSemesters = semesters.filter(isArchived);
 
   /**
-   * Load semesters from storage when screen gains focus
+   * Open the active semester once when the app starts; back leads to the full list
    */
-  const loadSemestersData = async () => {
-    const data = await loadSemesters();
-    setSemesters(data);
-  };
+  useEffect(() => {
+    load().then((state) => {
+      const current = getCurrentSemester(state.semesters);
+      if (current) {
+        navigation.navigate('Subjects', { semesterId: current.id, semester: current.name });
+      }
+    });
+  }, []);
 
-  useFocusEffect(
-    useCallback(() => {
-      loadSemestersData();
-    }, [])
-  );
+  /**
+   * Header shortcuts to search, the agenda, calendar and app settings
+   */
+  useLayoutEffect(() => {
+    navigation.setOptions({
+      headerRight: () => (
+        <View style={styles.headerActions}>
+          <IconButton
+            icon="magnify"
+            iconColor="#fff"
+            onPress={() => navigation.navigate('Search')}
+          />
+          <IconButton
+            icon="calendar-clock"
+            iconColor="#fff"
+            onPress={() => navigation.navigate('Agenda')}
+          />
+          <IconButton
+            icon="calendar-month"
+            iconColor="#fff"
+            onPress={() => navigation.navigate('Calendar')}
+          />
+          <IconButton
+            icon="cog"
+            iconColor="#fff"
+            onPress={() => navigation.navigate('Settings')}
+          />
+        </View>
+      ),
+    });
+  }, [navigation]);
 
   /**
-   * Handle adding a new semester
+   * Handle saving the semester dialog, either adding a new semester or updating the edited one
    */
-  const handleAddSemester = async () => {
-    if (semesterName.trim()) {
-      await addSemester(semesterName.trim());
-      setSemesterName('');
+  const handleSubmitSemester = async ({ name, ...details }) => {
+    try {
+      if (editingSemester) {
+        await updateSemester(editingSemester.id, name, details);
+      } else {
+        await addSemester(name, details);
+      }
+      setEditingSemester(null);
       setDialogVisible(false);
-      loadSemestersData();
+    } catch (error) {
+      setUndoEntryId(null);
+      setSnackbarMessage(error.message);
+      setSnackbarVisible(true);
     }
   };
 
   /**
-   * Handle editing/renaming a semester
+   * Handle restoring an archived semester so it can be changed again
    */
-  const handleEditSemester = async () => {
-    if (semesterName.trim() && editingSemester) {
-      try {
-        await updateSemester(editingSemester, semesterName.trim());
-        setSemesterName('');
-        setEditingSemester(null);
-        setDialogVisible(false);
-        loadSemestersData();
-      } catch (error) {
-        setSnackbarMessage(error.message);
-        setSnackbarVisible(true);
-      }
+  const handleRestoreSemester = async (semesterId) => {
+    await setSemesterStatus(semesterId, 'active');
+    setUndoEntryId(null);
+    setSnackbarMessage('Semester restored');
+    setSnackbarVisible(true);
+  };
+
+  /**
+   * Handle deleting a semester; it goes to the trash and can be undone
+   */
+  const handleDeleteSemester = async (semesterId) => {
+    const entryId = await deleteSemester(semesterId);
+    setUndoEntryId(entryId);
+    setSnackbarMessage('Semester moved to trash');
+    setSnackbarVisible(true);
+  };
+
+  /**
+   * Handle undoing the last delete by restoring it from the trash
+   */
+  const handleUndo = async () => {
+    const entryId = undoEntryId;
+    setUndoEntryId(null);
+    try {
+      await restoreFromTrash(entryId);
+    } catch (error) {
+      setSnackbarMessage(error.message);
+      setSnackbarVisible(true);
     }
   };
 
   /**
-   * Handle deleting a semester
+   * Handle choosing how the semester list is ordered
    */
-  const handleDeleteSemester = async (semesterName) => {
-    await deleteSemester(semesterName);
-    loadSemestersData();
+  const handleChangeSort = (value) => {
+    setSortMenuVisible(false);
+    updateSettings({ semesterSort: value });
+  };
+
+  /**
+   * Save the order after a semester was dragged to a new place
+   */
+  const handleReorder = (orderedSemesters) => {
+    reorderSemesters(orderedSemesters.map(s => s.id));
   };
 
   /**
@@ -93,7 +190,6 @@ export default function SemesterScreen({ navigation }) {
    */
   const openAddDialog = () => {
     setEditingSemester(null);
-    setSemesterName('');
     setDialogVisible(true);
   };
 
@@ -102,20 +198,103 @@ export default function SemesterScreen({ navigation }) {
    */
   const openEditDialog = (semester) => {
     setEditingSemester(semester);
-    setSemesterName(semester);
     setDialogVisible(true);
   };
 
   /**
-   * Render a single semester card
+   * Render the task counts and completion bar of a semester
+   */
+  const renderProgress = (progress) => (
+    <View style={styles.progress}>
+      <Text style={styles.progressText}>
+        {progress.total} tasks · {progress.completed} done
+        {progress.overdue > 0 && <Text style={styles.overdueText}> · {progress.overdue} overdue</Text>}
+      </Text>
+      <ProgressBar
+        progress={progress.total ? progress.completed / progress.total : 0}
+        color={theme.colors.primary}
+        style={styles.progressBar}
+      />
+    </View>
+  );
+
+  /**
+   * Render the sort control above the list
+   */
+  const renderToolbar = () => (
+    <View style={styles.toolbar}>
+      <Menu
+        visible={sortMenuVisible}
+        onDismiss={() => setSortMenuVisible(false)}
+        anchor={
+          <Chip icon="sort" onPress={() => setSortMenuVisible(true)}>
+            {sortOption.label}
+          </Chip>
+        }
+      >
+        {LIST_SORT_OPTIONS.map(option => (
+          <Menu.Item
+            key={option.value}
+            title={option.label}
+            leadingIcon={option.value === sortOption.value ? 'check' : undefined}
+            onPress={() => handleChangeSort(option.value)}
+          />
+        ))}
+      </Menu>
+      {sortOption.value === 'manual' && openSemesters.length > 1 && (
+        <Text style={styles.hint}>Long-press a semester to reorder it</Text>
+      )}
+    </View>
+  );
+
+  /**
+   * Render a semester's dates, its status when upcoming, its GPA once graded subjects
+   * have credits, and a warning about tasks due outside its dates
+   */
+  const renderDetails = (semester) => {
+    const dates = formatSemesterDates(semester);
+    const outside = outsideById[semester.id] || 0;
+    const upcoming = getSemesterStatus(semester) === 'upcoming';
+    const gpa = gpaById[semester.id];
+    return (
+      <>
+        {(dates || upcoming) ? (
+          <Text style={styles.datesText}>
+            {[upcoming ? 'Upcoming' : null, dates].filter(Boolean).join(' · ')}
+          </Text>
+        ) : null}
+        {gpa && (
+          <Text style={styles.gpaText}>
+            GPA {gpa.gpa.toFixed(2)} · {gpa.credits} {gpa.credits === 1 ? 'credit' : 'credits'}
+          </Text>
+        )}
+        {outside > 0 && (
+          <View style={styles.warning}>
+            <Icon source="alert-outline" size={14} color="#F59E0B" />
+            <Text style={styles.warningText}>
+              {outside} {outside === 1 ? 'task is' : 'tasks are'} due outside the semester dates
+            </Text>
+          </View>
+        )}
+      </>
+    );
+  };
+
+  /**
+   * Render a single semester card; in manual order a long press picks it up
    */
-  const renderSemester = ({ item }) => (
+  const renderSemester = ({ item, drag }) => (
     <Card 
       style={styles.card}
-      onPress={() => navigation.navigate('Subjects', { semester: item })}
+      onPress={() => navigation.navigate('Subjects', { semesterId: item.id, semester: item.name })}
+      onLongPress={drag}
     >
       <Card.Content style={styles.cardContent}>
-        <Title style={styles.semesterTitle}>{item}</Title>
+        <View style={styles.semesterInfo}>
+          <Title>{item.name}</Title>
+          {renderDetails(item)}
+          {progressById[item.id] && renderProgress(progressById[item.id])}
+        </View>
         <View style={styles.actions}>
           <IconButton 
             icon="pencil" 
@@ -126,7 +305,39 @@ export default function SemesterScreen({ navigation }) {
           <IconButton 
             icon="delete" 
             size={20} 
-            onPress={() => handleDeleteSemester(item)}
+            onPress={() => handleDeleteSemester(item.id)}
+            iconColor={theme.colors.primary}
+          />
+        </View>
+      </Card.Content>
+    </Card>
+  );
+
+  /**
+   * Render an archived semester; it opens read-only and can be restored
+   */
+  const renderArchivedSemester = (semester) => (
+    <Card
+      key={semester.id}
+      style={[styles.card, styles.archivedCard]}
+      onPress={() => navigation.navigate('Subjects', { semesterId: semester.id, semester: semester.name })}
+    >
+      <Card.Content style={styles.cardContent}>
+        <View style={styles.semesterInfo}>
+          <Title style={styles.archivedTitle}>{semester.name}</Title>
+          {renderDetails(semester)}
+        </View>
+        <View style={styles.actions}>
+          <IconButton 
+            icon="archive-arrow-up-outline" 
+            size={20} 
+            onPress={() => handleRestoreSemester(semester.id)}
+            iconColor={theme.colors.primary}
+          />
+          <IconButton 
+            icon="delete" 
+            size={20} 
+            onPress={() => handleDeleteSemester(semester.id)}
             iconColor={theme.colors.primary}
           />
         </View>
@@ -134,58 +345,79 @@ export default function SemesterScreen({ navigation }) {
     </Card>
   );
 
+  /**
+   * Render the collapsed Archive section below the list
+   */
+  const renderArchive = () => (archivedSemesters.length > 0 ? (
+    <List.Accordion
+      title={`Archive (${archivedSemesters.length})`}
+      left={props => <List.Icon {...props} icon="archive-outline" />}
+      expanded={archiveExpanded}
+      onPress={() => setArchiveExpanded(!archiveExpanded)}
+      style={styles.archiveHeader}
+    >
+      {archivedSemesters.map(renderArchivedSemester)}
+    </List.Accordion>
+  ) : null);
+
   return (
     <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
-      <FlatList
-        data={semesters}
+      {openSemesters.length > 0 && renderToolbar()}
+      <DraggableList
+        data={sortList(openSemesters, sortOption.value)}
         renderItem={renderSemester}
-        keyExtractor={(item) => item}
+        keyExtractor={(item) => item.id}
+        onReorder={handleReorder}
+        enabled={sortOption.value === 'manual'}
         contentContainerStyle={styles.listContent}
         ListEmptyComponent={
           <Paragraph style={styles.emptyText}>
-            No semesters yet. Add one using the + button!
+            {archivedSemesters.length > 0
+              ? 'No current semesters. Add one using the + button!'
+              : 'No semesters yet. Add one using the + button!'}
           </Paragraph>
         }
+        ListFooterComponent={renderArchive()}
       />
       
-      {/* Floating Action Button */}
-      <FAB
-        icon="plus"
-        style={[styles.fab, { backgroundColor: theme.colors.primary }]}
-        onPress={openAddDialog}
+      {/* Floating Action Button: add a blank semester or start from another one */}
+      <FAB.Group
+        open={fabOpen}
+        visible
+        icon={fabOpen ? 'close' : 'plus'}
+        fabStyle={{ backgroundColor: theme.colors.primary }}
+        color="#fff"
+        onStateChange={({ open }) => setFabOpen(open)}
+        actions={[
+          { icon: 'plus', label: 'Add semester', onPress: openAddDialog },
+          {
+            icon: 'content-duplicate',
+            label: 'New semester from…',
+            onPress: () => navigation.navigate('NewSemesterFrom'),
+          },
+        ]}
       />
 
       {/* Add/Edit Semester Dialog */}
-      <Portal>
-        <Dialog visible={dialogVisible} onDismiss={() => setDialogVisible(false)}>
-          <Dialog.Title>
-            {editingSemester ? 'Edit Semester' : 'Add Semester'}
-          </Dialog.Title>
-          <Dialog.Content>
-            <TextInput
-              label="Semester Name"
-              value={semesterName}
-              onChangeText={setSemesterName}
-              mode="outlined"
-              placeholder="e.g., Fall 2024, Semester 1"
-              style={styles.input}
-            />
-          </Dialog.Content>
-          <Dialog.Actions>
-            <Button onPress={() => setDialogVisible(false)}>Cancel</Button>
-            <Button onPress={editingSemester ? handleEditSemester : handleAddSemester}>
-              {editingSemester ? 'Update' : 'Add'}
-            </Button>
-          </Dialog.Actions>
-        </Dialog>
-      </Portal>
-
-      {/* Error Snackbar */}
+      <SemesterDialog
+        visible={dialogVisible}
+        semester={editingSemester}
+        onDismiss={() => setDialogVisible(false)}
+        onSubmit={handleSubmitSemester}
+      />
+
+      {/* Undo/Error Snackbar */}
       <Snackbar
         visible={snackbarVisible}
-        onDismiss={() => setSnackbarVisible(false)}
-        duration={3000}
-        action={{
+        onDismiss={() => {
+          setSnackbarVisible(false);
+          setUndoEntryId(null);
+        }}
+        duration={undoEntryId ? 6000 : 3000}
+        action={undoEntryId ? {
+          label: 'Undo',
+          onPress: handleUndo,
+        } : {
           label: 'OK',
           onPress: () => setSnackbarVisible(false),
         }}
@@ -200,6 +432,18 @@ const styles = StyleSheet.create({
   container: {
     flex: 1,
   },
+  toolbar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 12,
+  },
+  hint: {
+    flex: 1,
+    fontSize: 12,
+    color: '#64748B',
+    marginLeft: 12,
+  },
   listContent: {
     padding: 16,
     paddingBottom: 80,
@@ -213,26 +457,66 @@ const styles = StyleSheet.create({
     justifyContent: 'space-between',
     alignItems: 'center',
   },
-  semesterTitle: {
+  semesterInfo: {
     flex: 1,
   },
+  progress: {
+    marginTop: 4,
+    marginRight: 8,
+  },
+  progressText: {
+    fontSize: 12,
+    color: '#64748B',
+    marginBottom: 6,
+  },
+  overdueText: {
+    color: '#EF4444',
+  },
+  progressBar: {
+    height: 6,
+    borderRadius: 3,
+  },
+  datesText: {
+    fontSize: 12,
+    color: '#64748B',
+  },
+  gpaText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#1E293B',
+    marginTop: 2,
+  },
+  warning: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  warningText: {
+    fontSize: 12,
+    color: '#B45309',
+    marginLeft: 4,
+  },
+  archiveHeader: {
+    backgroundColor: 'transparent',
+    paddingHorizontal: 0,
+  },
+  archivedCard: {
+    opacity: 0.8,
+  },
+  archivedTitle: {
+    color: '#64748B',
+  },
   actions: {
     flexDirection: 'row',
     alignItems: 'center',
   },
+  headerActions: {
+    flexDirection: 'row',
+  },
   emptyText: {
     textAlign: 'center',
     marginTop: 32,
     fontStyle: 'italic',
     color: '#64748B',
   },
-  fab: {
-    position: 'absolute',
-    margin: 16,
-    right: 0,
-    bottom: 0,
-  },
-  input: {
-    marginBottom: 8,
-  },
 });
@@ -0,0 +1,79 @@
+import React from 'react';
+import { ScrollView, StyleSheet, Platform } from 'react-native';
+import { List, RadioButton, Paragraph, useTheme } from 'react-native-paper';
+import { updateSettings } from '../utils/storage';
+import { REMINDER_OPTIONS, DEFAULT_REMINDER } from '../utils/reminders';
+import useStore from '../hooks/useStore';
+
+/**
+ * SettingsScreen Component
+ * App-wide preferences such as the default reminder policy, plus data backup and calendar export
+ */
+export default function SettingsScreen({ navigation }) {
+  const theme = useTheme();
+  const settings = useStore(state => state.settings || {});
+  const defaultReminder = settings.defaultReminder || DEFAULT_REMINDER;
+
+  return (
+    <ScrollView style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <List.Section>
+        <List.Subheader>Default reminder</List.Subheader>
+        <Paragraph style={styles.hint}>
+          Used for every task that doesn't choose its own reminder.
+        </Paragraph>
+        <RadioButton.Group
+          value={defaultReminder}
+          onValueChange={value => updateSettings({ defaultReminder: value })}
+        >
+          {REMINDER_OPTIONS.map(option => (
+            <RadioButton.Item
+              key={option.value}
+              label={option.label}
+              value={option.value}
+              color={theme.colors.primary}
+            />
+          ))}
+        </RadioButton.Group>
+        {Platform.OS === 'web' && (
+          <Paragraph style={styles.hint}>
+            Reminders are only delivered in the iOS and Android apps.
+          </Paragraph>
+        )}
+      </List.Section>
+
+      <List.Section>
+        <List.Subheader>Data</List.Subheader>
+        <List.Item
+          title="Backup & restore"
+          description="Export your data to a file or import a backup"
+          left={props => <List.Icon {...props} icon="database-export-outline" />}
+          onPress={() => navigation.navigate('Backup')}
+        />
+        <List.Item
+          title="Export to calendar"
+          description="Add your deadlines to Google, Apple or Outlook calendar"
+          left={props => <List.Icon {...props} icon="calendar-export" />}
+          onPress={() => navigation.navigate('CalendarExport')}
+        />
+        <List.Item
+          title="Trash"
+          description="Restore deleted semesters, subjects and tasks"
+          left={props => <List.Icon {...props} icon="delete-restore" />}
+          onPress={() => navigation.navigate('Trash')}
+        />
+      </List.Section>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  hint: {
+    paddingHorizontal: 16,
+    marginBottom: 8,
+    fontSize: 12,
+    color: '#64748B',
+  },
+});
@@ -0,0 +1,260 @@
+import React, { useEffect } from 'react';
+import { View, ScrollView, StyleSheet } from 'react-native';
+import {
+  Card,
+  Title,
+  Paragraph,
+  ProgressBar,
+  Text,
+  useTheme
+} from 'react-native-paper';
+import {
+  getProgress,
+  getSemesterTasks,
+  getCompletionsPerWeek,
+  getOnTimeStats
+} from '../utils/progress';
+import { parseDateKey } from '../utils/dates';
+import { getOrderedSubjects } from '../utils/ordering';
+import useStore from '../hooks/useStore';
+
+// Number of weeks shown in the completion chart
+const CHART_WEEKS = 8;
+
+// Height of the tallest bar in the completion chart
+const CHART_HEIGHT = 120;
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Short label for the week starting on a date, e.g. "Oct 6"
+ */
+const formatWeek = (weekStart) => {
+  const date = parseDateKey(weekStart);
+  return `${MONTH_LABELS[date.getMonth()]} ${date.getDate()}`;
+};
+
+/**
+ * StatsScreen Component
+ * Completion statistics of one semester: overall progress, completions per week,
+ * on-time versus late completions and progress per subject
+ */
+export default function StatsScreen({ route, navigation }) {
+  const { semesterId } = route.params;
+  const theme = useTheme();
+  const semester = useStore(state => state.semesters.find(s => s.id === semesterId));
+  const subjects = useStore(state => getOrderedSubjects(state.data[semesterId]));
+  const tasks = useStore(state => getSemesterTasks(state, semesterId));
+
+  const progress = getProgress(tasks);
+  const weeks = getCompletionsPerWeek(tasks, CHART_WEEKS);
+  const maxCount = Math.max(1, ...weeks.map(w => w.count));
+  const onTime = getOnTimeStats(tasks);
+  const tracked = onTime.onTime + onTime.late;
+
+  /**
+   * Show the semester name in the header
+   */
+  useEffect(() => {
+    if (semester) {
+      navigation.setOptions({ title: `${semester.name} – Stats` });
+    }
+  }, [semester && semester.name]);
+
+  return (
+    <ScrollView
+      style={[styles.container, { backgroundColor: theme.colors.background }]}
+      contentContainerStyle={styles.content}
+    >
+      {/* Overall progress */}
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>Progress</Title>
+          <View style={styles.countRow}>
+            <View style={styles.count}>
+              <Text style={styles.countValue}>{progress.total}</Text>
+              <Text style={styles.countLabel}>Tasks</Text>
+            </View>
+            <View style={styles.count}>
+              <Text style={[styles.countValue, { color: '#10B981' }]}>{progress.completed}</Text>
+              <Text style={styles.countLabel}>Completed</Text>
+            </View>
+            <View style={styles.count}>
+              <Text style={[styles.countValue, { color: '#EF4444' }]}>{progress.overdue}</Text>
+              <Text style={styles.countLabel}>Overdue</Text>
+            </View>
+          </View>
+          <ProgressBar
+            progress={progress.total ? progress.completed / progress.total : 0}
+            color={theme.colors.primary}
+            style={styles.progressBar}
+          />
+          <Text style={styles.caption}>{progress.percent}% complete</Text>
+        </Card.Content>
+      </Card>
+
+      {/* Tasks completed per week */}
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>Completed per week</Title>
+          <View style={styles.chart}>
+            {weeks.map(week => (
+              <View key={week.weekStart} style={styles.barColumn}>
+                <Text style={styles.barValue}>{week.count > 0 ? week.count : ''}</Text>
+                <View
+                  style={[
+                    styles.bar,
+                    {
+                      height: Math.max(2, (week.count / maxCount) * CHART_HEIGHT),
+                      backgroundColor: week.count > 0 ? theme.colors.primary : '#E2E8F0',
+                    }
+                  ]}
+                />
+                <Text style={styles.barLabel}>{formatWeek(week.weekStart)}</Text>
+              </View>
+            ))}
+          </View>
+        </Card.Content>
+      </Card>
+
+      {/* On time versus late */}
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>On time vs. late</Title>
+          {tracked > 0 ? (
+            <>
+              <View style={styles.splitBar}>
+                <View style={[styles.splitPart, { flex: onTime.onTime, backgroundColor: '#10B981' }]} />
+                <View style={[styles.splitPart, { flex: onTime.late, backgroundColor: '#F59E0B' }]} />
+              </View>
+              <Text style={styles.caption}>
+                {onTime.onTime} on time · {onTime.late} late · {onTime.onTimePercent}% on time
+              </Text>
+            </>
+          ) : (
+            <Paragraph style={styles.caption}>
+              Complete some tasks to see how many you finish before they are due.
+            </Paragraph>
+          )}
+          {onTime.untracked > 0 && (
+            <Text style={styles.caption}>
+              {onTime.untracked} {onTime.untracked === 1 ? 'task was' : 'tasks were'} completed
+              before completion times were recorded.
+            </Text>
+          )}
+        </Card.Content>
+      </Card>
+
+      {/* Progress per subject */}
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>Subjects</Title>
+          {subjects.length === 0 && <Paragraph style={styles.caption}>No subjects yet.</Paragraph>}
+          {subjects.map((subject) => {
+            const subjectProgress = getProgress(subject.tasks);
+            return (
+              <View key={subject.id} style={styles.subjectRow}>
+                <View style={styles.subjectHeader}>
+                  <Text style={styles.subjectName}>{subject.name}</Text>
+                  <Text style={styles.caption}>
+                    {subjectProgress.completed}/{subjectProgress.total} · {subjectProgress.percent}%
+                  </Text>
+                </View>
+                <ProgressBar
+                  progress={subjectProgress.total ? subjectProgress.completed / subjectProgress.total : 0}
+                  color={subject.colorTag}
+                  style={styles.progressBar}
+                />
+              </View>
+            );
+          })}
+        </Card.Content>
+      </Card>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+  },
+  card: {
+    marginBottom: 12,
+    elevation: 2,
+  },
+  countRow: {
+    flexDirection: 'row',
+    marginVertical: 12,
+  },
+  count: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  countValue: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1E293B',
+  },
+  countLabel: {
+    fontSize: 12,
+    color: '#64748B',
+  },
+  progressBar: {
+    height: 8,
+    borderRadius: 4,
+  },
+  caption: {
+    fontSize: 12,
+    color: '#64748B',
+    marginTop: 6,
+  },
+  chart: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    marginTop: 12,
+  },
+  barColumn: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  bar: {
+    width: '60%',
+    borderRadius: 3,
+  },
+  barValue: {
+    fontSize: 10,
+    color: '#64748B',
+    marginBottom: 2,
+  },
+  barLabel: {
+    fontSize: 9,
+    color: '#64748B',
+    marginTop: 4,
+  },
+  splitBar: {
+    flexDirection: 'row',
+    height: 12,
+    borderRadius: 6,
+    overflow: 'hidden',
+    marginTop: 12,
+  },
+  splitPart: {
+    height: '100%',
+  },
+  subjectRow: {
+    marginTop: 12,
+  },
+  subjectHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+    marginBottom: 4,
+  },
+  subjectName: {
+    fontSize: 14,
+    color: '#1E293B',
+  },
+});
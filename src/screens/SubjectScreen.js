@@ -1,5 +1,5 @@
-import React, { useState, useCallback } from 'react';
-import { View, FlatList, StyleSheet } from 'react-native';
+import React, { useState, useEffect, useLayoutEffect } from 'react';
+import { View, StyleSheet, Linking } from 'react-native';
 import { 
   Card, 
   Title, 
@@ -11,22 +11,59 @@ import {
   Button, 
   List,
   IconButton,
+  Chip,
+  Menu,
+  Text,
   useTheme,
   Snackbar
 } from 'react-native-paper';
-import { getSemesterData, addSubject, deleteSubject, updateSubject } from '../utils/storage';
-import { useFocusEffect } from '@react-navigation/native';
+import {
+  addSubject,
+  deleteSubject,
+  updateSubject,
+  reorderSubjects,
+  updateSettings,
+  moveSubject,
+  copySubject,
+  updateSubjectDetails,
+  setSemesterStatus
+} from '../utils/storage';
+import { LIST_SORT_OPTIONS, getOrderedSubjects, sortList } from '../utils/ordering';
+import { restoreFromTrash } from '../utils/trash';
+import { formatSubtaskProgress } from '../utils/subtasks';
+import { formatDue } from '../utils/dates';
+import {
+  createSemesterReport,
+  getReportFileName,
+  reportToCsv,
+  reportToHtml
+} from '../utils/report';
+import { shareTextFile, printHtml } from '../utils/share';
+import { getProgress } from '../utils/progress';
+import { getState } from '../utils/repository';
+import { isArchived } from '../utils/semesters';
+import { hasSubjectDetails, formatMeeting } from '../utils/courses';
+import { getSubjectGrade, formatGrade } from '../utils/grades';
+import { getAttendanceSummary, formatAttendance } from '../utils/attendance';
+import useStore from '../hooks/useStore';
+import DraggableList from '../components/DraggableList';
+import MoveCopyDialog from '../components/MoveCopyDialog';
+import SubjectDetailsDialog from '../components/SubjectDetailsDialog';
 
 /**
  * SubjectScreen Component
  * Displays subjects for a selected semester and allows CRUD operations
  */
 export default function SubjectScreen({ route, navigation }) {
-  const { semester } = route.params;
+  const { semesterId } = route.params;
   const theme = useTheme();
   
+  // Subjects of this semester, kept up to date by the repository
+  const semester = useStore(state => state.semesters.find(s => s.id === semesterId));
+  const subjects = useStore(state => getOrderedSubjects(state.data[semesterId]));
+  const sort = useStore(state => state.settings.subjectSort) || 'manual';
+
   // State management
-  const [subjects, setSubjects] = useState([]);
   const [dialogVisible, setDialogVisible] = useState(false);
   const [editingSubject, setEditingSubject] = useState(null);
   const [subjectName, setSubjectName] = useState('');
@@ -34,42 +71,77 @@ export default function SubjectScreen({ route, navigation }) {
   const [expandedSubjects, setExpandedSubjects] = useState({});
   const [snackbarVisible, setSnackbarVisible] = useState(false);
   const [snackbarMessage, setSnackbarMessage] = useState('');
+  const [undoEntryId, setUndoEntryId] = useState(null);
+  const [reportVisible, setReportVisible] = useState(false);
+  const [sortMenuVisible, setSortMenuVisible] = useState(false);
+  const [subjectMenuId, setSubjectMenuId] = useState(null);
+  const [transfer, setTransfer] = useState(null);
+  const [detailsSubject, setDetailsSubject] = useState(null);
+
+  const sortOption = LIST_SORT_OPTIONS.find(o => o.value === sort) || LIST_SORT_OPTIONS[0];
+  // Archived semesters are read-only until they are restored
+  const archived = isArchived(semester);
 
   // Color palette for subject tags
   const colors = ['#6C63FF', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#06B6D4', '#EC4899', '#F97316'];
 
   /**
-   * Load subjects from storage for the current semester
+   * Keep the header title in sync when the semester is renamed
    */
-  const loadSubjects = async () => {
-    const data = await getSemesterData(semester);
-    const subjectsList = Object.entries(data).map(([name, details]) => ({
-      name,
-      tasks: details.tasks || [],
-      colorTag: details.colorTag || '#6C63FF',
-    }));
-    setSubjects(subjectsList);
-  };
+  useEffect(() => {
+    if (semester) {
+      navigation.setOptions({ title: semester.name });
+    }
+  }, [semester && semester.name]);
 
   /**
-   * Reload subjects when screen gains focus
+   * Header shortcuts to the timetable, the statistics, the semester report and the
+   * calendar export
    */
-  useFocusEffect(
-    useCallback(() => {
-      loadSubjects();
-    }, [semester])
-  );
+  useLayoutEffect(() => {
+    navigation.setOptions({
+      headerRight: () => (
+        <View style={styles.headerActions}>
+          <IconButton
+            icon="timetable"
+            iconColor="#fff"
+            onPress={() => navigation.navigate('Timetable', { semesterId })}
+          />
+          <IconButton
+            icon="chart-bar"
+            iconColor="#fff"
+            onPress={() => navigation.navigate('Stats', { semesterId })}
+          />
+          <IconButton
+            icon="file-chart-outline"
+            iconColor="#fff"
+            onPress={() => setReportVisible(true)}
+          />
+          <IconButton
+            icon="calendar-export"
+            iconColor="#fff"
+            onPress={() => navigation.navigate('CalendarExport', { semesterId })}
+          />
+        </View>
+      ),
+    });
+  }, [navigation, semesterId]);
 
   /**
    * Handle adding a new subject
    */
   const handleAddSubject = async () => {
     if (subjectName.trim()) {
-      await addSubject(semester, subjectName.trim(), colorTag);
-      setSubjectName('');
-      setColorTag('#6C63FF');
-      setDialogVisible(false);
-      loadSubjects();
+      try {
+        await addSubject(semesterId, subjectName.trim(), colorTag);
+        setSubjectName('');
+        setColorTag('#6C63FF');
+        setDialogVisible(false);
+      } catch (error) {
+        setUndoEntryId(null);
+        setSnackbarMessage(error.message);
+        setSnackbarVisible(true);
+      }
     }
   };
 
@@ -79,13 +151,13 @@ export default function SubjectScreen({ route, navigation }) {
   const handleEditSubject = async () => {
     if (subjectName.trim() && editingSubject) {
       try {
-        await updateSubject(semester, editingSubject.name, subjectName.trim(), colorTag);
+        await updateSubject(semesterId, editingSubject.id, subjectName.trim(), colorTag);
         setSubjectName('');
         setColorTag('#6C63FF');
         setEditingSubject(null);
         setDialogVisible(false);
-        loadSubjects();
       } catch (error) {
+        setUndoEntryId(null);
         setSnackbarMessage(error.message);
         setSnackbarVisible(true);
       }
@@ -93,11 +165,117 @@ export default function SubjectScreen({ route, navigation }) {
   };
 
   /**
-   * Handle deleting a subject
+   * Handle deleting a subject; it goes to the trash and can be undone
+   */
+  const handleDeleteSubject = async (subjectId) => {
+    const entryId = await deleteSubject(semesterId, subjectId);
+    setUndoEntryId(entryId);
+    setSnackbarMessage('Subject moved to trash');
+    setSnackbarVisible(true);
+  };
+
+  /**
+   * Handle moving or copying a subject to the semester chosen in the dialog
+   * A name already used in the chosen semester makes this throw, and the dialog stays open with that message
+   */
+  const handleTransferSubject = async ({ semesterId: targetSemesterId, name }) => {
+    const { action, subject } = transfer;
+    if (action === 'move') {
+      await moveSubject(semesterId, subject.id, targetSemesterId, name);
+    } else {
+      await copySubject(semesterId, subject.id, targetSemesterId, name);
+    }
+    const targetSemester = getState().semesters.find(s => s.id === targetSemesterId);
+    setTransfer(null);
+    setUndoEntryId(null);
+    setSnackbarMessage(`Subject ${action === 'move' ? 'moved' : 'copied'} to ${targetSemester.name}`);
+    setSnackbarVisible(true);
+  };
+
+  /**
+   * Handle saving a subject's course details
+   * An invalid email or class time rejects the save; the details dialog shows why and keeps the input
+   */
+  const handleSaveDetails = async (details) => {
+    await updateSubjectDetails(semesterId, detailsSubject.id, details);
+    setDetailsSubject(null);
+  };
+
+  /**
+   * Handle restoring this semester from the archive so it can be changed again
+   */
+  const handleRestoreSemester = async () => {
+    await setSemesterStatus(semesterId, 'active');
+    setUndoEntryId(null);
+    setSnackbarMessage('Semester restored');
+    setSnackbarVisible(true);
+  };
+
+  /**
+   * Open the move/copy dialog for a subject from its menu
    */
-  const handleDeleteSubject = async (subjectName) => {
-    await deleteSubject(semester, subjectName);
-    loadSubjects();
+  const openTransferDialog = (action, subject) => {
+    setSubjectMenuId(null);
+    setTransfer({ action, subject });
+  };
+
+  /**
+   * Open the course details dialog for a subject from its menu
+   */
+  const openDetailsDialog = (subject) => {
+    setSubjectMenuId(null);
+    setDetailsSubject(subject);
+  };
+
+  /**
+   * Handle undoing the last delete by restoring it from the trash
+   */
+  const handleUndo = async () => {
+    const entryId = undoEntryId;
+    setUndoEntryId(null);
+    try {
+      await restoreFromTrash(entryId);
+    } catch (error) {
+      setSnackbarMessage(error.message);
+      setSnackbarVisible(true);
+    }
+  };
+
+  /**
+   * Handle exporting the semester report as CSV, an HTML file or a printout
+   * @param {string} format - 'csv', 'html' or 'print'
+   */
+  const handleExportReport = async (format) => {
+    setReportVisible(false);
+    try {
+      const report = await createSemesterReport(semesterId);
+      if (format === 'csv') {
+        await shareTextFile(getReportFileName(report, 'csv'), reportToCsv(report), 'text/csv');
+      } else if (format === 'html') {
+        await shareTextFile(getReportFileName(report, 'html'), reportToHtml(report), 'text/html');
+      } else {
+        await printHtml(reportToHtml(report));
+      }
+    } catch (error) {
+      setUndoEntryId(null);
+      setSnackbarMessage(error.message);
+      setSnackbarVisible(true);
+    }
+  };
+
+  /**
+   * Handle choosing how subject lists are ordered
+   */
+  const handleChangeSort = (value) => {
+    setSortMenuVisible(false);
+    updateSettings({ subjectSort: value });
+  };
+
+  /**
+   * Save the order after a subject was dragged to a new place
+   */
+  const handleReorder = (orderedSubjects) => {
+    reorderSubjects(semesterId, orderedSubjects.map(s => s.id));
   };
 
   /**
@@ -123,46 +301,232 @@ export default function SubjectScreen({ route, navigation }) {
   /**
    * Toggle expansion state of a subject card
    */
-  const toggleExpand = (subjectName) => {
+  const toggleExpand = (subjectId) => {
     setExpandedSubjects(prev => ({
       ...prev,
-      [subjectName]: !prev[subjectName]
+      [subjectId]: !prev[subjectId]
     }));
   };
 
   /**
-   * Render a single subject card with collapsible task list
+   * Build the preview line of a task, adding checklist progress when it has subtasks
    */
-  const renderSubject = ({ item }) => (
+  const describeTask = (task) => {
+    const progress = formatSubtaskProgress(task);
+    const due = `Due: ${formatDue(task)}`;
+    return progress ? `${due} · ${progress} steps` : due;
+  };
+
+  /**
+   * Build the completion line of a subject header, e.g. "60% complete · 3/5 tasks",
+   * followed by the running grade once something is graded
+   */
+  const describeProgress = (subject) => {
+    const progress = getProgress(subject.tasks);
+    if (progress.total === 0) return 'No tasks';
+    const { percent } = getSubjectGrade(subject);
+    const text = `${progress.percent}% complete · ${progress.completed}/${progress.total} tasks`;
+    return percent === null ? text : `${text} · Grade ${formatGrade(percent)}`;
+  };
+
+  /**
+   * Render the header description: progress, plus the attendance summary once classes
+   * are marked, in amber when one more absence would drop below the minimum and in red
+   * when it already has
+   */
+  const renderDescription = (subject) => {
+    const attendance = getAttendanceSummary(subject);
+    const text = formatAttendance(attendance);
+    if (!text) return describeProgress(subject);
+    const color = attendance.below ? '#EF4444' : attendance.atRisk ? '#B45309' : '#64748B';
+    return (
+      <>
+        {describeProgress(subject)}
+        {'\n'}
+        <Text style={[styles.attendanceText, { color }]}>{text}</Text>
+      </>
+    );
+  };
+
+  /**
+   * Navigate to the task list of a subject
+   */
+  const openTasks = (subject) => {
+    navigation.navigate('Tasks', {
+      semesterId,
+      subjectId: subject.id,
+      subject: subject.name,
+      colorTag: subject.colorTag,
+    });
+  };
+
+  /**
+   * Render the course details of a subject above its task preview
+   */
+  const renderDetails = (subject) => {
+    const { instructor, email, room, credits, schedule } = subject.details;
+    const roomAndCredits = [
+      room && `Room ${room}`,
+      credits !== undefined && `${credits} ${credits === 1 ? 'credit' : 'credits'}`,
+    ].filter(Boolean).join(' · ');
+    return (
+      <View style={styles.details}>
+        {instructor && (
+          <List.Item
+            title={instructor}
+            left={props => <List.Icon {...props} icon="account-tie" />}
+            style={styles.detailItem}
+          />
+        )}
+        {email && (
+          <List.Item
+            title={email}
+            titleStyle={{ color: theme.colors.primary }}
+            left={props => <List.Icon {...props} icon="email-outline" />}
+            onPress={() => Linking.openURL(`mailto:${email}`)}
+            style={styles.detailItem}
+          />
+        )}
+        {roomAndCredits ? (
+          <List.Item
+            title={roomAndCredits}
+            left={props => <List.Icon {...props} icon={room ? 'map-marker-outline' : 'school-outline'} />}
+            style={styles.detailItem}
+          />
+        ) : null}
+        {(schedule || []).map(meeting => (
+          <List.Item
+            key={meeting.id}
+            title={formatMeeting(meeting, room)}
+            left={props => <List.Icon {...props} icon="clock-outline" />}
+            style={styles.detailItem}
+          />
+        ))}
+      </View>
+    );
+  };
+
+  /**
+   * Render the sort control above the list
+   */
+  const renderToolbar = () => (
+    <View style={styles.toolbar}>
+      <Menu
+        visible={sortMenuVisible}
+        onDismiss={() => setSortMenuVisible(false)}
+        anchor={
+          <Chip icon="sort" onPress={() => setSortMenuVisible(true)}>
+            {sortOption.label}
+          </Chip>
+        }
+      >
+        {LIST_SORT_OPTIONS.map(option => (
+          <Menu.Item
+            key={option.value}
+            title={option.label}
+            leadingIcon={option.value === sortOption.value ? 'check' : undefined}
+            onPress={() => handleChangeSort(option.value)}
+          />
+        ))}
+      </Menu>
+      {sortOption.value === 'manual' && !archived && subjects.length > 1 && (
+        <Text style={styles.hint}>Long-press a subject to reorder it</Text>
+      )}
+    </View>
+  );
+
+  /**
+   * Render a single subject card with collapsible task list; in manual order a long
+   * press on the header picks it up
+   */
+  const renderSubject = ({ item, drag }) => (
     <Card style={[styles.card, { borderLeftColor: item.colorTag, borderLeftWidth: 6 }]}>
       <List.Accordion
         title={item.name}
-        expanded={expandedSubjects[item.name]}
-        onPress={() => toggleExpand(item.name)}
+        description={renderDescription(item)}
+        descriptionNumberOfLines={3}
+        expanded={expandedSubjects[item.id]}
+        onPress={() => toggleExpand(item.id)}
+        onLongPress={drag}
         right={props => (
           <View style={styles.actions}>
-            <IconButton 
-              icon="pencil" 
-              size={20} 
-              onPress={() => openEditDialog(item)}
-              iconColor={theme.colors.primary}
-            />
-            <IconButton 
-              icon="delete" 
-              size={20} 
-              onPress={() => handleDeleteSubject(item.name)}
-              iconColor={theme.colors.primary}
-            />
+            {!archived && (
+              <>
+                <IconButton 
+                  icon="pencil" 
+                  size={20} 
+                  onPress={() => openEditDialog(item)}
+                  iconColor={theme.colors.primary}
+                />
+                <IconButton 
+                  icon="delete" 
+                  size={20} 
+                  onPress={() => handleDeleteSubject(item.id)}
+                  iconColor={theme.colors.primary}
+                />
+              </>
+            )}
+            <Menu
+              visible={subjectMenuId === item.id}
+              onDismiss={() => setSubjectMenuId(null)}
+              anchor={
+                <IconButton
+                  icon="dots-vertical"
+                  size={20}
+                  onPress={() => setSubjectMenuId(item.id)}
+                  iconColor={theme.colors.primary}
+                />
+              }
+            >
+              <Menu.Item
+                leadingIcon="account-check-outline"
+                title="Attendance"
+                onPress={() => {
+                  setSubjectMenuId(null);
+                  navigation.navigate('Attendance', { semesterId, subjectId: item.id });
+                }}
+              />
+              <Menu.Item
+                leadingIcon="school-outline"
+                title="Grades"
+                onPress={() => {
+                  setSubjectMenuId(null);
+                  navigation.navigate('Grades', { semesterId, subjectId: item.id });
+                }}
+              />
+              {!archived && (
+                <Menu.Item
+                  leadingIcon="card-account-details-outline"
+                  title="Course details…"
+                  onPress={() => openDetailsDialog(item)}
+                />
+              )}
+              {!archived && (
+                <Menu.Item
+                  leadingIcon="folder-move-outline"
+                  title="Move to…"
+                  onPress={() => openTransferDialog('move', item)}
+                />
+              )}
+              <Menu.Item
+                leadingIcon="content-copy"
+                title="Copy to…"
+                onPress={() => openTransferDialog('copy', item)}
+              />
+            </Menu>
           </View>
         )}
       >
+        {/* Course details */}
+        {hasSubjectDetails(item) && renderDetails(item)}
+
         {/* Task preview list */}
         {item.tasks.length > 0 ? (
-          item.tasks.map((task, index) => (
+          item.tasks.map((task) => (
             <List.Item
-              key={index}
+              key={task.id}
               title={task.title}
-              description={`Due: ${task.dueDate}`}
+              description={describeTask(task)}
               left={props => (
                 <List.Icon 
                   {...props} 
@@ -170,11 +534,7 @@ export default function SubjectScreen({ route, navigation }) {
                   color={task.completed ? '#10B981' : '#9CA3AF'}
                 />
               )}
-              onPress={() => navigation.navigate('Tasks', { 
-                semester, 
-                subject: item.name,
-                colorTag: item.colorTag
-              })}
+              onPress={() => openTasks(item)}
             />
           ))
         ) : (
@@ -182,11 +542,7 @@ export default function SubjectScreen({ route, navigation }) {
         )}
         <Button 
           mode="text" 
-          onPress={() => navigation.navigate('Tasks', { 
-            semester, 
-            subject: item.name,
-            colorTag: item.colorTag
-          })}
+          onPress={() => openTasks(item)}
           style={styles.viewTasksButton}
         >
           View All Tasks
@@ -197,10 +553,20 @@ export default function SubjectScreen({ route, navigation }) {
 
   return (
     <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
-      <FlatList
-        data={subjects}
+      {/* Read-only notice for archived semesters */}
+      {archived && (
+        <View style={styles.archivedBanner}>
+          <Text style={styles.archivedText}>This semester is archived and read-only.</Text>
+          <Button compact onPress={handleRestoreSemester}>Restore</Button>
+        </View>
+      )}
+      {subjects.length > 0 && renderToolbar()}
+      <DraggableList
+        data={sortList(subjects, sortOption.value)}
         renderItem={renderSubject}
-        keyExtractor={(item) => item.name}
+        keyExtractor={(item) => item.id}
+        onReorder={handleReorder}
+        enabled={sortOption.value === 'manual' && !archived}
         contentContainerStyle={styles.listContent}
         ListEmptyComponent={
           <Paragraph style={styles.emptyText}>No subjects yet. Add one using the + button!</Paragraph>
@@ -208,11 +574,13 @@ export default function SubjectScreen({ route, navigation }) {
       />
       
       {/* Floating Action Button */}
-      <FAB
-        icon="plus"
-        style={[styles.fab, { backgroundColor: theme.colors.primary }]}
-        onPress={openAddDialog}
-      />
+      {!archived && (
+        <FAB
+          icon="plus"
+          style={[styles.fab, { backgroundColor: theme.colors.primary }]}
+          onPress={openAddDialog}
+        />
+      )}
 
       {/* Add/Edit Subject Dialog */}
       <Portal>
@@ -249,12 +617,54 @@ export default function SubjectScreen({ route, navigation }) {
         </Dialog>
       </Portal>
 
-      {/* Error Snackbar */}
+      {/* Move/Copy Subject Dialog */}
+      <MoveCopyDialog
+        visible={transfer !== null}
+        action={transfer ? transfer.action : 'move'}
+        kind="subject"
+        item={transfer ? transfer.subject : null}
+        semesterId={semesterId}
+        onDismiss={() => setTransfer(null)}
+        onSubmit={handleTransferSubject}
+      />
+
+      {/* Course Details Dialog */}
+      <SubjectDetailsDialog
+        visible={detailsSubject !== null}
+        subject={detailsSubject}
+        onDismiss={() => setDetailsSubject(null)}
+        onSubmit={handleSaveDetails}
+      />
+
+      {/* Semester Report Dialog */}
+      <Portal>
+        <Dialog visible={reportVisible} onDismiss={() => setReportVisible(false)}>
+          <Dialog.Title>Semester report</Dialog.Title>
+          <Dialog.Content>
+            <Paragraph>
+              Every subject with its tasks, due dates, completion state and completion percentage.
+            </Paragraph>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => handleExportReport('csv')}>CSV</Button>
+            <Button onPress={() => handleExportReport('html')}>HTML</Button>
+            <Button onPress={() => handleExportReport('print')}>Print</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      {/* Undo/Error Snackbar */}
       <Snackbar
         visible={snackbarVisible}
-        onDismiss={() => setSnackbarVisible(false)}
-        duration={3000}
-        action={{
+        onDismiss={() => {
+          setSnackbarVisible(false);
+          setUndoEntryId(null);
+        }}
+        duration={undoEntryId ? 6000 : 3000}
+        action={undoEntryId ? {
+          label: 'Undo',
+          onPress: handleUndo,
+        } : {
           label: 'OK',
           onPress: () => setSnackbarVisible(false),
         }}
@@ -269,6 +679,32 @@ const styles = StyleSheet.create({
   container: {
     flex: 1,
   },
+  archivedBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: '#F1F5F9',
+    paddingLeft: 16,
+    paddingRight: 8,
+    paddingVertical: 4,
+  },
+  archivedText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#64748B',
+  },
+  toolbar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 12,
+  },
+  hint: {
+    flex: 1,
+    fontSize: 12,
+    color: '#64748B',
+    marginLeft: 12,
+  },
   listContent: {
     padding: 16,
     paddingBottom: 80,
@@ -281,6 +717,20 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     alignItems: 'center',
   },
+  headerActions: {
+    flexDirection: 'row',
+  },
+  attendanceText: {
+    fontSize: 13,
+  },
+  details: {
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#E2E8F0',
+    paddingBottom: 4,
+  },
+  detailItem: {
+    paddingVertical: 0,
+  },
   noTasks: {
     padding: 16,
     fontStyle: 'italic',
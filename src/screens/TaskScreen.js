@@ -1,114 +1,252 @@
-import React, { useState, useCallback } from 'react';
-import { View, FlatList, StyleSheet, Platform } from 'react-native';
+import React, { useState, useEffect, useLayoutEffect } from 'react';
+import { View, SectionList, StyleSheet } from 'react-native';
 import { 
   Card, 
   Paragraph, 
   FAB, 
-  Portal, 
-  Dialog, 
-  TextInput, 
-  Button, 
   IconButton,
   Checkbox,
+  Icon,
+  Text,
+  ProgressBar,
+  Portal,
+  Dialog,
+  Button,
+  Chip,
+  Menu,
+  List,
+  Snackbar,
   useTheme 
 } from 'react-native-paper';
-import DateTimePicker from '@react-native-community/datetimepicker';
 import { 
-  getSemesterData, 
   addTask, 
   deleteTask, 
   updateTask, 
-  toggleTaskCompletion 
+  toggleTaskCompletion,
+  updateSubjectView,
+  reorderTasks,
+  moveTask,
+  copyTask,
+  setTaskGrade,
+  setSemesterStatus
 } from '../utils/storage';
-import { useFocusEffect } from '@react-navigation/native';
+import { getPriority, getTaskType } from '../utils/taskOptions';
+import { getSubtaskProgress, formatSubtaskProgress } from '../utils/subtasks';
+import { describeRule } from '../utils/recurrence';
+import { formatDue } from '../utils/dates';
+import { SORT_OPTIONS, FILTER_OPTIONS, buildTaskSections } from '../utils/taskView';
+import { restoreFromTrash } from '../utils/trash';
+import { getState } from '../utils/repository';
+import { isArchived, isOutsideSemester } from '../utils/semesters';
+import { isGraded, roundPercent } from '../utils/grades';
+import useStore from '../hooks/useStore';
+import TaskDialog from '../components/TaskDialog';
+import DraggableList from '../components/DraggableList';
+import MoveCopyDialog from '../components/MoveCopyDialog';
+import GradeDialog from '../components/GradeDialog';
+import SubtaskList from '../components/SubtaskList';
 
 /**
  * TaskScreen Component
  * Displays and manages tasks for a specific subject within a semester
  */
 export default function TaskScreen({ route, navigation }) {
-  const { semester, subject, colorTag } = route.params;
+  const { semesterId, subjectId } = route.params;
   const theme = useTheme();
   
+  // Subject and its tasks, kept up to date by the repository
+  const semester = useStore(state => state.semesters.find(s => s.id === semesterId));
+  const subject = useStore(state => (state.data[semesterId] || {})[subjectId]);
+  const tasks = subject ? subject.tasks : [];
+
   // State management
-  const [tasks, setTasks] = useState([]);
   const [dialogVisible, setDialogVisible] = useState(false);
   const [editingTask, setEditingTask] = useState(null);
-  const [taskTitle, setTaskTitle] = useState('');
-  const [dueDate, setDueDate] = useState(new Date());
-  const [showDatePicker, setShowDatePicker] = useState(false);
+  const [expandedTasks, setExpandedTasks] = useState({});
+  const [pendingEdit, setPendingEdit] = useState(null);
+  const [openMenu, setOpenMenu] = useState(null);
+  const [snackbarVisible, setSnackbarVisible] = useState(false);
+  const [snackbarMessage, setSnackbarMessage] = useState('');
+  const [undoEntryId, setUndoEntryId] = useState(null);
+  const [transfer, setTransfer] = useState(null);
+  const [gradingTask, setGradingTask] = useState(null);
+
+  // Sorting, filtering and grouping are remembered on the subject
+  const view = (subject && subject.view) || {};
+  const sections = buildTaskSections(tasks, view);
+  const sortOption = SORT_OPTIONS.find(o => o.value === view.sort) || SORT_OPTIONS[0];
+  const filterOption = FILTER_OPTIONS.find(o => o.value === view.filter) || FILTER_OPTIONS[0];
+  // Tasks can be dragged only while the list shows them in manual order
+  const canReorder = sortOption.value === 'manual' && !view.group;
+  // Archived semesters are read-only until they are restored
+  const archived = isArchived(semester);
+
+  // Fall back to the navigation params until the store has loaded
+  const subjectName = subject ? subject.name : route.params.subject;
+  const colorTag = subject ? subject.colorTag : route.params.colorTag;
 
   /**
-   * Load tasks from storage for the current subject
+   * Keep the navigation title in sync with the subject name
    */
-  const loadTasks = async () => {
-    const data = await getSemesterData(semester);
-    if (data[subject]) {
-      setTasks(data[subject].tasks || []);
-    }
-  };
+  useEffect(() => {
+    navigation.setOptions({ title: subjectName });
+  }, [subjectName]);
 
   /**
-   * Reload tasks when screen gains focus and set navigation title
+   * Header shortcuts to the subject's grades, bulk-importing deadlines (not in archived
+   * semesters) and exporting them to a calendar
    */
-  useFocusEffect(
-    useCallback(() => {
-      loadTasks();
-      navigation.setOptions({ title: subject });
-    }, [semester, subject])
-  );
+  useLayoutEffect(() => {
+    navigation.setOptions({
+      headerRight: () => (
+        <View style={styles.headerActions}>
+          <IconButton
+            icon="school-outline"
+            iconColor="#fff"
+            onPress={() => navigation.navigate('Grades', { semesterId, subjectId })}
+          />
+          {!archived && (
+            <IconButton
+              icon="file-import-outline"
+              iconColor="#fff"
+              onPress={() => navigation.navigate('ImportTasks', { semesterId, subjectId })}
+            />
+          )}
+          <IconButton
+            icon="calendar-export"
+            iconColor="#fff"
+            onPress={() => navigation.navigate('CalendarExport', { semesterId, subjectId })}
+          />
+        </View>
+      ),
+    });
+  }, [navigation, semesterId, subjectId, archived]);
 
   /**
-   * Handle adding a new task
+   * Handle saving the task dialog, either adding a new task or updating the edited one
    */
-  const handleAddTask = async () => {
-    if (taskTitle.trim()) {
-      const newTask = {
-        title: taskTitle.trim(),
-        dueDate: dueDate.toISOString().split('T')[0],
-        completed: false,
-      };
-      await addTask(semester, subject, newTask);
-      setTaskTitle('');
-      setDueDate(new Date());
+  const handleSubmitTask = async (fields) => {
+    if (editingTask && editingTask.recurrence) {
+      // Ask whether the edit applies to this occurrence only or to the whole series
+      setPendingEdit(fields);
       setDialogVisible(false);
-      loadTasks();
+      return;
+    }
+    if (editingTask) {
+      await updateTask(semesterId, subjectId, editingTask.id, fields);
+    } else {
+      await addTask(semesterId, subjectId, { ...fields, completed: false });
     }
+    setEditingTask(null);
+    setDialogVisible(false);
   };
 
   /**
-   * Handle editing/updating an existing task
+   * Save a recurring task edit for this occurrence only or for all future occurrences
    */
-  const handleEditTask = async () => {
-    if (taskTitle.trim() && editingTask !== null) {
-      const updatedTask = {
-        title: taskTitle.trim(),
-        dueDate: dueDate.toISOString().split('T')[0],
-        completed: tasks[editingTask].completed,
-      };
-      await updateTask(semester, subject, editingTask, updatedTask);
-      setTaskTitle('');
-      setDueDate(new Date());
-      setEditingTask(null);
-      setDialogVisible(false);
-      loadTasks();
+  const handleApplyRecurringEdit = async (scope) => {
+    await updateTask(semesterId, subjectId, editingTask.id, pendingEdit, scope);
+    setPendingEdit(null);
+    setEditingTask(null);
+  };
+
+  /**
+   * Handle deleting a task; it goes to the trash and can be undone
+   */
+  const handleDeleteTask = async (taskId) => {
+    const entryId = await deleteTask(semesterId, subjectId, taskId);
+    setUndoEntryId(entryId);
+    setSnackbarMessage('Task moved to trash');
+    setSnackbarVisible(true);
+  };
+
+  /**
+   * Handle moving or copying a task to the subject chosen in the dialog
+   * Fails when the target subject is gone or archived; the dialog reports it so another can be picked
+   */
+  const handleTransferTask = async (target) => {
+    const { action, task } = transfer;
+    if (action === 'move') {
+      await moveTask(semesterId, subjectId, task.id, target);
+    } else {
+      await copyTask(semesterId, subjectId, task.id, target);
     }
+    const targetSubject = getState().data[target.semesterId][target.subjectId];
+    setTransfer(null);
+    setUndoEntryId(null);
+    setSnackbarMessage(`Task ${action === 'move' ? 'moved' : 'copied'} to ${targetSubject.name}`);
+    setSnackbarVisible(true);
+  };
+
+  /**
+   * Handle saving the grade of a task
+   * A negative score or a maximum of 0 is rejected and shown in the grading dialog
+   */
+  const handleSaveGrade = async (grade) => {
+    await setTaskGrade(semesterId, subjectId, gradingTask.id, grade);
+    setGradingTask(null);
+  };
+
+  /**
+   * Handle restoring this semester from the archive so it can be changed again
+   */
+  const handleRestoreSemester = async () => {
+    await setSemesterStatus(semesterId, 'active');
+    setUndoEntryId(null);
+    setSnackbarMessage('Semester restored');
+    setSnackbarVisible(true);
+  };
+
+  /**
+   * Open the move/copy dialog for a task from its menu
+   */
+  const openTransferDialog = (action, task) => {
+    setOpenMenu(null);
+    setTransfer({ action, task });
   };
 
   /**
-   * Handle deleting a task
+   * Open the grade dialog for a task from its menu
    */
-  const handleDeleteTask = async (index) => {
-    await deleteTask(semester, subject, index);
-    loadTasks();
+  const openGradeDialog = (task) => {
+    setOpenMenu(null);
+    setGradingTask(task);
+  };
+
+  /**
+   * Handle undoing the last delete by restoring it from the trash
+   */
+  const handleUndo = async () => {
+    const entryId = undoEntryId;
+    setUndoEntryId(null);
+    try {
+      await restoreFromTrash(entryId);
+    } catch (error) {
+      setSnackbarMessage(error.message);
+      setSnackbarVisible(true);
+    }
   };
 
   /**
    * Handle toggling task completion status
    */
-  const handleToggleTask = async (index) => {
-    await toggleTaskCompletion(semester, subject, index);
-    loadTasks();
+  const handleToggleTask = async (taskId) => {
+    await toggleTaskCompletion(semesterId, subjectId, taskId);
+  };
+
+  /**
+   * Change how this subject's tasks are listed
+   */
+  const handleChangeView = (changes) => {
+    setOpenMenu(null);
+    updateSubjectView(semesterId, subjectId, changes);
+  };
+
+  /**
+   * Save the order after a task was dragged to a new place
+   */
+  const handleReorder = (orderedTasks) => {
+    reorderTasks(semesterId, subjectId, orderedTasks.map(task => task.id));
   };
 
   /**
@@ -116,36 +254,101 @@ export default function TaskScreen({ route, navigation }) {
    */
   const openAddDialog = () => {
     setEditingTask(null);
-    setTaskTitle('');
-    setDueDate(new Date());
     setDialogVisible(true);
   };
 
   /**
    * Open dialog to edit an existing task
    */
-  const openEditDialog = (task, index) => {
-    setEditingTask(index);
-    setTaskTitle(task.title);
-    setDueDate(new Date(task.dueDate));
+  const openEditDialog = (task) => {
+    setEditingTask(task);
     setDialogVisible(true);
   };
 
   /**
-   * Handle date picker changes
+   * Show or hide the subtask checklist of a task
    */
-  const onDateChange = (event, selectedDate) => {
-    setShowDatePicker(Platform.OS === 'ios');
-    if (selectedDate) {
-      setDueDate(selectedDate);
-    }
+  const toggleExpand = (taskId) => {
+    setExpandedTasks(prev => ({
+      ...prev,
+      [taskId]: !prev[taskId]
+    }));
+  };
+
+  /**
+   * Render the checklist progress of a task, e.g. "2/5" with a progress bar
+   */
+  const renderSubtaskProgress = (task) => {
+    const progress = getSubtaskProgress(task);
+    if (!progress) return null;
+    return (
+      <View style={styles.progressRow}>
+        <ProgressBar
+          progress={progress.done / progress.total}
+          color={colorTag}
+          style={styles.progressBar}
+        />
+        <Text style={styles.progressText}>{formatSubtaskProgress(task)}</Text>
+      </View>
+    );
   };
 
   /**
-   * Render a single task card
+   * Render the optional details of a task (priority, type, effort, grade, notes)
    */
-  const renderTask = ({ item, index }) => (
+  const renderTaskDetails = (task) => {
+    const priority = getPriority(task.priority);
+    const taskType = getTaskType(task.type);
+    return (
+      <>
+        {(priority || taskType || task.estimatedHours || task.recurrence || isGraded(task)) && (
+          <View style={styles.metaRow}>
+            {priority && (
+              <Text style={[styles.metaText, styles.priorityText, { color: priority.color }]}>
+                {priority.label}
+              </Text>
+            )}
+            {taskType && (
+              <View style={styles.metaItem}>
+                <Icon source={taskType.icon} size={14} color="#64748B" />
+                <Text style={styles.metaText}>{taskType.label}</Text>
+              </View>
+            )}
+            {task.estimatedHours ? (
+              <View style={styles.metaItem}>
+                <Icon source="clock-outline" size={14} color="#64748B" />
+                <Text style={styles.metaText}>{task.estimatedHours}h</Text>
+              </View>
+            ) : null}
+            {task.recurrence && (
+              <View style={styles.metaItem}>
+                <Icon source="repeat" size={14} color="#64748B" />
+                <Text style={styles.metaText}>{describeRule(task.recurrence.rule)}</Text>
+              </View>
+            )}
+            {isGraded(task) && (
+              <View style={styles.metaItem}>
+                <Icon source="check-decagram-outline" size={14} color="#64748B" />
+                <Text style={styles.metaText}>
+                  {`${task.score}/${task.maxScore} · ${roundPercent((task.score / task.maxScore) * 100)}%`}
+                </Text>
+              </View>
+            )}
+          </View>
+        )}
+        {task.notes ? (
+          <Paragraph style={styles.notes} numberOfLines={2}>{task.notes}</Paragraph>
+        ) : null}
+      </>
+    );
+  };
+
+  /**
+   * Render a single task card; in manual order a long press picks it up
+   */
+  const renderTask = ({ item, drag }) => (
     <Card 
+      onLongPress={drag}
       style={[
         styles.card, 
         { borderLeftColor: colorTag, borderLeftWidth: 6 },
@@ -157,7 +360,8 @@ export default function TaskScreen({ route, navigation }) {
           {/* Completion checkbox */}
           <Checkbox
             status={item.completed ? 'checked' : 'unchecked'}
-            onPress={() => handleToggleTask(index)}
+            onPress={() => handleToggleTask(item.id)}
+            disabled={archived}
             color={colorTag}
           />
           
@@ -171,87 +375,259 @@ export default function TaskScreen({ route, navigation }) {
             >
               {item.title}
             </Paragraph>
-            <Paragraph style={styles.taskDate}>Due: {item.dueDate}</Paragraph>
+            <Paragraph style={styles.taskDate}>Due: {formatDue(item)}</Paragraph>
+            {semester && isOutsideSemester(item.dueDate, semester) && (
+              <View style={styles.metaItem}>
+                <Icon source="alert-outline" size={14} color="#F59E0B" />
+                <Text style={styles.outsideText}>Outside the semester dates</Text>
+              </View>
+            )}
+            {renderTaskDetails(item)}
+            {renderSubtaskProgress(item)}
           </View>
           
-          {/* Edit/Delete actions */}
+          {/* Edit/Delete/Move actions */}
           <View style={styles.actions}>
             <IconButton 
-              icon="pencil" 
-              size={20} 
-              onPress={() => openEditDialog(item, index)}
-              disabled={item.completed}
-              iconColor={theme.colors.primary}
-            />
-            <IconButton 
-              icon="delete" 
+              icon={expandedTasks[item.id] ? 'chevron-up' : 'format-list-checks'} 
               size={20} 
-              onPress={() => handleDeleteTask(index)}
+              onPress={() => toggleExpand(item.id)}
               iconColor={theme.colors.primary}
             />
+            {!archived && (
+              <>
+                <IconButton 
+                  icon="pencil" 
+                  size={20} 
+                  onPress={() => openEditDialog(item)}
+                  disabled={item.completed}
+                  iconColor={theme.colors.primary}
+                />
+                <IconButton 
+                  icon="delete" 
+                  size={20} 
+                  onPress={() => handleDeleteTask(item.id)}
+                  iconColor={theme.colors.primary}
+                />
+              </>
+            )}
+            <Menu
+              visible={openMenu === item.id}
+              onDismiss={() => setOpenMenu(null)}
+              anchor={
+                <IconButton
+                  icon="dots-vertical"
+                  size={20}
+                  onPress={() => setOpenMenu(item.id)}
+                  iconColor={theme.colors.primary}
+                />
+              }
+            >
+              {!archived && (
+                <Menu.Item
+                  leadingIcon="check-decagram-outline"
+                  title="Grade…"
+                  onPress={() => openGradeDialog(item)}
+                />
+              )}
+              {!archived && (
+                <Menu.Item
+                  leadingIcon="folder-move-outline"
+                  title="Move to…"
+                  onPress={() => openTransferDialog('move', item)}
+                />
+              )}
+              <Menu.Item
+                leadingIcon="content-copy"
+                title="Copy to…"
+                onPress={() => openTransferDialog('copy', item)}
+              />
+            </Menu>
           </View>
         </View>
+
+        {/* Subtask checklist */}
+        {expandedTasks[item.id] && (
+          <SubtaskList
+            semesterId={semesterId}
+            subjectId={subjectId}
+            task={item}
+            colorTag={colorTag}
+            readOnly={archived}
+          />
+        )}
       </Card.Content>
     </Card>
   );
 
+  /**
+   * Render the sort, filter and group controls above the list
+   */
+  const renderToolbar = () => (
+    <View style={styles.toolbar}>
+      <Menu
+        visible={openMenu === 'sort'}
+        onDismiss={() => setOpenMenu(null)}
+        anchor={
+          <Chip icon="sort" onPress={() => setOpenMenu('sort')} style={styles.toolbarChip}>
+            {sortOption.label}
+          </Chip>
+        }
+      >
+        {SORT_OPTIONS.map(option => (
+          <Menu.Item
+            key={option.value}
+            title={option.label}
+            leadingIcon={option.value === sortOption.value ? 'check' : undefined}
+            onPress={() => handleChangeView({ sort: option.value })}
+          />
+        ))}
+      </Menu>
+      <Menu
+        visible={openMenu === 'filter'}
+        onDismiss={() => setOpenMenu(null)}
+        anchor={
+          <Chip icon="filter-variant" onPress={() => setOpenMenu('filter')} style={styles.toolbarChip}>
+            {filterOption.label}
+          </Chip>
+        }
+      >
+        {FILTER_OPTIONS.map(option => (
+          <Menu.Item
+            key={option.value}
+            title={option.label}
+            leadingIcon={option.value === filterOption.value ? 'check' : undefined}
+            onPress={() => handleChangeView({ filter: option.value })}
+          />
+        ))}
+      </Menu>
+      <Chip
+        icon="format-list-group"
+        selected={!!view.group}
+        onPress={() => handleChangeView({ group: !view.group })}
+        style={styles.toolbarChip}
+      >
+        Group
+      </Chip>
+      {canReorder && !archived && tasks.length > 1 && (
+        <Text style={styles.hint}>Long-press a task to reorder it</Text>
+      )}
+    </View>
+  );
+
+  const emptyText = (
+    <Paragraph style={styles.emptyText}>
+      {tasks.length > 0 ? 'No tasks match this filter.' : 'No tasks yet. Add one using the + button!'}
+    </Paragraph>
+  );
+
   return (
     <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
-      <FlatList
-        data={tasks}
-        renderItem={renderTask}
-        keyExtractor={(item, index) => index.toString()}
-        contentContainerStyle={styles.listContent}
-        ListEmptyComponent={
-          <Paragraph style={styles.emptyText}>No tasks yet. Add one using the + button!</Paragraph>
-        }
-      />
+      {/* Read-only notice for archived semesters */}
+      {archived && (
+        <View style={styles.archivedBanner}>
+          <Text style={styles.archivedText}>This semester is archived and read-only.</Text>
+          <Button compact onPress={handleRestoreSemester}>Restore</Button>
+        </View>
+      )}
+      {tasks.length > 0 && renderToolbar()}
+      {canReorder ? (
+        <DraggableList
+          data={sections.length > 0 ? sections[0].data : []}
+          renderItem={renderTask}
+          keyExtractor={(item) => item.id}
+          onReorder={handleReorder}
+          enabled={!archived}
+          contentContainerStyle={styles.listContent}
+          ListEmptyComponent={emptyText}
+        />
+      ) : (
+        <SectionList
+          sections={sections}
+          renderItem={renderTask}
+          keyExtractor={(item) => item.id}
+          renderSectionHeader={({ section }) => (section.title ? (
+            <List.Subheader style={section.key === 'overdue' && styles.overdueHeader}>
+              {`${section.title} (${section.data.length})`}
+            </List.Subheader>
+          ) : null)}
+          stickySectionHeadersEnabled={false}
+          contentContainerStyle={styles.listContent}
+          ListEmptyComponent={emptyText}
+        />
+      )}
       
       {/* Floating Action Button */}
-      <FAB
-        icon="plus"
-        style={[styles.fab, { backgroundColor: colorTag }]}
-        onPress={openAddDialog}
-      />
+      {!archived && (
+        <FAB
+          icon="plus"
+          style={[styles.fab, { backgroundColor: colorTag }]}
+          onPress={openAddDialog}
+        />
+      )}
 
       {/* Add/Edit Task Dialog */}
+      <TaskDialog
+        visible={dialogVisible}
+        task={editingTask}
+        onDismiss={() => setDialogVisible(false)}
+        onSubmit={handleSubmitTask}
+      />
+
+      {/* Move/Copy Task Dialog */}
+      <MoveCopyDialog
+        visible={transfer !== null}
+        action={transfer ? transfer.action : 'move'}
+        kind="task"
+        item={transfer ? transfer.task : null}
+        semesterId={semesterId}
+        subjectId={subjectId}
+        onDismiss={() => setTransfer(null)}
+        onSubmit={handleTransferTask}
+      />
+
+      {/* Task Grade Dialog */}
+      <GradeDialog
+        visible={gradingTask !== null}
+        task={gradingTask}
+        categories={(subject && subject.gradeCategories) || []}
+        onDismiss={() => setGradingTask(null)}
+        onSubmit={handleSaveGrade}
+      />
+
+      {/* Scope choice when editing a recurring task */}
       <Portal>
-        <Dialog visible={dialogVisible} onDismiss={() => setDialogVisible(false)}>
-          <Dialog.Title>{editingTask !== null ? 'Edit Task' : 'Add Task'}</Dialog.Title>
+        <Dialog visible={pendingEdit !== null} onDismiss={() => setPendingEdit(null)}>
+          <Dialog.Title>Edit recurring task</Dialog.Title>
           <Dialog.Content>
-            <TextInput
-              label="Task Title"
-              value={taskTitle}
-              onChangeText={setTaskTitle}
-              mode="outlined"
-              placeholder="e.g., Complete Assignment 1"
-              style={styles.input}
-            />
-            <Button 
-              mode="outlined" 
-              onPress={() => setShowDatePicker(true)}
-              style={styles.dateButton}
-            >
-              Due Date: {dueDate.toISOString().split('T')[0]}
-            </Button>
-            {/* Date picker component */}
-            {showDatePicker && (
-              <DateTimePicker
-                value={dueDate}
-                mode="date"
-                display={Platform.OS === 'ios' ? 'spinner' : 'default'}
-                onChange={onDateChange}
-              />
-            )}
+            <Paragraph>Apply your changes to this occurrence only, or to this and all future occurrences?</Paragraph>
           </Dialog.Content>
           <Dialog.Actions>
-            <Button onPress={() => setDialogVisible(false)}>Cancel</Button>
-            <Button onPress={editingTask !== null ? handleEditTask : handleAddTask}>
-              {editingTask !== null ? 'Update' : 'Add'}
-            </Button>
+            <Button onPress={() => setPendingEdit(null)}>Cancel</Button>
+            <Button onPress={() => handleApplyRecurringEdit('this')}>This occurrence</Button>
+            <Button onPress={() => handleApplyRecurringEdit('future')}>All future</Button>
           </Dialog.Actions>
         </Dialog>
       </Portal>
+
+      {/* Undo/Error Snackbar */}
+      <Snackbar
+        visible={snackbarVisible}
+        onDismiss={() => {
+          setSnackbarVisible(false);
+          setUndoEntryId(null);
+        }}
+        duration={undoEntryId ? 6000 : 3000}
+        action={undoEntryId ? {
+          label: 'Undo',
+          onPress: handleUndo,
+        } : {
+          label: 'OK',
+          onPress: () => setSnackbarVisible(false),
+        }}
+      >
+        {snackbarMessage}
+      </Snackbar>
     </View>
   );
 }
@@ -260,6 +636,42 @@ const styles = StyleSheet.create({
   container: {
     flex: 1,
   },
+  headerActions: {
+    flexDirection: 'row',
+  },
+  archivedBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: '#F1F5F9',
+    paddingLeft: 16,
+    paddingRight: 8,
+    paddingVertical: 4,
+  },
+  archivedText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#64748B',
+  },
+  toolbar: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingHorizontal: 16,
+    paddingTop: 12,
+  },
+  toolbarChip: {
+    marginRight: 8,
+    marginBottom: 4,
+  },
+  hint: {
+    width: '100%',
+    fontSize: 12,
+    color: '#64748B',
+    marginTop: 4,
+  },
+  overdueHeader: {
+    color: '#EF4444',
+  },
   listContent: {
     padding: 16,
     paddingBottom: 80,
@@ -308,10 +720,50 @@ const styles = StyleSheet.create({
     right: 0,
     bottom: 0,
   },
-  input: {
-    marginBottom: 16,
+  metaRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  metaItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  metaText: {
+    fontSize: 12,
+    color: '#64748B',
+    marginLeft: 4,
+  },
+  outsideText: {
+    fontSize: 12,
+    color: '#B45309',
+    marginLeft: 4,
+  },
+  priorityText: {
+    fontWeight: 'bold',
+    marginLeft: 0,
+    marginRight: 12,
+  },
+  progressRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
   },
-  dateButton: {
-    marginTop: 8,
+  progressBar: {
+    width: 80,
+    height: 4,
+    borderRadius: 2,
+  },
+  progressText: {
+    fontSize: 12,
+    color: '#64748B',
+    marginLeft: 8,
+  },
+  notes: {
+    fontSize: 12,
+    color: '#64748B',
+    marginTop: 4,
   },
 });
@@ -0,0 +1,216 @@
+import React, { useEffect } from 'react';
+import {
+  View,
+  ScrollView,
+  StyleSheet,
+  Pressable,
+  useWindowDimensions
+} from 'react-native';
+import { Paragraph, Text, useTheme } from 'react-native-paper';
+import { buildTimetable } from '../utils/courses';
+import { getCurrentSemester } from '../utils/semesters';
+import useStore from '../hooks/useStore';
+
+// Height of one hour in the grid
+const HOUR_HEIGHT = 60;
+
+// Width of the hour labels on the left
+const TIME_COLUMN_WIDTH = 48;
+
+// Narrowest a day column gets before the grid scrolls sideways
+const MIN_DAY_WIDTH = 96;
+
+/**
+ * TimetableScreen Component
+ * Weekly class grid of a semester built from its subjects' schedules, colored by
+ * subject; opens the active semester unless a semesterId is passed
+ */
+export default function TimetableScreen({ route, navigation }) {
+  const theme = useTheme();
+  const { width } = useWindowDimensions();
+  const semesterId = route.params && route.params.semesterId;
+  const semester = useStore(state => (
+    semesterId
+      ? state.semesters.find(s => s.id === semesterId)
+      : getCurrentSemester(state.semesters)
+  ));
+  const semesterData = useStore(state => (semester ? state.data[semester.id] : null));
+
+  const timetable = buildTimetable(semesterData);
+  const { days, startHour, endHour } = timetable;
+  const hours = Array.from({ length: endHour - startHour }, (_, index) => startHour + index);
+  const dayWidth = Math.max(MIN_DAY_WIDTH, (width - TIME_COLUMN_WIDTH - 16) / days.length);
+  const today = new Date().getDay();
+
+  /**
+   * Show the semester name in the header
+   */
+  useEffect(() => {
+    if (semester) {
+      navigation.setOptions({ title: `${semester.name} – Timetable` });
+    }
+  }, [semester && semester.name]);
+
+  /**
+   * Open the tasks of the subject a class belongs to
+   */
+  const openSubject = (meeting) => {
+    navigation.navigate('Tasks', {
+      semesterId: semester.id,
+      subjectId: meeting.subjectId,
+      subject: meeting.subjectName,
+      colorTag: meeting.colorTag,
+    });
+  };
+
+  /**
+   * Render one class as a block positioned by its start and end time
+   */
+  const renderMeeting = (meeting, lanes) => {
+    const laneWidth = (dayWidth - 4) / lanes;
+    return (
+      <Pressable
+        key={meeting.id}
+        onPress={() => openSubject(meeting)}
+        style={[
+          styles.meeting,
+          {
+            top: ((meeting.start - startHour * 60) / 60) * HOUR_HEIGHT,
+            height: ((meeting.end - meeting.start) / 60) * HOUR_HEIGHT - 2,
+            left: 2 + meeting.lane * laneWidth,
+            width: laneWidth - 2,
+            backgroundColor: meeting.colorTag,
+          },
+        ]}
+      >
+        <Text style={styles.meetingTitle} numberOfLines={2}>{meeting.subjectName}</Text>
+        <Text style={styles.meetingText} numberOfLines={1}>
+          {meeting.startTime}–{meeting.endTime}
+        </Text>
+        {meeting.place ? (
+          <Text style={styles.meetingText} numberOfLines={1}>{meeting.place}</Text>
+        ) : null}
+      </Pressable>
+    );
+  };
+
+  if (!semester) {
+    return (
+      <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+        <Paragraph style={styles.emptyText}>No active semester. Add one or restore one from the archive.</Paragraph>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView
+      style={[styles.container, { backgroundColor: theme.colors.background }]}
+      contentContainerStyle={styles.content}
+    >
+      {timetable.count === 0 && (
+        <Paragraph style={styles.emptyText}>
+          No classes yet. Add meeting times under "Course details…" in a subject's menu.
+        </Paragraph>
+      )}
+      <ScrollView horizontal>
+        <View>
+          {/* Day headers */}
+          <View style={styles.row}>
+            <View style={{ width: TIME_COLUMN_WIDTH }} />
+            {days.map(day => (
+              <Text
+                key={day.day}
+                style={[
+                  styles.dayLabel,
+                  { width: dayWidth },
+                  day.day === today && { color: theme.colors.primary, fontWeight: 'bold' },
+                ]}
+              >
+                {day.label}
+              </Text>
+            ))}
+          </View>
+
+          {/* Hour lines with the classes of each day on top */}
+          <View style={styles.row}>
+            <View style={{ width: TIME_COLUMN_WIDTH }}>
+              {hours.map(hour => (
+                <Text key={hour} style={styles.hourLabel}>
+                  {`${String(hour).padStart(2, '0')}:00`}
+                </Text>
+              ))}
+            </View>
+            {days.map(day => (
+              <View
+                key={day.day}
+                style={[
+                  styles.dayColumn,
+                  { width: dayWidth, height: hours.length * HOUR_HEIGHT },
+                  day.day === today && { backgroundColor: theme.colors.primaryContainer },
+                ]}
+              >
+                {hours.map(hour => <View key={hour} style={styles.hourLine} />)}
+                {day.meetings.map(meeting => renderMeeting(meeting, day.lanes))}
+              </View>
+            ))}
+          </View>
+        </View>
+      </ScrollView>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 8,
+    paddingBottom: 32,
+  },
+  row: {
+    flexDirection: 'row',
+  },
+  dayLabel: {
+    textAlign: 'center',
+    paddingVertical: 8,
+    fontSize: 13,
+    color: '#64748B',
+  },
+  hourLabel: {
+    height: HOUR_HEIGHT,
+    fontSize: 11,
+    color: '#64748B',
+  },
+  dayColumn: {
+    borderLeftWidth: StyleSheet.hairlineWidth,
+    borderLeftColor: '#CBD5E1',
+  },
+  hourLine: {
+    height: HOUR_HEIGHT,
+    borderTopWidth: StyleSheet.hairlineWidth,
+    borderTopColor: '#E2E8F0',
+  },
+  meeting: {
+    position: 'absolute',
+    borderRadius: 6,
+    padding: 4,
+    overflow: 'hidden',
+  },
+  meetingTitle: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  meetingText: {
+    fontSize: 11,
+    color: '#fff',
+  },
+  emptyText: {
+    textAlign: 'center',
+    marginVertical: 24,
+    marginHorizontal: 16,
+    fontStyle: 'italic',
+    color: '#64748B',
+  },
+});
@@ -0,0 +1,230 @@
+import React, { useState, useEffect } from 'react';
+import { View, FlatList, StyleSheet } from 'react-native';
+import {
+  Card,
+  Paragraph,
+  IconButton,
+  Button,
+  Portal,
+  Dialog,
+  Snackbar,
+  Text,
+  Icon,
+  useTheme
+} from 'react-native-paper';
+import {
+  restoreFromTrash,
+  purgeFromTrash,
+  emptyTrash,
+  purgeExpiredTrash,
+  getDaysUntilPurge,
+  TRASH_RETENTION_DAYS
+} from '../utils/trash';
+import useStore from '../hooks/useStore';
+
+// Icon and label for each kind of deleted item
+const KINDS = {
+  semester: { icon: 'school', label: 'Semester' },
+  subject: { icon: 'bookshelf', label: 'Subject' },
+  task: { icon: 'checkbox-marked-circle-outline', label: 'Task' },
+};
+
+/**
+ * Describe where a deleted item came from, e.g. "Task · Physics › Fall 2025"
+ */
+const describeOrigin = (entry) => {
+  const { label } = KINDS[entry.kind];
+  if (entry.kind === 'semester') {
+    const count = Object.keys(entry.item.subjects || {}).length;
+    return `${label} · ${count} ${count === 1 ? 'subject' : 'subjects'}`;
+  }
+  if (entry.kind === 'subject') return `${label} · ${entry.semesterName}`;
+  return `${label} · ${entry.subjectName} › ${entry.semesterName}`;
+};
+
+/**
+ * TrashScreen Component
+ * Lists deleted semesters, subjects and tasks so they can be restored or purged
+ */
+export default function TrashScreen() {
+  const theme = useTheme();
+  const trash = useStore(state => [...(state.trash || [])].reverse());
+
+  // State management
+  const [confirmVisible, setConfirmVisible] = useState(false);
+  const [snackbarVisible, setSnackbarVisible] = useState(false);
+  const [snackbarMessage, setSnackbarMessage] = useState('');
+
+  /**
+   * Drop anything past the retention period before showing the list
+   */
+  useEffect(() => {
+    purgeExpiredTrash();
+  }, []);
+
+  /**
+   * Show a short message at the bottom of the screen
+   */
+  const showMessage = (message) => {
+    setSnackbarMessage(message);
+    setSnackbarVisible(true);
+  };
+
+  /**
+   * Handle restoring an item to where it was deleted from
+   */
+  const handleRestore = async (entry) => {
+    try {
+      await restoreFromTrash(entry.id);
+      showMessage(`${KINDS[entry.kind].label} restored`);
+    } catch (error) {
+      showMessage(error.message);
+    }
+  };
+
+  /**
+   * Handle emptying the trash after confirmation
+   */
+  const handleEmptyTrash = async () => {
+    setConfirmVisible(false);
+    await emptyTrash();
+  };
+
+  /**
+   * Render a single deleted item
+   */
+  const renderEntry = ({ item }) => {
+    const name = item.kind === 'task' ? item.item.title : item.item.name;
+    const daysLeft = getDaysUntilPurge(item);
+    return (
+      <Card
+        style={[
+          styles.card,
+          item.item.colorTag && { borderLeftColor: item.item.colorTag, borderLeftWidth: 6 }
+        ]}
+      >
+        <Card.Content style={styles.cardContent}>
+          <Icon source={KINDS[item.kind].icon} size={24} color="#64748B" />
+          <View style={styles.info}>
+            <Paragraph style={styles.title}>{name}</Paragraph>
+            <Text style={styles.meta}>{describeOrigin(item)}</Text>
+            <Text style={styles.meta}>
+              Deleted {item.deletedAt.slice(0, 10)} · purged in {daysLeft} {daysLeft === 1 ? 'day' : 'days'}
+            </Text>
+          </View>
+          <IconButton
+            icon="restore"
+            size={20}
+            onPress={() => handleRestore(item)}
+            iconColor={theme.colors.primary}
+          />
+          <IconButton
+            icon="delete-forever"
+            size={20}
+            onPress={() => purgeFromTrash(item.id)}
+            iconColor="#EF4444"
+          />
+        </Card.Content>
+      </Card>
+    );
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <FlatList
+        data={trash}
+        renderItem={renderEntry}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={styles.listContent}
+        ListHeaderComponent={trash.length > 0 ? (
+          <View style={styles.header}>
+            <Text style={styles.hint}>
+              Items are deleted for good after {TRASH_RETENTION_DAYS} days.
+            </Text>
+            <Button icon="delete-sweep" onPress={() => setConfirmVisible(true)}>
+              Empty trash
+            </Button>
+          </View>
+        ) : null}
+        ListEmptyComponent={
+          <Paragraph style={styles.emptyText}>The trash is empty.</Paragraph>
+        }
+      />
+
+      {/* Confirm emptying the trash */}
+      <Portal>
+        <Dialog visible={confirmVisible} onDismiss={() => setConfirmVisible(false)}>
+          <Dialog.Title>Empty trash?</Dialog.Title>
+          <Dialog.Content>
+            <Paragraph>Everything in the trash will be deleted for good.</Paragraph>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setConfirmVisible(false)}>Cancel</Button>
+            <Button onPress={handleEmptyTrash}>Empty</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      {/* Result Snackbar */}
+      <Snackbar
+        visible={snackbarVisible}
+        onDismiss={() => setSnackbarVisible(false)}
+        duration={3000}
+        action={{
+          label: 'OK',
+          onPress: () => setSnackbarVisible(false),
+        }}
+      >
+        {snackbarMessage}
+      </Snackbar>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  listContent: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  hint: {
+    flex: 1,
+    fontSize: 12,
+    color: '#64748B',
+  },
+  card: {
+    marginBottom: 12,
+    elevation: 2,
+  },
+  cardContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  info: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#1E293B',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#64748B',
+  },
+  emptyText: {
+    textAlign: 'center',
+    marginTop: 32,
+    fontStyle: 'italic',
+    color: '#64748B',
+  },
+});
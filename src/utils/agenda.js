@@ -0,0 +1,41 @@
+import { toDateKey, addDays, dueSortKey } from './dates';
+import { getAllTasks } from './selectors';
+import { isOverdue } from './taskView';
+
+// How far ahead the "Next 7 days" section looks
+const UPCOMING_DAYS = 7;
+
+/**
+ * Group pending tasks across all semesters into agenda sections; archived semesters are left out
+ * Completed tasks stay in the section of their due date so they can be unticked again
+ * @param {Object} state - Repository state
+ * @param {Date} today - Reference moment (defaults to now); tasks due earlier today are overdue
+ * @returns {Array} SectionList sections: Overdue, Today and Next 7 days
+ */
+export const buildAgenda = (state, today = new Date()) => {
+  const todayKey = toDateKey(today);
+  const lastUpcomingKey = toDateKey(addDays(today, UPCOMING_DAYS));
+
+  const overdue = [];
+  const dueToday = [];
+  const upcoming = [];
+  getAllTasks(state, { includeArchived: false }).forEach((entry) => {
+    const { dueDate } = entry.task;
+    if (!dueDate) return;
+    // Past its due time, like in the task list; finished tasks are never overdue
+    if (isOverdue(entry.task, today)) {
+      overdue.push(entry);
+    } else if (dueDate === todayKey) {
+      dueToday.push(entry);
+    } else if (dueDate > todayKey && dueDate <= lastUpcomingKey) {
+      upcoming.push(entry);
+    }
+  });
+
+  const byDueDate = (a, b) => dueSortKey(a.task).localeCompare(dueSortKey(b.task));
+  return [
+    { key: 'overdue', title: 'Overdue', data: overdue.sort(byDueDate) },
+    { key: 'today', title: 'Today', data: dueToday.sort(byDueDate) },
+    { key: 'upcoming', title: `Next ${UPCOMING_DAYS} days`, data: upcoming.sort(byDueDate) },
+  ];
+};
@@ -0,0 +1,156 @@
+import { parseDateKey, toDateKey, addDays } from './dates';
+import { generateId } from './id';
+
+/**
+ * Attendance log per subject
+ * A subject may carry `attendance`: [{ id, date, status, meetingId?, startTime? }] and an
+ * `attendanceThreshold` in percent. Entries generated from the class schedule start
+ * unmarked (status null). Late counts as attended; excused and unmarked classes don't count.
+ */
+
+export const ATTENDANCE_STATUSES = [
+  { value: 'present', label: 'Present', icon: 'check-circle-outline', color: '#10B981' },
+  { value: 'late', label: 'Late', icon: 'clock-alert-outline', color: '#F59E0B' },
+  { value: 'absent', label: 'Absent', icon: 'close-circle-outline', color: '#EF4444' },
+  { value: 'excused', label: 'Excused', icon: 'shield-check-outline', color: '#64748B' },
+];
+
+// Minimum attendance in percent when a subject doesn't set its own
+export const DEFAULT_ATTENDANCE_THRESHOLD = 75;
+
+// Safety limit for generating entries over a very long date range
+const MAX_GENERATED_DAYS = 400;
+
+/**
+ * Look up the status option of an entry
+ * @param {string|null} value - Stored status
+ * @returns {Object|undefined} Matching status option, undefined while unmarked
+ */
+export const getAttendanceStatus = value => ATTENDANCE_STATUSES.find(s => s.value === value);
+
+/**
+ * Check an attendance status before it is saved
+ * @param {string|null} status - Status, or null for an unmarked class
+ * @throws {Error} If the status is unknown
+ */
+export const assertAttendanceStatus = (status) => {
+  if (status !== null && !getAttendanceStatus(status)) {
+    throw new Error(`Unknown attendance status "${status}"`);
+  }
+};
+
+/**
+ * Check an attendance threshold before it is saved
+ * @param {number} threshold - Minimum attendance in percent
+ * @throws {Error} If it isn't between 0 and 100
+ */
+export const assertAttendanceThreshold = (threshold) => {
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+    throw new Error('The minimum attendance must be between 0 and 100%');
+  }
+};
+
+/**
+ * Sort entries newest first, later classes of a day first
+ * @param {Array} entries - Attendance entries
+ * @returns {Array} Sorted copy
+ */
+export const sortAttendance = entries => [...entries].sort((a, b) => (
+  `${b.date}T${b.startTime || ''}`.localeCompare(`${a.date}T${a.startTime || ''}`)
+));
+
+/**
+ * Summarize a subject's attendance
+ * @param {Object} subject - Subject with optional attendance and attendanceThreshold
+ * @returns {Object} { counts, attended, counted, unmarked, percent, threshold, below, atRisk }
+ *   where `counts` is keyed by status, `percent` is null until a class counts, `below`
+ *   means the subject is under its threshold and `atRisk` that one more absence would
+ *   bring it there
+ */
+export const getAttendanceSummary = (subject) => {
+  const entries = subject.attendance || [];
+  const counts = { present: 0, late: 0, absent: 0, excused: 0 };
+  let unmarked = 0;
+  entries.forEach((entry) => {
+    if (counts[entry.status] !== undefined) {
+      counts[entry.status] += 1;
+    } else {
+      unmarked += 1;
+    }
+  });
+  const attended = counts.present + counts.late;
+  const counted = attended + counts.absent;
+  const threshold = Number.isFinite(subject.attendanceThreshold)
+    ? subject.attendanceThreshold
+    : DEFAULT_ATTENDANCE_THRESHOLD;
+  const percent = counted > 0 ? (attended / counted) * 100 : null;
+  const below = percent !== null && percent < threshold;
+  return {
+    counts,
+    attended,
+    counted,
+    unmarked,
+    percent,
+    threshold,
+    below,
+    atRisk: percent !== null && !below && (attended / (counted + 1)) * 100 < threshold,
+  };
+};
+
+/**
+ * Describe a subject's attendance for its card, e.g. "Attendance 90% (min 75%)"
+ * @param {Object} summary - Result of getAttendanceSummary
+ * @returns {string} Summary with a warning when at or below the threshold, or an
+ *   empty string while nothing is recorded
+ */
+export const formatAttendance = (summary) => {
+  if (summary.percent === null) return '';
+  const text = `Attendance ${Math.round(summary.percent)}% (min ${summary.threshold}%)`;
+  if (summary.below) return `${text} · below the minimum`;
+  if (summary.atRisk) return `${text} · one more absence drops below`;
+  return text;
+};
+
+/**
+ * List the scheduled classes that have no attendance entry yet
+ * Classes are counted from the semester start (or today without one) up to today,
+ * and not past the semester end
+ * @param {Object} subject - Subject with details.schedule and optional attendance
+ * @param {Object} semester - Semester with optional startDate and endDate
+ * @param {Date} today - Last day to include
+ * @returns {Array} [{ date, meetingId, startTime }], oldest first
+ */
+export const getMissingClasses = (subject, semester, today = new Date()) => {
+  const schedule = (subject.details && subject.details.schedule) || [];
+  if (schedule.length === 0) return [];
+
+  const todayKey = toDateKey(today);
+  const lastKey = semester.endDate && semester.endDate < todayKey ? semester.endDate : todayKey;
+  const known = new Set((subject.attendance || []).map(e => `${e.date}|${e.meetingId || ''}`));
+  const missing = [];
+  let date = parseDateKey(semester.startDate) || parseDateKey(todayKey);
+  for (let day = 0; day < MAX_GENERATED_DAYS && toDateKey(date) <= lastKey; day++) {
+    const dateKey = toDateKey(date);
+    schedule
+      .filter(meeting => meeting.day === date.getDay())
+      .forEach((meeting) => {
+        if (known.has(`${dateKey}|${meeting.id}`)) return;
+        missing.push({ date: dateKey, meetingId: meeting.id, startTime: meeting.startTime });
+      });
+    date = addDays(date, 1);
+  }
+  return missing;
+};
+
+/**
+ * Create an attendance entry
+ * @param {Object} fields - { date, status, meetingId?, startTime? }
+ * @returns {Object} New entry
+ */
+export const createAttendanceEntry = ({ date, status = null, meetingId, startTime }) => ({
+  id: generateId('att'),
+  date,
+  status,
+  ...(meetingId ? { meetingId } : {}),
+  ...(startTime ? { startTime } : {}),
+});
@@ -0,0 +1,266 @@
+import { loadData, loadSemesters } from './storage';
+import { mutate } from './repository';
+import { generateId } from './id';
+import { CURRENT_SCHEMA_VERSION, migrateStore } from './migrations';
+import { checkIntegrity } from './integrity';
+import { getNextPosition, getOrderedSubjects } from './ordering';
+import { isArchived, assertSemesterStatus, validateSemesterDates } from './semesters';
+import { parseDateKey, parseTimeKey } from './dates';
+import { collectIds } from './trash';
+
+// Identifies CampusBuddy backup files and their layout version
+export const BACKUP_FORMAT = 'campusbuddy-backup';
+export const BACKUP_VERSION = 1;
+
+// Suffix added to imported semesters/subjects whose names are already taken
+const IMPORTED_SUFFIX = ' (imported)';
+
+/**
+ * Serialize every semester, subject and task into a backup object
+ * Semesters are nested with their subjects so the file is readable on its own
+ * @returns {Object} Backup ready to be written as JSON
+ */
+export const createBackup = async () => {
+  const semesters = await loadSemesters();
+  const data = await loadData();
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    semesters: semesters.map(semester => ({
+      ...semester,
+      subjects: getOrderedSubjects(data[semester.id]),
+    })),
+  };
+};
+
+/**
+ * File name for a backup exported today
+ */
+export const getBackupFileName = () => `campusbuddy-backup-${new Date().toISOString().slice(0, 10)}.json`;
+
+/**
+ * Check that a value is a non-empty string
+ */
+const isName = value => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Check that an optional "YYYY-MM-DD" field holds a real date
+ */
+const isDateOrEmpty = value => !value || (typeof value === 'string' && !!parseDateKey(value));
+
+/**
+ * Check that an optional "HH:mm" field holds a real time of day
+ */
+const isTimeOrEmpty = (value) => {
+  if (!value) return true;
+  const time = parseTimeKey(value);
+  return !!time && time.hours < 24 && time.minutes < 60;
+};
+
+/**
+ * Check the fields of a semester that the app relies on
+ * @throws {Error} If its status or dates are invalid
+ */
+const assertSemesterFields = (semester) => {
+  if (!isDateOrEmpty(semester.startDate) || !isDateOrEmpty(semester.endDate)) {
+    throw new Error(`Semester "${semester.name}" has an invalid start or end date`);
+  }
+  try {
+    if (semester.status) assertSemesterStatus(semester.status);
+    validateSemesterDates(semester.startDate, semester.endDate);
+  } catch (e) {
+    throw new Error(`Semester "${semester.name}": ${e.message}`);
+  }
+};
+
+/**
+ * Check the fields of a task that the app relies on
+ * @throws {Error} If its due date, due time or subtasks are invalid
+ */
+const assertTaskFields = (task) => {
+  if (!isDateOrEmpty(task.dueDate)) {
+    throw new Error(`Task "${task.title}" has an invalid due date "${task.dueDate}"`);
+  }
+  if (!isTimeOrEmpty(task.dueTime)) {
+    throw new Error(`Task "${task.title}" has an invalid due time "${task.dueTime}"`);
+  }
+  if (task.subtasks !== undefined && !Array.isArray(task.subtasks)) {
+    throw new Error(`Task "${task.title}" has an invalid subtask list`);
+  }
+};
+
+/**
+ * Validate a parsed backup file and convert it to the store layout
+ * @param {*} backup - Parsed JSON from the chosen file
+ * @returns {Object} { semesters, data, summary } ready to import
+ * @throws {Error} Describing the first problem found
+ */
+export const validateBackup = (backup) => {
+  if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a CampusBuddy backup');
+  }
+  if (backup.version > BACKUP_VERSION || backup.schemaVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error('This backup was made by a newer version of the app');
+  }
+  if (!Array.isArray(backup.semesters)) {
+    throw new Error('The backup has no semester list');
+  }
+
+  const semesters = [];
+  const data = {};
+  const summary = { semesters: 0, subjects: 0, tasks: 0, exportedAt: backup.exportedAt };
+  backup.semesters.forEach((semester, semesterIndex) => {
+    if (!semester || !isName(semester.name)) {
+      throw new Error(`Semester ${semesterIndex + 1} has no name`);
+    }
+    if (semester.subjects !== undefined && !Array.isArray(semester.subjects)) {
+      throw new Error(`Semester "${semester.name}" has an invalid subject list`);
+    }
+    assertSemesterFields(semester);
+    const { subjects = [], ...semesterFields } = semester;
+    const semesterId = semester.id || generateId('sem');
+    semesters.push({ ...semesterFields, id: semesterId });
+    data[semesterId] = {};
+    summary.semesters++;
+
+    subjects.forEach((subject) => {
+      if (!subject || !isName(subject.name)) {
+        throw new Error(`A subject in "${semester.name}" has no name`);
+      }
+      if (subject.tasks !== undefined && !Array.isArray(subject.tasks)) {
+        throw new Error(`Subject "${subject.name}" has an invalid task list`);
+      }
+      const tasks = (subject.tasks || []).map((task) => {
+        if (!task || !isName(task.title)) {
+          throw new Error(`A task in "${subject.name}" has no title`);
+        }
+        assertTaskFields(task);
+        return { ...task, id: task.id || generateId('task') };
+      });
+      const subjectId = subject.id || generateId('sub');
+      data[semesterId][subjectId] = { ...subject, id: subjectId, tasks };
+      summary.subjects++;
+      summary.tasks += tasks.length;
+    });
+  });
+
+  // Bring older backups up to the current layout and repair anything inconsistent
+  const version = backup.schemaVersion || 1;
+  const migrated = version < CURRENT_SCHEMA_VERSION
+    ? migrateStore({ semesters, data }, version)
+    : { semesters, data };
+  const { store } = checkIntegrity({ ...migrated, settings: {}, trash: [] });
+  return { semesters: store.semesters, data: store.data, summary };
+};
+
+/**
+ * Parse and validate the text of a backup file
+ * @param {string} text - File contents
+ * @returns {Object} Result of validateBackup
+ * @throws {Error} If the text is not valid JSON or not a valid backup
+ */
+export const parseBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (e) {
+    throw new Error('This file is not valid JSON');
+  }
+  return validateBackup(backup);
+};
+
+/**
+ * Pick a name that isn't taken yet, e.g. "Physics (imported)", "Physics (imported 2)"
+ */
+const uniqueName = (name, takenNames) => {
+  let candidate = `${name}${IMPORTED_SUFFIX}`;
+  let counter = 2;
+  while (takenNames.includes(candidate)) {
+    candidate = `${name} (imported ${counter})`;
+    counter++;
+  }
+  return candidate;
+};
+
+/**
+ * Give imported subjects and tasks fresh ids when their ids are already in use
+ */
+const withFreshIds = (subject, usedIds) => {
+  const subjectId = usedIds.has(subject.id) ? generateId('sub') : subject.id;
+  usedIds.add(subjectId);
+  const tasks = subject.tasks.map((task) => {
+    const taskId = usedIds.has(task.id) ? generateId('task') : task.id;
+    usedIds.add(taskId);
+    return { ...task, id: taskId };
+  });
+  return { ...subject, id: subjectId, tasks };
+};
+
+/**
+ * Merge imported subjects into an existing semester
+ * @param {Object} target - Existing semester data (subjects keyed by id)
+ * @param {Array} subjects - Imported subjects
+ * @param {string} conflict - 'combine' or 'keep-both'
+ * @param {Set} usedIds - Ids already in use
+ */
+const mergeSubjects = (target, subjects, conflict, usedIds) => {
+  subjects.forEach((subject) => {
+    const existing = Object.values(target).find(s => s.name === subject.name);
+    if (existing && conflict === 'combine') {
+      // Same subject: add the tasks it doesn't have yet
+      const knownIds = new Set(existing.tasks.map(t => t.id));
+      subject.tasks.forEach((task) => {
+        if (knownIds.has(task.id)) return;
+        const taskId = usedIds.has(task.id) ? generateId('task') : task.id;
+        usedIds.add(taskId);
+        existing.tasks.push({ ...task, id: taskId });
+      });
+      return;
+    }
+    const imported = withFreshIds(subject, usedIds);
+    imported.position = getNextPosition(target);
+    if (existing) {
+      imported.name = uniqueName(subject.name, Object.values(target).map(s => s.name));
+    }
+    target[imported.id] = imported;
+  });
+};
+
+/**
+ * Import a validated backup in a single store write
+ * @param {Object} backup - Result of parseBackup/validateBackup
+ * @param {string} mode - 'replace' to overwrite all data, 'merge' to add to it
+ * @param {string} conflict - For merges: 'combine' merges semesters and subjects with
+ *   the same name, 'keep-both' imports them alongside under a new name; archived
+ *   semesters are never combined into
+ */
+export const importBackup = (backup, mode, conflict = 'combine') => mutate((store) => {
+  if (mode === 'replace') {
+    store.semesters = backup.semesters;
+    store.data = backup.data;
+    return;
+  }
+
+  // Trashed items keep their ids for a restore, so they count as taken too
+  const usedIds = collectIds(store, { includeTrash: true });
+  backup.semesters.forEach((semester) => {
+    const subjects = Object.values(backup.data[semester.id] || {});
+    const existing = store.semesters.find(s => s.name === semester.name);
+    // Archived semesters are read-only, so their namesake is imported alongside them
+    if (existing && conflict === 'combine' && !isArchived(existing)) {
+      mergeSubjects(store.data[existing.id], subjects, conflict, usedIds);
+      return;
+    }
+
+    const semesterId = usedIds.has(semester.id) ? generateId('sem') : semester.id;
+    usedIds.add(semesterId);
+    const name = existing
+      ? uniqueName(semester.name, store.semesters.map(s => s.name))
+      : semester.name;
+    store.semesters.push({ ...semester, id: semesterId, name });
+    store.data[semesterId] = {};
+    mergeSubjects(store.data[semesterId], subjects, conflict, usedIds);
+  });
+});
@@ -0,0 +1,75 @@
+import { addDays } from './dates';
+import { getAllTasks } from './selectors';
+
+// Weekday labels for the calendar header, starting on Monday
+export const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Find the Monday on or before a date
+ * @param {Date} date - Any day of the week
+ * @returns {Date} Start of that week
+ */
+export const startOfWeek = (date) => {
+  const offset = (date.getDay() + 6) % 7;
+  return addDays(date, -offset);
+};
+
+/**
+ * Build the seven days of the week containing a date
+ * @param {Date} date - Any day of the week
+ * @returns {Array<Date>} Monday to Sunday
+ */
+export const getWeekDays = (date) => {
+  const start = startOfWeek(date);
+  return WEEKDAY_LABELS.map((label, index) => addDays(start, index));
+};
+
+/**
+ * Build the grid of weeks covering a month, padded with days of the neighbouring months
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @returns {Array<Array<Date>>} Weeks of seven days each
+ */
+export const getMonthGrid = (year, month) => {
+  const firstDay = new Date(year, month, 1);
+  const lastDay = new Date(year, month + 1, 0);
+  const weeks = [];
+  let weekStart = startOfWeek(firstDay);
+  while (weekStart <= lastDay) {
+    weeks.push(getWeekDays(weekStart));
+    weekStart = addDays(weekStart, 7);
+  }
+  return weeks;
+};
+
+/**
+ * Group every task by its due date, leaving out archived semesters
+ * @param {Object} state - Repository state
+ * @returns {Object} Entries of { task, subject, semester } keyed by "YYYY-MM-DD"
+ */
+export const groupTasksByDate = (state) => {
+  const byDate = {};
+  getAllTasks(state, { includeArchived: false }).forEach((entry) => {
+    const { dueDate } = entry.task;
+    if (!dueDate) return;
+    if (!byDate[dueDate]) byDate[dueDate] = [];
+    byDate[dueDate].push(entry);
+  });
+  return byDate;
+};
+
+/**
+ * Pick one dot color per subject that has tasks on a day
+ * @param {Array} entries - Task entries due that day
+ * @returns {Array<string>} Distinct subject colors
+ */
+export const getSubjectDots = (entries = []) => {
+  const colors = [];
+  const seenSubjects = new Set();
+  entries.forEach(({ subject }) => {
+    if (seenSubjects.has(subject.id)) return;
+    seenSubjects.add(subject.id);
+    colors.push(subject.colorTag);
+  });
+  return colors;
+};
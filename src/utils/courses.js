@@ -0,0 +1,179 @@
+import { WEEKDAYS } from './recurrence';
+import { parseTimeKey } from './dates';
+import { getOrderedSubjects } from './ordering';
+import { generateId } from './id';
+
+/**
+ * Course details and weekly class schedules
+ * A subject may carry optional `details`:
+ *   { instructor, email, room, credits, schedule: [{ id, day, startTime, endTime, location }] }
+ * `day` uses Date#getDay numbers (0 = Sunday) and times are "HH:mm".
+ */
+
+// Weekdays shown Monday first
+export const SCHEDULE_DAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Minutes since midnight of an "HH:mm" time, or null when invalid
+ */
+export const toMinutes = (timeKey) => {
+  const time = parseTimeKey(timeKey);
+  return time ? time.hours * 60 + time.minutes : null;
+};
+
+/**
+ * Create a class meeting for the schedule editor
+ * @param {number} day - Date#getDay number (default: Monday)
+ * @returns {Object} New meeting
+ */
+export const createMeeting = (day = 1) => ({
+  id: generateId('class'),
+  day,
+  startTime: '09:00',
+  endTime: '10:30',
+  location: '',
+});
+
+/**
+ * Sort meetings Monday first, then by start time
+ * @param {Array} meetings - Meetings to sort
+ * @returns {Array} Sorted copy
+ */
+export const sortMeetings = meetings => [...meetings].sort((a, b) => (
+  SCHEDULE_DAY_ORDER.indexOf(a.day) - SCHEDULE_DAY_ORDER.indexOf(b.day)
+  || toMinutes(a.startTime) - toMinutes(b.startTime)
+));
+
+/**
+ * Check and tidy course details before they are saved
+ * Text is trimmed and empty fields are dropped
+ * @param {Object} details - { instructor, email, room, credits, schedule } from the form;
+ *   credits may be a number or text
+ * @returns {Object|null} Details to store, or null when nothing is left
+ * @throws {Error} If the email, credits or a class time is invalid
+ */
+export const normalizeSubjectDetails = (details) => {
+  const result = {};
+  ['instructor', 'email', 'room'].forEach((field) => {
+    const value = (details[field] || '').trim();
+    if (value) result[field] = value;
+  });
+  if (result.email && !EMAIL_PATTERN.test(result.email)) {
+    throw new Error('Enter a valid instructor email');
+  }
+
+  const credits = details.credits === undefined || details.credits === null
+    ? ''
+    : String(details.credits).trim();
+  if (credits) {
+    const value = Number(credits.replace(',', '.'));
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error('Credits must be a number of zero or more');
+    }
+    result.credits = value;
+  }
+
+  const schedule = (details.schedule || []).map((meeting) => {
+    const start = toMinutes(meeting.startTime);
+    const end = toMinutes(meeting.endTime);
+    if (!WEEKDAYS[meeting.day] || start === null || end === null) {
+      throw new Error('Every class needs a day, a start and an end time');
+    }
+    if (end <= start) {
+      throw new Error(`The ${WEEKDAYS[meeting.day]} class must end after it starts`);
+    }
+    const location = (meeting.location || '').trim();
+    return {
+      id: meeting.id || generateId('class'),
+      day: meeting.day,
+      startTime: meeting.startTime,
+      endTime: meeting.endTime,
+      ...(location ? { location } : {}),
+    };
+  });
+  if (schedule.length > 0) result.schedule = sortMeetings(schedule);
+
+  return Object.keys(result).length > 0 ? result : null;
+};
+
+/**
+ * Check whether a subject has any course details to show
+ */
+export const hasSubjectDetails = subject => !!subject.details && Object.keys(subject.details).length > 0;
+
+/**
+ * Describe a class meeting, e.g. "Mon 09:00–10:30 · Room 101"
+ * @param {Object} meeting - Meeting of a subject's schedule
+ * @param {string} room - Subject room, used when the meeting has no location of its own
+ * @returns {string} Day, time and place
+ */
+export const formatMeeting = (meeting, room) => {
+  const time = `${WEEKDAYS[meeting.day]} ${meeting.startTime}–${meeting.endTime}`;
+  const place = meeting.location || room;
+  return place ? `${time} · ${place}` : time;
+};
+
+/**
+ * Spread a day's overlapping classes over side-by-side lanes
+ * Each meeting gets a `lane`; the day reports how many lanes it needs
+ */
+const assignLanes = (meetings) => {
+  const laneEnds = [];
+  const placed = meetings.map((meeting) => {
+    let lane = laneEnds.findIndex(end => end <= meeting.start);
+    if (lane === -1) lane = laneEnds.length;
+    laneEnds[lane] = meeting.end;
+    return { ...meeting, lane };
+  });
+  return { meetings: placed, lanes: Math.max(1, laneEnds.length) };
+};
+
+/**
+ * Build a semester's weekly class grid from its subjects' schedules
+ * Monday to Friday are always shown; weekend days only when they have classes.
+ * The hours span the earliest start to the latest end (at least 08:00–18:00).
+ * @param {Object} semesterData - Subjects of the semester keyed by id
+ * @returns {Object} { days: [{ day, label, lanes, count, meetings }], startHour, endHour, count }
+ *   where each meeting has { id, subjectId, subjectName, colorTag, startTime, endTime,
+ *   place, start, end, lane } with `start`/`end` in minutes since midnight
+ */
+export const buildTimetable = (semesterData) => {
+  const meetings = [];
+  getOrderedSubjects(semesterData).forEach((subject) => {
+    const details = subject.details || {};
+    (details.schedule || []).forEach((meeting) => {
+      meetings.push({
+        id: meeting.id,
+        day: meeting.day,
+        subjectId: subject.id,
+        subjectName: subject.name,
+        colorTag: subject.colorTag,
+        startTime: meeting.startTime,
+        endTime: meeting.endTime,
+        place: meeting.location || details.room || '',
+        start: toMinutes(meeting.startTime),
+        end: toMinutes(meeting.endTime),
+      });
+    });
+  });
+
+  let startHour = 8;
+  let endHour = 18;
+  meetings.forEach((meeting) => {
+    startHour = Math.min(startHour, Math.floor(meeting.start / 60));
+    endHour = Math.max(endHour, Math.ceil(meeting.end / 60));
+  });
+
+  const days = SCHEDULE_DAY_ORDER
+    .map((day) => {
+      const dayMeetings = meetings
+        .filter(m => m.day === day)
+        .sort((a, b) => a.start - b.start || a.end - b.end);
+      return { day, label: WEEKDAYS[day], ...assignLanes(dayMeetings), count: dayMeetings.length };
+    })
+    .filter(day => day.count > 0 || (day.day >= 1 && day.day <= 5));
+
+  return { days, startHour, endHour, count: meetings.length };
+};
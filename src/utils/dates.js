@@ -0,0 +1,89 @@
+/**
+ * Date helpers for task due dates
+ * Due dates are stored as local calendar dates ("YYYY-MM-DD") and never go through UTC,
+ * so a task due on the 12th stays due on the 12th in every timezone.
+ * An optional due time is stored separately as local "HH:mm".
+ */
+
+/**
+ * Parse a stored "YYYY-MM-DD" date as a local calendar date
+ * `new Date("YYYY-MM-DD")` would read it as UTC midnight instead
+ * @param {string} dateKey - Stored date string
+ * @returns {Date|null} Local midnight of that day, or null when missing/invalid
+ */
+export const parseDateKey = (dateKey) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(dateKey || '');
+  if (!match) return null;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+};
+
+/**
+ * Format a date as a stored "YYYY-MM-DD" key using the local calendar
+ * @param {Date} date - Date to format
+ * @returns {string} Local calendar date key
+ */
+export const toDateKey = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Shift a date by a number of calendar days (local time, DST safe)
+ * @param {Date} date - Starting date
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {Date} New date
+ */
+export const addDays = (date, days) => (
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + days)
+);
+
+/**
+ * Format the time of a date as a stored "HH:mm" key
+ * @param {Date} date - Date to format
+ * @returns {string} Local 24-hour time
+ */
+export const toTimeKey = (date) => {
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  return `${hours}:${minutes}`;
+};
+
+/**
+ * Parse a stored "HH:mm" time
+ * @param {string} timeKey - Stored time string
+ * @returns {Object|null} { hours, minutes }, or null when missing/invalid
+ */
+export const parseTimeKey = (timeKey) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(timeKey || '');
+  if (!match) return null;
+  return { hours: Number(match[1]), minutes: Number(match[2]) };
+};
+
+/**
+ * Get the moment a task is due
+ * Date-only tasks are due at the end of their day
+ * @param {Object} task - Task with dueDate and optional dueTime
+ * @returns {Date|null} Due moment, or null when the task has no due date
+ */
+export const getDueDateTime = (task) => {
+  const date = parseDateKey(task.dueDate);
+  if (!date) return null;
+  const time = parseTimeKey(task.dueTime) || { hours: 23, minutes: 59 };
+  date.setHours(time.hours, time.minutes, 0, 0);
+  return date;
+};
+
+/**
+ * Format a task's due date for display, adding the time when it has one
+ * @param {Object} task - Task with dueDate and optional dueTime
+ * @returns {string} e.g. "2025-10-12" or "2025-10-12 23:59"
+ */
+export const formatDue = (task) => (task.dueTime ? `${task.dueDate} ${task.dueTime}` : task.dueDate);
+
+/**
+ * Sort key combining due date and time, so timed tasks order within their day
+ * @param {Object} task - Task with dueDate and optional dueTime
+ * @returns {string} Comparable key such as "2025-10-12T09:00"
+ */
+export const dueSortKey = (task) => `${task.dueDate || ''}T${task.dueTime || '24:00'}`;
@@ -0,0 +1,209 @@
+import { getOrderedSubjects } from './ordering';
+import { generateId } from './id';
+
+/**
+ * Grades, weighted grading categories and GPA
+ * A graded task has a `score` and a `maxScore`, and optionally the id of one of its
+ * subject's `gradeCategories` ([{ id, name, weight }], weights in percent).
+ * Without categories a subject's grade is its total points; with categories each
+ * category's points are averaged and weighted. Categories without grades yet don't
+ * count, so the grade is always the running grade so far.
+ */
+
+// Percent → letter grade and grade points on a 4.0 scale, highest first
+export const GRADE_SCALE = [
+  { min: 93, letter: 'A', points: 4.0 },
+  { min: 90, letter: 'A-', points: 3.7 },
+  { min: 87, letter: 'B+', points: 3.3 },
+  { min: 83, letter: 'B', points: 3.0 },
+  { min: 80, letter: 'B-', points: 2.7 },
+  { min: 77, letter: 'C+', points: 2.3 },
+  { min: 73, letter: 'C', points: 2.0 },
+  { min: 70, letter: 'C-', points: 1.7 },
+  { min: 67, letter: 'D+', points: 1.3 },
+  { min: 63, letter: 'D', points: 1.0 },
+  { min: 60, letter: 'D-', points: 0.7 },
+  { min: 0, letter: 'F', points: 0 },
+];
+
+// Default maximum score when only a score is entered
+export const DEFAULT_MAX_SCORE = 100;
+
+/**
+ * Parse a score typed into a form
+ * @param {string} text - Raw input text
+ * @returns {number|null} Score of zero or more, or null when empty or invalid
+ */
+export const parseScore = (text) => {
+  const score = parseFloat(String(text).replace(',', '.'));
+  return Number.isFinite(score) && score >= 0 ? score : null;
+};
+
+/**
+ * Check whether a task has been graded
+ */
+export const isGraded = task => Number.isFinite(task.score) && task.maxScore > 0;
+
+/**
+ * Round a percentage for display
+ */
+export const roundPercent = percent => Math.round(percent * 10) / 10;
+
+/**
+ * Look up the letter grade of a percentage
+ * @param {number} percent - Grade in percent
+ * @returns {Object} Entry of GRADE_SCALE
+ */
+export const getLetterGrade = percent => GRADE_SCALE.find(grade => percent >= grade.min);
+
+/**
+ * Check and tidy grading categories before they are saved
+ * @param {Array} categories - [{ id?, name, weight }] with weight as a number or text
+ * @returns {Array} Categories with ids, trimmed names and numeric weights
+ * @throws {Error} If a name is missing or repeated, or a weight isn't positive
+ */
+export const normalizeGradeCategories = (categories) => {
+  const names = new Set();
+  return categories.map((category) => {
+    const name = (category.name || '').trim();
+    if (!name) {
+      throw new Error('Every category needs a name');
+    }
+    if (names.has(name.toLowerCase())) {
+      throw new Error(`There is more than one "${name}" category`);
+    }
+    names.add(name.toLowerCase());
+    const weight = parseFloat(String(category.weight).replace(',', '.'));
+    if (!Number.isFinite(weight) || weight <= 0) {
+      throw new Error(`The weight of "${name}" must be more than 0`);
+    }
+    return { id: category.id || generateId('cat'), name, weight };
+  });
+};
+
+/**
+ * Add up the points of graded tasks
+ */
+const sumPoints = tasks => tasks.reduce((sum, task) => ({
+  earned: sum.earned + task.score,
+  possible: sum.possible + task.maxScore,
+}), { earned: 0, possible: 0 });
+
+/**
+ * Compute a subject's running grade
+ * @param {Object} subject - Subject with tasks and optional gradeCategories
+ * @returns {Object} { percent, weighted, graded, categories, uncategorized } where
+ *   `percent` is null until something is graded, `categories` lists
+ *   { id, name, weight, earned, possible, percent, graded, total } and `uncategorized`
+ *   counts graded tasks that are left out because they have no (known) category
+ */
+export const getSubjectGrade = (subject) => {
+  const definitions = subject.gradeCategories || [];
+  const gradedTasks = subject.tasks.filter(isGraded);
+
+  if (definitions.length === 0) {
+    const { earned, possible } = sumPoints(gradedTasks);
+    return {
+      percent: possible > 0 ? (earned / possible) * 100 : null,
+      weighted: false,
+      graded: gradedTasks.length,
+      categories: [],
+      uncategorized: 0,
+    };
+  }
+
+  const categories = definitions.map((definition) => {
+    const graded = gradedTasks.filter(t => t.category === definition.id);
+    const { earned, possible } = sumPoints(graded);
+    return {
+      ...definition,
+      earned,
+      possible,
+      percent: possible > 0 ? (earned / possible) * 100 : null,
+      graded: graded.length,
+      total: subject.tasks.filter(t => t.category === definition.id).length,
+    };
+  });
+  const counted = categories.filter(c => c.percent !== null);
+  const weight = counted.reduce((sum, c) => sum + c.weight, 0);
+  const knownIds = new Set(definitions.map(d => d.id));
+  return {
+    percent: weight > 0 ? counted.reduce((sum, c) => sum + c.weight * c.percent, 0) / weight : null,
+    weighted: true,
+    graded: gradedTasks.length,
+    categories,
+    uncategorized: gradedTasks.filter(t => !knownIds.has(t.category)).length,
+  };
+};
+
+/**
+ * Work out the score a still ungraded task needs for the subject to end up at a target grade
+ * Other grades stay as they are; with categories, categories that have no grades yet
+ * are left out, as in the running grade
+ * @param {Object} subject - Subject with tasks and optional gradeCategories
+ * @param {Object} task - Ungraded task of the subject, e.g. the final exam
+ * @param {number} target - Target grade in percent
+ * @returns {Object|null} { score, maxScore, percent } needed on the task, or null when
+ *   the task has an unknown category in a weighted subject
+ */
+export const getNeededScore = (subject, task, target) => {
+  const maxScore = task.maxScore > 0 ? task.maxScore : DEFAULT_MAX_SCORE;
+  const others = subject.tasks.filter(t => t.id !== task.id && isGraded(t));
+  const definitions = subject.gradeCategories || [];
+
+  let needed;
+  if (definitions.length === 0) {
+    // Points: (earned + x) / (possible + max) = target
+    const { earned, possible } = sumPoints(others);
+    needed = (target / 100) * (possible + maxScore) - earned;
+  } else {
+    const own = definitions.find(d => d.id === task.category);
+    if (!own) return null;
+    // The task's category: (earned + x) / (possible + max), weighted with the others
+    let otherWeight = 0;
+    let otherSum = 0;
+    definitions.forEach((definition) => {
+      if (definition.id === own.id) return;
+      const { earned, possible } = sumPoints(others.filter(t => t.category === definition.id));
+      if (possible === 0) return;
+      otherWeight += definition.weight;
+      otherSum += definition.weight * (earned / possible) * 100;
+    });
+    const { earned, possible } = sumPoints(others.filter(t => t.category === own.id));
+    const ownPercent = (target * (otherWeight + own.weight) - otherSum) / own.weight;
+    needed = (ownPercent / 100) * (possible + maxScore) - earned;
+  }
+  return { score: needed, maxScore, percent: (needed / maxScore) * 100 };
+};
+
+/**
+ * Compute a semester's GPA from its subjects' grades and credits
+ * Only subjects with credits and at least one grade count
+ * @param {Object} semesterData - Subjects of the semester keyed by id
+ * @returns {Object|null} { gpa, credits, subjects }, or null when no subject counts
+ */
+export const getSemesterGpa = (semesterData) => {
+  let credits = 0;
+  let points = 0;
+  let subjects = 0;
+  getOrderedSubjects(semesterData).forEach((subject) => {
+    const subjectCredits = subject.details && subject.details.credits;
+    if (!(subjectCredits > 0)) return;
+    const { percent } = getSubjectGrade(subject);
+    if (percent === null) return;
+    credits += subjectCredits;
+    points += subjectCredits * getLetterGrade(percent).points;
+    subjects += 1;
+  });
+  if (credits === 0) return null;
+  return { gpa: points / credits, credits, subjects };
+};
+
+/**
+ * Describe a subject's grade, e.g. "87.5% (B+)"
+ * @param {number|null} percent - Grade in percent
+ * @returns {string} Grade with letter, or an empty string without grades
+ */
+export const formatGrade = percent => (
+  percent === null ? '' : `${roundPercent(percent)}% (${getLetterGrade(percent).letter})`
+);
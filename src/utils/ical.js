@@ -0,0 +1,175 @@
+import { parseDateKey, parseTimeKey } from './dates';
+import { getAllTasks } from './selectors';
+
+/**
+ * iCalendar (RFC 5545) export of task deadlines
+ * Each task becomes one VEVENT (or VTODO) whose UID is derived from the task id,
+ * so importing a newer export updates the existing entries instead of duplicating them.
+ */
+
+// Product identifier written into every calendar
+const PRODID = '-//CampusBuddy//Semester Task Manager//EN';
+
+// Length of the calendar block shown before a timed deadline
+const TIMED_EVENT_MINUTES = 30;
+
+/**
+ * Escape text values (RFC 5545 section 3.3.11)
+ */
+const escapeText = value => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Number of UTF-8 bytes a character takes
+ */
+const utf8Length = (char) => {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  if (code < 0x10000) return 3;
+  return 4;
+};
+
+/**
+ * Fold a content line to at most 75 octets (RFC 5545 section 3.1)
+ * Continuation lines start with a space; characters are never split
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  Array.from(line).forEach((char) => {
+    const size = utf8Length(char);
+    if (octets + size > 75) {
+      parts.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  });
+  parts.push(current);
+  return parts.join('\r\n');
+};
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Format a local date as DATE ("20251012")
+ */
+const formatDate = date => `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+
+/**
+ * Format a local date and time as floating DATE-TIME ("20251012T235900")
+ */
+const formatLocalDateTime = date => (
+  `${formatDate(date)}T${pad(date.getHours())}${pad(date.getMinutes())}00`
+);
+
+/**
+ * Format a moment as UTC DATE-TIME ("20251012T215900Z")
+ */
+const formatUtcDateTime = date => (
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`
+  + `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`
+);
+
+/**
+ * Build the date properties of a task
+ * Date-only tasks become all-day entries; timed tasks end at their due time
+ */
+const buildDateLines = (task, component) => {
+  const date = parseDateKey(task.dueDate);
+  const time = parseTimeKey(task.dueTime);
+  if (!time) {
+    const nextDay = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+    return component === 'VTODO'
+      ? [`DUE;VALUE=DATE:${formatDate(date)}`]
+      : [`DTSTART;VALUE=DATE:${formatDate(date)}`, `DTEND;VALUE=DATE:${formatDate(nextDay)}`];
+  }
+
+  const due = new Date(date.getFullYear(), date.getMonth(), date.getDate(), time.hours, time.minutes);
+  if (component === 'VTODO') {
+    return [`DUE:${formatLocalDateTime(due)}`];
+  }
+  const start = new Date(due.getTime() - TIMED_EVENT_MINUTES * 60 * 1000);
+  return [`DTSTART:${formatLocalDateTime(start)}`, `DTEND:${formatLocalDateTime(due)}`];
+};
+
+/**
+ * Build the component for a single task
+ * @param {Object} entry - { task, subject, semester }
+ * @param {string} component - 'VEVENT' or 'VTODO'
+ * @param {Date} now - Export time, used for DTSTAMP
+ * @returns {Array<string>} Unfolded content lines
+ */
+const buildTaskComponent = ({ task, subject, semester }, component, now) => {
+  const status = task.completed ? 'Completed' : 'Pending';
+  const description = [
+    `Semester: ${semester.name}`,
+    `Subject: ${subject.name}`,
+    `Status: ${status}`,
+  ];
+  if (task.notes) description.push('', task.notes);
+
+  // Calendar events have no completion state, so completed deadlines are marked in the title
+  const summaryPrefix = component === 'VEVENT' && task.completed ? '✓ ' : '';
+  const lines = [
+    `BEGIN:${component}`,
+    `UID:${task.id}@campusbuddy`,
+    `DTSTAMP:${formatUtcDateTime(now)}`,
+    ...buildDateLines(task, component),
+    `SUMMARY:${escapeText(`${summaryPrefix}${task.title} (${subject.name} · ${semester.name})`)}`,
+    `DESCRIPTION:${escapeText(description.join('\n'))}`,
+    `CATEGORIES:${escapeText(subject.name)}`,
+  ];
+  if (component === 'VTODO') {
+    lines.push(`STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+    lines.push(`PERCENT-COMPLETE:${task.completed ? 100 : 0}`);
+    if (task.completed && task.completedAt) {
+      lines.push(`COMPLETED:${formatUtcDateTime(new Date(task.completedAt))}`);
+    }
+  } else {
+    lines.push('TRANSP:TRANSPARENT');
+  }
+  lines.push(`END:${component}`);
+  return lines;
+};
+
+/**
+ * Pick the tasks to export
+ * @param {Object} state - Repository state
+ * @param {Object} scope - { semesterId, subjectId }; omit both to export everything
+ * @returns {Array} Entries of { task, subject, semester } that have a due date
+ */
+export const selectCalendarEntries = (state, scope = {}) => getAllTasks(state).filter(({ task, subject, semester }) => (
+  task.dueDate
+  && (!scope.semesterId || semester.id === scope.semesterId)
+  && (!scope.subjectId || subject.id === scope.subjectId)
+));
+
+/**
+ * Build an .ics file for a set of tasks
+ * @param {Array} entries - Entries of { task, subject, semester }
+ * @param {Object} options - { name: calendar name, component: 'VEVENT' (default) or 'VTODO' }
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export const buildICalendar = (entries, { name = 'CampusBuddy', component = 'VEVENT' } = {}) => {
+  const now = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+  entries.forEach((entry) => {
+    lines.push(...buildTaskComponent(entry, component, now));
+  });
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
@@ -0,0 +1,11 @@
+/**
+ * Generate a unique, persistent identifier for a stored entity
+ * Combines a timestamp with random characters so ids stay unique across app launches
+ * @param {string} prefix - Short prefix describing the entity type (e.g., 'sem', 'sub', 'task')
+ * @returns {string} New identifier such as "task_lq3k9x2a_8f3j1c"
+ */
+export const generateId = (prefix) => {
+  const time = Date.now().toString(36);
+  const random = Math.random().toString(36).slice(2, 8);
+  return `${prefix}_${time}_${random}`;
+};
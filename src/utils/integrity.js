@@ -0,0 +1,120 @@
+import { generateId } from './id';
+import { getNextPosition } from './ordering';
+
+/**
+ * Pick a semester name for recovered data that doesn't clash with existing names
+ */
+const uniqueName = (base, usedNames) => {
+  let name = base;
+  let counter = 2;
+  while (usedNames.has(name)) {
+    name = `${base} ${counter}`;
+    counter++;
+  }
+  usedNames.add(name);
+  return name;
+};
+
+/**
+ * Find and repair inconsistencies between the semester list and semester data
+ * - Semesters listed twice are de-duplicated
+ * - Semesters without data get an empty data entry
+ * - Data without a semester is re-attached under a "Recovered semester"
+ * - Subjects and tasks missing their id, name or task list are filled in
+ * @param {Object} store - Store with `semesters` and `data`
+ * @returns {Object} { store, problems } where `problems` describes every repair made
+ */
+export const checkIntegrity = (store) => {
+  const problems = [];
+  const seenIds = new Set();
+  const semesters = [];
+  (store.semesters || []).forEach((semester) => {
+    if (!semester || !semester.id || seenIds.has(semester.id)) {
+      problems.push(`Removed invalid or duplicate semester entry ${semester && semester.id}`);
+      return;
+    }
+    seenIds.add(semester.id);
+    semesters.push(semester);
+  });
+
+  const data = { ...(store.data || {}) };
+  const usedNames = new Set(semesters.map(s => s.name));
+
+  // Semesters listed without any data
+  semesters.forEach((semester) => {
+    if (!data[semester.id]) {
+      problems.push(`Semester "${semester.name}" had no data`);
+      data[semester.id] = {};
+    }
+  });
+
+  // Data left behind without a semester
+  Object.keys(data).forEach((semesterId) => {
+    if (seenIds.has(semesterId)) return;
+    if (Object.keys(data[semesterId] || {}).length === 0) {
+      problems.push(`Removed empty data for missing semester ${semesterId}`);
+      delete data[semesterId];
+      return;
+    }
+    const name = uniqueName('Recovered semester', usedNames);
+    problems.push(`Recovered orphaned data ${semesterId} as "${name}"`);
+    semesters.push({ id: semesterId, name });
+    seenIds.add(semesterId);
+  });
+
+  // Subjects and tasks inside each semester
+  Object.keys(data).forEach((semesterId) => {
+    const subjects = {};
+    Object.entries(data[semesterId] || {}).forEach(([key, subject]) => {
+      if (!subject || typeof subject !== 'object') {
+        problems.push(`Removed invalid subject ${key}`);
+        return;
+      }
+      const repaired = { ...subject, id: key };
+      if (subject.id !== key) {
+        problems.push(`Subject ${key} had a mismatched id`);
+      }
+      if (!repaired.name) {
+        problems.push(`Subject ${key} had no name`);
+        repaired.name = 'Untitled subject';
+      }
+      if (!Array.isArray(repaired.tasks)) {
+        problems.push(`Subject "${repaired.name}" had no task list`);
+        repaired.tasks = [];
+      }
+      repaired.tasks = repaired.tasks
+        .filter(task => task && typeof task === 'object')
+        .map((task) => {
+          if (task.id) return task;
+          problems.push(`Task "${task.title}" had no id`);
+          return { ...task, id: generateId('task') };
+        });
+      subjects[key] = repaired;
+    });
+    // Subjects without a position are placed after the others
+    Object.values(subjects).forEach((subject) => {
+      if (Number.isFinite(subject.position)) return;
+      problems.push(`Subject "${subject.name}" had no position`);
+      subject.position = getNextPosition(subjects);
+    });
+    data[semesterId] = subjects;
+  });
+
+  let settings = store.settings;
+  if (!settings || typeof settings !== 'object') {
+    problems.push('Settings were missing');
+    settings = {};
+  }
+
+  let trash = store.trash;
+  if (!Array.isArray(trash)) {
+    problems.push('Trash was missing');
+    trash = [];
+  }
+  const validTrash = trash.filter(entry => entry && entry.id && entry.kind && entry.item);
+  if (validTrash.length !== trash.length) {
+    problems.push('Dropped unreadable trash entries');
+  }
+
+  return { store: { ...store, semesters, data, settings, trash: validTrash }, problems };
+};
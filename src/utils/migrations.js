@@ -0,0 +1,98 @@
+import { generateId } from './id';
+
+// Current version of the stored data layout
+// Bump this and add a matching entry to `migrations` whenever the layout changes
+export const CURRENT_SCHEMA_VERSION = 5;
+
+/**
+ * Version 0 -> 1: give every semester, subject and task a stable id
+ * Semesters become { id, name } objects, semester data is keyed by semester id,
+ * subjects are keyed by subject id and carry their display name, tasks carry an id
+ */
+const migrateToV1 = ({ semesters, data }) => {
+  const idsByName = {};
+  const migratedSemesters = semesters.map((name) => {
+    const id = generateId('sem');
+    idsByName[name] = id;
+    return { id, name };
+  });
+
+  const migratedData = {};
+  Object.entries(data).forEach(([semesterName, semesterData]) => {
+    let semesterId = idsByName[semesterName];
+    if (!semesterId) {
+      // Data stored under a name missing from the list keeps that name as its semester
+      semesterId = generateId('sem');
+      idsByName[semesterName] = semesterId;
+      migratedSemesters.push({ id: semesterId, name: semesterName });
+    }
+    const subjects = {};
+    Object.entries(semesterData || {}).forEach(([subjectName, details]) => {
+      const subjectId = generateId('sub');
+      subjects[subjectId] = {
+        id: subjectId,
+        name: subjectName,
+        colorTag: details.colorTag || '#6C63FF',
+        tasks: (details.tasks || []).map(task => ({ ...task, id: generateId('task') })),
+      };
+    });
+    migratedData[semesterId] = subjects;
+  });
+
+  return { semesters: migratedSemesters, data: migratedData };
+};
+
+/**
+ * Version 1 -> 2: the semester list and semester data moved into a single storage key
+ * The layout itself is unchanged; the repository takes care of moving the keys
+ */
+const migrateToV2 = store => store;
+
+/**
+ * Version 2 -> 3: add app-wide settings (e.g. the default reminder policy)
+ */
+const migrateToV3 = store => ({ ...store, settings: {} });
+
+/**
+ * Version 3 -> 4: add the trash, which keeps deleted items for a while
+ */
+const migrateToV4 = store => ({ ...store, trash: [] });
+
+/**
+ * Version 4 -> 5: subjects get an explicit `position` for manual ordering,
+ * starting from the order they were stored in
+ */
+const migrateToV5 = (store) => {
+  const data = {};
+  Object.entries(store.data).forEach(([semesterId, semesterData]) => {
+    data[semesterId] = {};
+    Object.entries(semesterData || {}).forEach(([subjectId, subject], position) => {
+      data[semesterId][subjectId] = { ...subject, position };
+    });
+  });
+  return { ...store, data };
+};
+
+// Migration steps keyed by the version they upgrade to
+const migrations = {
+  1: migrateToV1,
+  2: migrateToV2,
+  3: migrateToV3,
+  4: migrateToV4,
+  5: migrateToV5,
+};
+
+/**
+ * Upgrade stored data from an older schema version to the current one
+ * @param {Object} store - Object with `semesters` (list), `data` (semester data),
+ *   from version 3 `settings` and from version 4 `trash`
+ * @param {number} fromVersion - Schema version the data was saved with
+ * @returns {Object} Store upgraded to CURRENT_SCHEMA_VERSION
+ */
+export const migrateStore = (store, fromVersion) => {
+  let migrated = store;
+  for (let version = fromVersion + 1; version <= CURRENT_SCHEMA_VERSION; version++) {
+    migrated = migrations[version](migrated);
+  }
+  return migrated;
+};
@@ -0,0 +1,81 @@
+import * as Notifications from 'expo-notifications';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Platform } from 'react-native';
+import { createReminderService } from './reminders';
+import { load, getState, subscribe } from './repository';
+
+// Notifications that are currently scheduled, keyed by task id
+const REGISTRY_KEY = '@reminder_schedule';
+
+// Wait for a burst of edits to settle before touching the notification schedule
+const SYNC_DELAY_MS = 1000;
+
+/**
+ * Scheduler backed by expo-notifications local notifications
+ */
+export const expoScheduler = {
+  schedule: ({ title, body, date, data }) => Notifications.scheduleNotificationAsync({
+    content: { title, body, data },
+    trigger: { type: Notifications.SchedulableTriggerInputTypes.DATE, date },
+  }),
+  cancel: (notificationId) => Notifications.cancelScheduledNotificationAsync(notificationId),
+};
+
+/**
+ * Registry of scheduled notifications kept in AsyncStorage
+ */
+const asyncStorageRegistry = {
+  load: async () => {
+    const jsonValue = await AsyncStorage.getItem(REGISTRY_KEY);
+    return jsonValue != null ? JSON.parse(jsonValue) : {};
+  },
+  save: (entries) => AsyncStorage.setItem(REGISTRY_KEY, JSON.stringify(entries)),
+};
+
+/**
+ * Keep local notifications in step with the store for as long as the app runs
+ * Asks for notification permission, then re-syncs reminders after every change
+ * @returns {Function} Stops listening for changes
+ */
+export const startReminderSync = () => {
+  // Scheduled local notifications are not supported on web
+  if (Platform.OS === 'web') return () => {};
+
+  Notifications.setNotificationHandler({
+    handleNotification: async () => ({
+      shouldShowBanner: true,
+      shouldShowList: true,
+      shouldPlaySound: false,
+      shouldSetBadge: false,
+    }),
+  });
+
+  const service = createReminderService(expoScheduler, asyncStorageRegistry);
+  let timer = null;
+  let running = Promise.resolve();
+  let unsubscribe = () => {};
+  let stopped = false;
+
+  const scheduleSync = () => {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => {
+      running = running
+        .then(() => service.sync(getState()))
+        .catch(e => console.error('Error scheduling reminders:', e));
+    }, SYNC_DELAY_MS);
+  };
+
+  Notifications.requestPermissionsAsync()
+    .then(({ granted }) => {
+      if (!granted || stopped) return;
+      unsubscribe = subscribe(scheduleSync);
+      load().then(scheduleSync);
+    })
+    .catch(e => console.error('Error requesting notification permission:', e));
+
+  return () => {
+    stopped = true;
+    if (timer) clearTimeout(timer);
+    unsubscribe();
+  };
+};
@@ -0,0 +1,59 @@
+/**
+ * Manual ordering of semesters, subjects and tasks
+ * Semesters and tasks keep their order in their arrays; subjects are stored in an
+ * object, so each carries a numeric `position`.
+ */
+
+// Ways to order the semester and subject lists
+export const LIST_SORT_OPTIONS = [
+  { value: 'manual', label: 'Manual order' },
+  { value: 'name', label: 'Name' },
+];
+
+/**
+ * Order subjects by their saved position
+ * Subjects without a position (e.g. from old backups) go last, in stored order
+ * @param {Object} semesterData - Subjects keyed by id
+ * @returns {Array} Subjects in manual order
+ */
+export const getOrderedSubjects = semesterData => Object.values(semesterData || {})
+  .map((subject, index) => ({ subject, index }))
+  .sort((a, b) => {
+    const positionA = Number.isFinite(a.subject.position) ? a.subject.position : Infinity;
+    const positionB = Number.isFinite(b.subject.position) ? b.subject.position : Infinity;
+    return positionA === positionB ? a.index - b.index : positionA - positionB;
+  })
+  .map(entry => entry.subject);
+
+/**
+ * Position for a subject added after all existing ones
+ * @param {Object} semesterData - Subjects keyed by id
+ * @returns {number} Next free position
+ */
+export const getNextPosition = semesterData => Object.values(semesterData || {})
+  .reduce((max, subject) => (Number.isFinite(subject.position) ? Math.max(max, subject.position + 1) : max), 0);
+
+/**
+ * Apply a list sort option
+ * @param {Array} items - Items in manual order, each with a `name`
+ * @param {string} sort - 'manual' or 'name'
+ * @returns {Array} Sorted copy
+ */
+export const sortList = (items, sort) => (sort === 'name'
+  ? [...items].sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base', numeric: true }))
+  : items);
+
+/**
+ * Reorder the items with the given ids, leaving every other item where it is
+ * The listed items take over the slots they occupied, in the new order, so a
+ * reorder of a filtered view doesn't disturb the hidden items
+ * @param {Array} list - Items with an `id`
+ * @param {Array<string>} orderedIds - Ids of some of the items in their new order
+ * @returns {Array} Reordered copy
+ */
+export const applyOrder = (list, orderedIds) => {
+  const moving = new Set(orderedIds);
+  const byId = Object.fromEntries(list.map(item => [item.id, item]));
+  const queue = orderedIds.filter(id => byId[id]);
+  return list.map(item => (moving.has(item.id) && queue.length > 0 ? byId[queue.shift()] : item));
+};
@@ -0,0 +1,108 @@
+import { getDueDateTime, addDays, toDateKey } from './dates';
+import { startOfWeek } from './calendar';
+
+/**
+ * Completion tracking and progress statistics
+ */
+
+/**
+ * Mark a task as completed or pending, recording when it was completed
+ * Setting the state it already has keeps the original completion time
+ * @param {Object} task - Task to update in place
+ * @param {boolean} completed - New completion state
+ * @param {Date} now - Completion moment
+ */
+export const setTaskCompleted = (task, completed, now = new Date()) => {
+  if (!!task.completed === completed) return;
+  task.completed = completed;
+  if (completed) {
+    task.completedAt = now.toISOString();
+  } else {
+    delete task.completedAt;
+  }
+};
+
+/**
+ * Count total, completed and overdue tasks
+ * @param {Array} tasks - Tasks to count
+ * @param {Date} now - Reference moment for overdue
+ * @returns {Object} { total, completed, overdue, percent }
+ */
+export const getProgress = (tasks, now = new Date()) => {
+  const completed = tasks.filter(t => t.completed).length;
+  const overdue = tasks.filter((t) => {
+    const due = getDueDateTime(t);
+    return !t.completed && due !== null && due < now;
+  }).length;
+  return {
+    total: tasks.length,
+    completed,
+    overdue,
+    percent: tasks.length ? Math.round((completed / tasks.length) * 100) : 0,
+  };
+};
+
+/**
+ * Collect every task of a semester
+ * @param {Object} state - Repository state
+ * @param {string} semesterId - Id of the semester
+ * @returns {Array} Tasks of all its subjects
+ */
+export const getSemesterTasks = (state, semesterId) => (
+  Object.values(state.data[semesterId] || {}).flatMap(subject => subject.tasks)
+);
+
+/**
+ * Count completions per Monday-first week
+ * Tasks completed before completion times were recorded can't be placed and are skipped
+ * @param {Array} tasks - Tasks to count
+ * @param {number} weeks - Number of weeks, ending with the current one
+ * @param {Date} now - Reference moment
+ * @returns {Array} Oldest first: [{ weekStart: "YYYY-MM-DD", count }]
+ */
+export const getCompletionsPerWeek = (tasks, weeks = 8, now = new Date()) => {
+  const currentWeek = startOfWeek(now);
+  const buckets = [];
+  for (let i = weeks - 1; i >= 0; i--) {
+    buckets.push({ weekStart: toDateKey(addDays(currentWeek, -7 * i)), count: 0 });
+  }
+
+  tasks.forEach((task) => {
+    if (!task.completed || !task.completedAt) return;
+    const weekKey = toDateKey(startOfWeek(new Date(task.completedAt)));
+    const bucket = buckets.find(b => b.weekStart === weekKey);
+    if (bucket) bucket.count++;
+  });
+  return buckets;
+};
+
+/**
+ * Split completed tasks into on time and late
+ * A task is on time when it was completed by its due moment (end of day for date-only tasks)
+ * @param {Array} tasks - Tasks to check
+ * @returns {Object} { onTime, late, untracked, onTimePercent } where untracked tasks
+ *   were completed before completion times were recorded
+ */
+export const getOnTimeStats = (tasks) => {
+  let onTime = 0;
+  let late = 0;
+  let untracked = 0;
+  tasks.forEach((task) => {
+    if (!task.completed) return;
+    const due = getDueDateTime(task);
+    if (!task.completedAt || !due) {
+      untracked++;
+    } else if (new Date(task.completedAt) <= due) {
+      onTime++;
+    } else {
+      late++;
+    }
+  });
+  const tracked = onTime + late;
+  return {
+    onTime,
+    late,
+    untracked,
+    onTimePercent: tracked ? Math.round((onTime / tracked) * 100) : null,
+  };
+};
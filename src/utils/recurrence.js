@@ -0,0 +1,161 @@
+import { parseDateKey, toDateKey, addDays } from './dates';
+import { generateId } from './id';
+import { startOfWeek } from './calendar';
+
+/**
+ * Recurrence engine for repeating tasks (a small subset of iCalendar RRULE)
+ *
+ * A rule looks like:
+ *   { freq: 'daily' | 'weekly', interval: 1, byWeekday: [1, 3], until: '2025-12-19', count: null }
+ * `byWeekday` uses Date#getDay numbers (0 = Sunday) and only applies to weekly rules.
+ * A rule ends at `until` (inclusive) or after `count` occurrences, whichever comes first.
+ *
+ * Each occurrence is a normal task carrying:
+ *   task.recurrence = { seriesId, rule, anchor, index, template }
+ * where `anchor` is the due date of occurrence 0, `index` is this occurrence's position
+ * and `template` holds the fields every new occurrence starts from.
+ */
+
+// Weekday labels indexed by Date#getDay
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Task fields copied from one occurrence to the next
+const TEMPLATE_FIELDS = ['title', 'notes', 'priority', 'type', 'estimatedHours', 'reminder'];
+
+// Safety limit so a malformed rule can never loop forever
+const MAX_ITERATIONS = 5000;
+
+/**
+ * Pick the fields that new occurrences are created from
+ * @param {Object} fields - Task or partial task fields
+ * @returns {Object} Template fields present in `fields`
+ */
+export const pickTemplate = (fields) => {
+  const template = {};
+  TEMPLATE_FIELDS.forEach((field) => {
+    if (fields[field] !== undefined) template[field] = fields[field];
+  });
+  return template;
+};
+
+/**
+ * Sort weekdays Monday first, matching the calendar grid
+ */
+const sortWeekdays = days => [...days].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+
+/**
+ * Enumerate occurrence dates strictly after the anchor, in order
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} anchor - Date of occurrence 0
+ * @param {Function} visit - Called with each date; return true to stop
+ */
+const forEachDateAfter = (rule, anchor, visit) => {
+  const interval = Math.max(1, rule.interval || 1);
+  if (rule.freq === 'daily') {
+    for (let step = 1; step <= MAX_ITERATIONS; step++) {
+      if (visit(addDays(anchor, step * interval))) return;
+    }
+    return;
+  }
+
+  const weekdays = sortWeekdays(
+    rule.byWeekday && rule.byWeekday.length > 0 ? rule.byWeekday : [anchor.getDay()]
+  );
+  const firstWeek = startOfWeek(anchor);
+  for (let week = 0; week <= MAX_ITERATIONS; week++) {
+    const weekStart = addDays(firstWeek, week * interval * 7);
+    for (const weekday of weekdays) {
+      const date = addDays(weekStart, (weekday + 6) % 7);
+      if (date > anchor && visit(date)) return;
+    }
+  }
+};
+
+/**
+ * Get the due date of an occurrence
+ * @param {Object} rule - Recurrence rule
+ * @param {string} anchorKey - Due date of occurrence 0 ("YYYY-MM-DD")
+ * @param {number} index - Occurrence number (0 is the anchor itself)
+ * @returns {string|null} Due date, or null when the rule has ended by then
+ */
+export const getOccurrenceDate = (rule, anchorKey, index) => {
+  if (rule.count && index >= rule.count) return null;
+  if (index === 0) return anchorKey;
+
+  const anchor = parseDateKey(anchorKey);
+  if (!anchor) return null;
+  let found = null;
+  let seen = 0;
+  forEachDateAfter(rule, anchor, (date) => {
+    seen++;
+    if (seen === index) {
+      found = toDateKey(date);
+      return true;
+    }
+    return false;
+  });
+  if (found && rule.until && found > rule.until) return null;
+  return found;
+};
+
+/**
+ * Start a new series from a task and the rule chosen in the task dialog
+ * @param {Object} task - Task that becomes occurrence 0
+ * @param {Object} rule - Recurrence rule
+ * @returns {Object} Recurrence info to store on the task
+ */
+export const createSeries = (task, rule) => ({
+  seriesId: generateId('series'),
+  rule,
+  anchor: task.dueDate,
+  index: 0,
+  template: pickTemplate(task),
+});
+
+/**
+ * Build the occurrence that follows a task in its series
+ * @param {Object} task - Occurrence that was just completed
+ * @returns {Object|null} New pending task, or null when the series has ended
+ */
+export const buildNextOccurrence = (task) => {
+  const { recurrence } = task;
+  const nextIndex = recurrence.index + 1;
+  const dueDate = getOccurrenceDate(recurrence.rule, recurrence.anchor, nextIndex);
+  if (!dueDate) return null;
+
+  const next = {
+    ...recurrence.template,
+    id: generateId('task'),
+    createdAt: new Date().toISOString(),
+    dueDate,
+    completed: false,
+    recurrence: { ...recurrence, index: nextIndex },
+  };
+  if (task.dueTime) next.dueTime = task.dueTime;
+  if (task.subtasks && task.subtasks.length > 0) {
+    next.subtasks = task.subtasks.map(s => ({ id: generateId('step'), title: s.title, done: false }));
+  }
+  return next;
+};
+
+/**
+ * Describe a rule in plain words, e.g. "Every 2 weeks on Mon, Wed until 2025-12-19"
+ * @param {Object} rule - Recurrence rule
+ * @returns {string} Human readable description
+ */
+export const describeRule = (rule) => {
+  if (!rule) return 'Does not repeat';
+  const interval = Math.max(1, rule.interval || 1);
+  let text;
+  if (rule.freq === 'daily') {
+    text = interval === 1 ? 'Every day' : `Every ${interval} days`;
+  } else {
+    text = interval === 1 ? 'Every week' : `Every ${interval} weeks`;
+    if (rule.byWeekday && rule.byWeekday.length > 0) {
+      text += ` on ${sortWeekdays(rule.byWeekday).map(d => WEEKDAYS[d]).join(', ')}`;
+    }
+  }
+  if (rule.until) text += ` until ${rule.until}`;
+  if (rule.count) text += `, ${rule.count} times`;
+  return text;
+};
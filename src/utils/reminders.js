@@ -0,0 +1,128 @@
+import { getDueDateTime, formatDue } from './dates';
+import { getAllTasks } from './selectors';
+
+// Reminder choices for a task, relative to its due date
+export const REMINDER_OPTIONS = [
+  { value: 'none', label: 'No reminder' },
+  { value: 'same-day', label: 'On the day at 9:00', daysBefore: 0, hour: 9, minute: 0 },
+  { value: 'day-before', label: '1 day before at 9:00', daysBefore: 1, hour: 9, minute: 0 },
+  { value: 'two-days-before', label: '2 days before at 9:00', daysBefore: 2, hour: 9, minute: 0 },
+  { value: 'week-before', label: '1 week before at 9:00', daysBefore: 7, hour: 9, minute: 0 },
+];
+
+// Lead time used when the option's fixed time would fall after the due moment
+const FALLBACK_LEAD_MINUTES = 60;
+
+// Policy used for tasks that don't choose their own reminder
+export const DEFAULT_REMINDER = 'day-before';
+
+/**
+ * Look up a reminder option by value
+ * @param {string} value - Stored reminder value
+ * @returns {Object|undefined} Matching reminder option
+ */
+export const getReminderOption = (value) => REMINDER_OPTIONS.find(o => o.value === value);
+
+/**
+ * Work out when a task's reminder should fire
+ * The day is counted back from the due moment. When the option's time of day would
+ * come after the deadline (e.g. "On the day at 9:00" for a task due at 08:00), the
+ * reminder fires an hour before the task is due instead.
+ * @param {Object} task - Task with dueDate, optional dueTime, completed and an optional `reminder` value
+ * @param {string} defaultReminder - Policy for tasks without their own reminder
+ * @param {Date} now - Current time; reminders in the past are skipped
+ * @returns {Date|null} Time to notify, or null when no reminder is needed
+ */
+export const getReminderDate = (task, defaultReminder, now = new Date()) => {
+  if (task.completed) return null;
+  const option = getReminderOption(task.reminder || defaultReminder);
+  const due = getDueDateTime(task);
+  if (!option || option.daysBefore === undefined || !due) return null;
+
+  let fireAt = new Date(
+    due.getFullYear(),
+    due.getMonth(),
+    due.getDate() - option.daysBefore,
+    option.hour,
+    option.minute
+  );
+  if (fireAt >= due) {
+    fireAt = new Date(due.getTime() - FALLBACK_LEAD_MINUTES * 60 * 1000);
+  }
+  return fireAt > now ? fireAt : null;
+};
+
+/**
+ * List every reminder the store currently calls for; archived semesters get none
+ * @param {Object} state - Repository state
+ * @param {Date} now - Current time
+ * @returns {Object} Desired reminders keyed by task id
+ */
+export const collectReminders = (state, now = new Date()) => {
+  const defaultReminder = (state.settings && state.settings.defaultReminder) || DEFAULT_REMINDER;
+  const reminders = {};
+  getAllTasks(state, { includeArchived: false }).forEach(({ task, subject, semester }) => {
+    const fireAt = getReminderDate(task, defaultReminder, now);
+    if (!fireAt) return;
+    reminders[task.id] = {
+      fireAt: fireAt.toISOString(),
+      title: task.title,
+      body: `${subject.name} · due ${formatDue(task)}`,
+      data: { semesterId: semester.id, subjectId: subject.id, taskId: task.id },
+    };
+  });
+  return reminders;
+};
+
+/**
+ * Create a reminder service that keeps scheduled notifications in step with the store
+ * Scheduling goes through the injected scheduler and registry, so the logic can be
+ * exercised with in-memory fakes.
+ * @param {Object} scheduler - { schedule({ title, body, date, data }) => id, cancel(id) }
+ * @param {Object} registry - { load() => Object, save(Object) } persisting what is scheduled
+ * @returns {Object} { sync(state, now) } reconciling notifications with the state
+ */
+export const createReminderService = (scheduler, registry) => {
+  /**
+   * Schedule, reschedule and cancel notifications so they match the state
+   * - New or changed tasks (e.g. edited through updateTask) are (re)scheduled
+   * - Completed and deleted tasks have their notification cancelled
+   */
+  const sync = async (state, now = new Date()) => {
+    const desired = collectReminders(state, now);
+    const scheduled = (await registry.load()) || {};
+    const next = {};
+
+    // Cancel reminders that are no longer wanted or have changed
+    for (const [taskId, entry] of Object.entries(scheduled)) {
+      const wanted = desired[taskId];
+      const unchanged = wanted
+        && wanted.fireAt === entry.fireAt
+        && wanted.title === entry.title
+        && wanted.body === entry.body;
+      if (unchanged) {
+        next[taskId] = entry;
+      } else {
+        await scheduler.cancel(entry.notificationId);
+      }
+    }
+
+    // Schedule reminders that are wanted but not yet scheduled
+    for (const [taskId, wanted] of Object.entries(desired)) {
+      if (next[taskId]) continue;
+      const notificationId = await scheduler.schedule({
+        title: wanted.title,
+        body: wanted.body,
+        date: new Date(wanted.fireAt),
+        data: wanted.data,
+      });
+      if (notificationId) {
+        next[taskId] = { notificationId, fireAt: wanted.fireAt, title: wanted.title, body: wanted.body };
+      }
+    }
+
+    await registry.save(next);
+  };
+
+  return { sync };
+};
@@ -0,0 +1,176 @@
+import { getSemester, getSemesterData } from './storage';
+import { getPriority, getTaskType } from './taskOptions';
+import { dueSortKey, toDateKey } from './dates';
+import { getOrderedSubjects } from './ordering';
+
+/**
+ * Semester summary reports for advisors and study groups
+ * The same report object is rendered as CSV or as printable HTML.
+ */
+
+/**
+ * Percentage of completed tasks, rounded; 0 for a subject without tasks
+ */
+const completionPercent = (completed, total) => (total ? Math.round((completed / total) * 100) : 0);
+
+/**
+ * Collect a semester's subjects and tasks into a report
+ * @param {string} semesterId - Id of the semester
+ * @returns {Object} { semester, generatedOn, subjects: [{ name, colorTag, tasks, completed, total, percent }], totals }
+ * @throws {Error} If the semester does not exist
+ */
+export const createSemesterReport = async (semesterId) => {
+  const semester = await getSemester(semesterId);
+  if (!semester) {
+    throw new Error('This semester no longer exists');
+  }
+  const semesterData = await getSemesterData(semesterId);
+
+  const subjects = getOrderedSubjects(semesterData).map((subject) => {
+    const tasks = [...subject.tasks].sort((a, b) => dueSortKey(a).localeCompare(dueSortKey(b)));
+    const completed = tasks.filter(t => t.completed).length;
+    return {
+      name: subject.name,
+      colorTag: subject.colorTag,
+      tasks,
+      completed,
+      total: tasks.length,
+      percent: completionPercent(completed, tasks.length),
+    };
+  });
+  const completed = subjects.reduce((sum, s) => sum + s.completed, 0);
+  const total = subjects.reduce((sum, s) => sum + s.total, 0);
+
+  return {
+    semester: semester.name,
+    generatedOn: toDateKey(new Date()),
+    subjects,
+    totals: { completed, total, percent: completionPercent(completed, total) },
+  };
+};
+
+/**
+ * File name for a report, e.g. "fall-2025-report.csv"
+ */
+export const getReportFileName = (report, extension) => {
+  const slug = report.semester.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'semester';
+  return `${slug}-report.${extension}`;
+};
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break
+ */
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render a report as CSV, one row per task
+ * Every row repeats its subject's completion so the file can be filtered freely;
+ * subjects without tasks still get a row
+ * @param {Object} report - Result of createSemesterReport
+ * @returns {string} CSV text
+ */
+export const reportToCsv = (report) => {
+  const header = ['Semester', 'Subject', 'Task', 'Due date', 'Due time', 'Type', 'Priority', 'Status', 'Subject completion %'];
+  const rows = [];
+  report.subjects.forEach((subject) => {
+    if (subject.tasks.length === 0) {
+      rows.push([report.semester, subject.name, '', '', '', '', '', '', subject.percent]);
+      return;
+    }
+    subject.tasks.forEach((task) => {
+      const type = getTaskType(task.type);
+      const priority = getPriority(task.priority);
+      rows.push([
+        report.semester,
+        subject.name,
+        task.title,
+        task.dueDate,
+        task.dueTime,
+        type ? type.label : '',
+        priority ? priority.label : '',
+        task.completed ? 'Completed' : 'Pending',
+        subject.percent,
+      ]);
+    });
+  });
+  return `${[header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+};
+
+/**
+ * Escape text for HTML
+ */
+const escapeHtml = value => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Render one subject section of the HTML report
+ */
+const subjectToHtml = (subject) => {
+  const rows = subject.tasks.map(task => `
+        <tr class="${task.completed ? 'done' : ''}">
+          <td>${task.completed ? '&#10003;' : '&#9675;'}</td>
+          <td>${escapeHtml(task.title)}</td>
+          <td>${escapeHtml(task.dueTime ? `${task.dueDate} ${task.dueTime}` : task.dueDate)}</td>
+          <td>${escapeHtml(getTaskType(task.type) ? getTaskType(task.type).label : '')}</td>
+        </tr>`).join('');
+
+  return `
+    <section>
+      <h2 style="border-left-color: ${escapeHtml(subject.colorTag)}">
+        ${escapeHtml(subject.name)}
+        <span class="percent">${subject.completed}/${subject.total} done · ${subject.percent}%</span>
+      </h2>
+      ${subject.tasks.length > 0 ? `
+      <table>
+        <thead>
+          <tr><th></th><th>Task</th><th>Due</th><th>Type</th></tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>` : '<p class="empty">No tasks</p>'}
+    </section>`;
+};
+
+/**
+ * Render a report as a self-contained, printable HTML page
+ * @param {Object} report - Result of createSemesterReport
+ * @returns {string} HTML document
+ */
+export const reportToHtml = report => `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>${escapeHtml(report.semester)} – Semester report</title>
+    <style>
+      body { font-family: -apple-system, Roboto, Helvetica, Arial, sans-serif; color: #1E293B; margin: 32px; }
+      h1 { margin-bottom: 4px; }
+      .meta { color: #64748B; margin-top: 0; }
+      section { margin-top: 24px; page-break-inside: avoid; }
+      h2 { font-size: 18px; border-left: 6px solid #6C63FF; padding-left: 8px; }
+      .percent { float: right; font-size: 14px; font-weight: normal; color: #64748B; }
+      table { width: 100%; border-collapse: collapse; font-size: 14px; }
+      th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #E2E8F0; }
+      th { color: #64748B; font-weight: 600; }
+      td:first-child, th:first-child { width: 24px; }
+      tr.done td { color: #64748B; }
+      tr.done td:nth-child(2) { text-decoration: line-through; }
+      .empty { color: #64748B; font-style: italic; }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHtml(report.semester)}</h1>
+    <p class="meta">
+      Generated ${escapeHtml(report.generatedOn)} ·
+      ${report.totals.completed}/${report.totals.total} tasks completed (${report.totals.percent}%)
+    </p>
+    ${report.subjects.length > 0 ? report.subjects.map(subjectToHtml).join('') : '<p class="empty">No subjects</p>'}
+  </body>
+</html>
+`;
@@ -0,0 +1,241 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState } from 'react-native';
+import { CURRENT_SCHEMA_VERSION, migrateStore } from './migrations';
+import { checkIntegrity } from './integrity';
+
+// The whole store lives under one key, so every write is atomic
+const STORE_KEY = '@campus_buddy_store';
+
+// A stored store that can't be parsed is moved here instead of being written over
+const UNREADABLE_STORE_KEY = '@campus_buddy_store_unreadable';
+
+// Keys used before the store was consolidated (schema versions 0 and 1)
+const LEGACY_DATA_KEY = '@semester_task_manager';
+const LEGACY_SEMESTERS_KEY = '@semesters_list';
+const LEGACY_VERSION_KEY = '@schema_version';
+
+// Delay before a burst of mutations is written to AsyncStorage
+const PERSIST_DELAY_MS = 300;
+
+const EMPTY_STATE = { semesters: [], data: {}, settings: {}, trash: [] };
+
+// In-memory cache of the whole store; replaced (never mutated) on every change
+let state = EMPTY_STATE;
+let loaded = false;
+let loadPromise = null;
+
+// Mutations run one after another through this promise chain
+let mutationQueue = Promise.resolve();
+
+// Pending debounced write and the chain of in-flight writes
+let persistTimer = null;
+let persistQueue = Promise.resolve();
+
+const listeners = new Set();
+
+/**
+ * Deep copy plain JSON data so callers can never modify the cached state
+ */
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Read and parse a JSON value from AsyncStorage
+ * @param {string} key - AsyncStorage key to read
+ * @param {*} fallback - Value returned when the key is empty
+ */
+const readJson = async (key, fallback) => {
+  const jsonValue = await AsyncStorage.getItem(key);
+  return jsonValue != null ? JSON.parse(jsonValue) : fallback;
+};
+
+/**
+ * Read the consolidated store
+ * When its JSON can't be parsed, the raw text is kept under UNREADABLE_STORE_KEY and
+ * the app starts from an empty store, so the damaged data is never lost
+ * @returns {Object|null} Saved store, or null when there is none (or it was unreadable)
+ */
+const readSavedStore = async () => {
+  const jsonValue = await AsyncStorage.getItem(STORE_KEY);
+  if (jsonValue == null) return null;
+  try {
+    return JSON.parse(jsonValue);
+  } catch (e) {
+    await AsyncStorage.setItem(UNREADABLE_STORE_KEY, jsonValue);
+    console.error(`Stored data could not be parsed; kept it under ${UNREADABLE_STORE_KEY}:`, e);
+    return null;
+  }
+};
+
+/**
+ * Serialize a store snapshot together with its schema version
+ */
+const serialize = (store) => JSON.stringify({
+  ...store,
+  schemaVersion: CURRENT_SCHEMA_VERSION,
+});
+
+/**
+ * Read the store written by versions that used separate keys
+ * @returns {Object} Store with `semesters`, `data` and the version it was saved with
+ */
+const readLegacyStore = async () => {
+  const storedVersion = await AsyncStorage.getItem(LEGACY_VERSION_KEY);
+  return {
+    version: storedVersion != null ? parseInt(storedVersion, 10) : 0,
+    semesters: await readJson(LEGACY_SEMESTERS_KEY, []),
+    data: await readJson(LEGACY_DATA_KEY, {}),
+  };
+};
+
+/**
+ * Read the stored data, upgrade it to the current schema and repair inconsistencies
+ * Legacy keys are only removed after the consolidated store has been written,
+ * so a crash at any point leaves either the old or the new data intact
+ * @returns {Object} Store with `semesters`, `data`, `settings` and `trash`
+ */
+const readStore = async () => {
+  const saved = await readSavedStore();
+  const { version, ...source } = saved
+    ? { ...saved, version: saved.schemaVersion || 0 }
+    : await readLegacyStore();
+  delete source.schemaVersion;
+
+  const migrated = version < CURRENT_SCHEMA_VERSION ? migrateStore(source, version) : source;
+  const { store, problems } = checkIntegrity(migrated);
+  if (problems.length > 0) {
+    console.warn('Repaired stored data:', problems);
+  }
+
+  if (!saved || version < CURRENT_SCHEMA_VERSION || problems.length > 0) {
+    await AsyncStorage.setItem(STORE_KEY, serialize(store));
+  }
+  await AsyncStorage.multiRemove([LEGACY_DATA_KEY, LEGACY_SEMESTERS_KEY, LEGACY_VERSION_KEY]);
+  return store;
+};
+
+/**
+ * Notify every subscriber that the state changed
+ */
+const emitChange = () => {
+  listeners.forEach(listener => listener(state));
+};
+
+/**
+ * Write the current state to AsyncStorage
+ * Writes are chained so an older snapshot can never overwrite a newer one
+ */
+const persist = () => {
+  const snapshot = state;
+  persistQueue = persistQueue.then(async () => {
+    try {
+      await AsyncStorage.setItem(STORE_KEY, serialize(snapshot));
+    } catch (e) {
+      console.error('Error saving data:', e);
+    }
+  });
+  return persistQueue;
+};
+
+/**
+ * Schedule a debounced write of the current state
+ */
+const schedulePersist = () => {
+  if (persistTimer) clearTimeout(persistTimer);
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    persist();
+  }, PERSIST_DELAY_MS);
+};
+
+/**
+ * Write any pending changes immediately
+ * @returns {Promise} Resolves once every pending write has finished
+ */
+export const flush = () => {
+  if (persistTimer) {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+    return persist();
+  }
+  return persistQueue;
+};
+
+/**
+ * Load the store into memory (only reads AsyncStorage once per launch)
+ * A failed load is retried on the next call; until one succeeds, `mutate` rejects
+ * so an empty in-memory state is never written over the stored data
+ * @returns {Promise<Object>} The cached state
+ */
+export const load = () => {
+  if (!loadPromise) {
+    loadPromise = readStore()
+      .then((store) => {
+        state = store;
+        loaded = true;
+        emitChange();
+        return state;
+      })
+      .catch((e) => {
+        console.error('Error loading data:', e);
+        loadPromise = null;
+        return state;
+      });
+  }
+  return loadPromise;
+};
+
+/**
+ * Get the cached state synchronously
+ * Treat the returned object as read-only; change it through `mutate`
+ */
+export const getState = () => state;
+
+/**
+ * Whether the store has been read from AsyncStorage yet
+ */
+export const isLoaded = () => loaded;
+
+/**
+ * Apply a change to the store
+ * Mutations are queued so concurrent calls never overwrite each other.
+ * The mutator receives a copy of the state it may modify freely; if it throws,
+ * the state is left untouched and the error is passed on to the caller.
+ * Rejects while the stored data couldn't be loaded.
+ * @param {Function} mutator - (draft) => result, may be async
+ * @returns {Promise<*>} Whatever the mutator returned
+ */
+export const mutate = (mutator) => {
+  const run = mutationQueue.then(async () => {
+    await load();
+    if (!loaded) {
+      throw new Error('Your saved data could not be loaded. Restart the app and try again.');
+    }
+    const draft = clone(state);
+    const result = await mutator(draft);
+    state = draft;
+    emitChange();
+    schedulePersist();
+    // Hand out a copy so callers cannot reach into the cached state
+    return result === undefined ? result : clone(result);
+  });
+  // Keep the queue alive after a failed mutation
+  mutationQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Subscribe to state changes
+ * @param {Function} listener - Called with the new state after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Make sure nothing is lost when the app is sent to the background
+AppState.addEventListener('change', (nextState) => {
+  if (nextState !== 'active') {
+    flush();
+  }
+});
@@ -0,0 +1,114 @@
+import { getOrderedSubjects } from './ordering';
+
+/**
+ * Global search over semesters, subjects and tasks
+ * Matching ignores case and accents, so "resume" finds "Résumé".
+ */
+
+/**
+ * Fold a string for comparison: lowercase, accents removed
+ * @param {string} text - Original text
+ * @returns {string} Folded text
+ */
+export const foldText = text => (text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+/**
+ * Split a query into folded words; every word has to match somewhere
+ * @param {string} query - Text typed by the user
+ * @returns {Array<string>} Search terms
+ */
+export const getSearchTerms = query => foldText(query).split(/\s+/).filter(Boolean);
+
+/**
+ * Check whether any term occurs in one of the given folded texts
+ */
+const someTermIn = (terms, texts) => terms.some(term => texts.some(text => text.includes(term)));
+
+/**
+ * Check whether every term occurs in one of the given folded texts
+ */
+const everyTermIn = (terms, texts) => terms.every(term => texts.some(text => text.includes(term)));
+
+/**
+ * Search every semester, subject and task
+ * A semester is a result when the terms match its name, even when it has no subjects;
+ * a subject is a result when the terms match its name and/or its semester's name;
+ * a task is a result when the terms match its title or notes, optionally narrowed
+ * by its subject and semester ("lab physics")
+ * @param {Object} state - Repository state
+ * @param {string} query - Text typed by the user
+ * @returns {Array} Sections of { key, semester, subject, subjectMatch, data: [{ task }] },
+ *   ordered like the semesters and subjects themselves; a matching semester comes first
+ *   with `subject` null and no data
+ */
+export const searchAll = (state, query) => {
+  const terms = getSearchTerms(query);
+  if (terms.length === 0) return [];
+
+  const sections = [];
+  state.semesters.forEach((semester) => {
+    const semesterName = foldText(semester.name);
+    if (everyTermIn(terms, [semesterName])) {
+      sections.push({ key: semester.id, semester, subject: null, subjectMatch: false, data: [] });
+    }
+    getOrderedSubjects(state.data[semester.id]).forEach((subject) => {
+      const context = [semesterName, foldText(subject.name)];
+      const subjectMatch = everyTermIn(terms, context);
+
+      const data = subject.tasks
+        .filter((task) => {
+          const own = [foldText(task.title), foldText(task.notes)];
+          // Tasks only count when they match by themselves, not just through their subject
+          return someTermIn(terms, own) && everyTermIn(terms, [...own, ...context]);
+        })
+        .map(task => ({ task }));
+
+      if (subjectMatch || data.length > 0) {
+        sections.push({ key: `${semester.id}/${subject.id}`, semester, subject, subjectMatch, data });
+      }
+    });
+  });
+  return sections;
+};
+
+/**
+ * Find where search terms occur in a text, for highlighting
+ * @param {string} text - Original (unfolded) text
+ * @param {Array<string>} terms - Result of getSearchTerms
+ * @returns {Array<Object>} Parts of { text, match } covering the whole text
+ */
+export const highlightMatches = (text, terms) => {
+  const source = text || '';
+  // Fold character by character so positions map back onto the original text
+  let folded = '';
+  const positions = [];
+  Array.from(source).forEach((char, index) => {
+    const foldedChar = foldText(char);
+    folded += foldedChar;
+    for (let i = 0; i < foldedChar.length; i++) positions.push(index);
+  });
+  const chars = Array.from(source);
+
+  const marked = new Array(chars.length).fill(false);
+  terms.forEach((term) => {
+    let from = folded.indexOf(term);
+    while (from !== -1) {
+      for (let i = from; i < from + term.length; i++) marked[positions[i]] = true;
+      from = folded.indexOf(term, from + term.length);
+    }
+  });
+
+  const parts = [];
+  chars.forEach((char, index) => {
+    const last = parts[parts.length - 1];
+    if (last && last.match === marked[index]) {
+      last.text += char;
+    } else {
+      parts.push({ text: char, match: marked[index] });
+    }
+  });
+  return parts;
+};
@@ -0,0 +1,25 @@
+import { getOrderedSubjects } from './ordering';
+import { isArchived } from './semesters';
+
+/**
+ * Read-only views over the repository state shared by several screens
+ */
+
+/**
+ * Flatten every task of every semester and subject
+ * @param {Object} state - Repository state
+ * @param {Object} options - { includeArchived: false } leaves out archived semesters
+ * @returns {Array} Entries of { task, subject, semester }
+ */
+export const getAllTasks = (state, { includeArchived = true } = {}) => {
+  const entries = [];
+  state.semesters.forEach((semester) => {
+    if (!includeArchived && isArchived(semester)) return;
+    getOrderedSubjects(state.data[semester.id]).forEach((subject) => {
+      subject.tasks.forEach((task) => {
+        entries.push({ task, subject, semester });
+      });
+    });
+  });
+  return entries;
+};
@@ -0,0 +1,173 @@
+import { addSemesterWithSubjects } from './storage';
+import { getOrderedSubjects } from './ordering';
+import { parseDateKey, toDateKey, addDays } from './dates';
+import { generateId } from './id';
+
+/**
+ * "New semester from…": start a semester from an existing one or a built-in template
+ * A plan ({ subjects: [{ name, colorTag, gradeCategories, tasks }] }) is built first
+ * so it can be previewed; nothing is written until the plan is created.
+ */
+
+export const CLONE_MODES = [
+  { value: 'subjects', label: 'Subjects' },
+  { value: 'tasks', label: 'With tasks' },
+  { value: 'template', label: 'Template' },
+];
+
+// Built-in subject layouts
+export const SEMESTER_TEMPLATES = [
+  {
+    id: 'science',
+    name: 'Science & engineering',
+    subjects: [
+      { name: 'Calculus', colorTag: '#6C63FF' },
+      { name: 'Physics', colorTag: '#06B6D4' },
+      { name: 'Chemistry', colorTag: '#10B981' },
+      { name: 'Programming', colorTag: '#F59E0B' },
+      { name: 'Lab', colorTag: '#EF4444' },
+    ],
+  },
+  {
+    id: 'humanities',
+    name: 'Humanities',
+    subjects: [
+      { name: 'Literature', colorTag: '#8B5CF6' },
+      { name: 'History', colorTag: '#F97316' },
+      { name: 'Philosophy', colorTag: '#6C63FF' },
+      { name: 'Foreign Language', colorTag: '#EC4899' },
+      { name: 'Writing Seminar', colorTag: '#10B981' },
+    ],
+  },
+  {
+    id: 'business',
+    name: 'Business',
+    subjects: [
+      { name: 'Accounting', colorTag: '#10B981' },
+      { name: 'Economics', colorTag: '#6C63FF' },
+      { name: 'Marketing', colorTag: '#EC4899' },
+      { name: 'Statistics', colorTag: '#06B6D4' },
+      { name: 'Management', colorTag: '#F59E0B' },
+    ],
+  },
+  {
+    id: 'high-school',
+    name: 'High school',
+    subjects: [
+      { name: 'Mathematics', colorTag: '#6C63FF' },
+      { name: 'English', colorTag: '#EC4899' },
+      { name: 'Biology', colorTag: '#10B981' },
+      { name: 'History', colorTag: '#F97316' },
+      { name: 'Art', colorTag: '#8B5CF6' },
+      { name: 'Physical Education', colorTag: '#EF4444' },
+    ],
+  },
+];
+
+/**
+ * Shift a "YYYY-MM-DD" date by a number of days
+ */
+const shiftDateKey = (dateKey, days) => {
+  const date = parseDateKey(dateKey);
+  return date ? toDateKey(addDays(date, days)) : dateKey;
+};
+
+/**
+ * Number of days between two semester start dates, as a default offset
+ * @param {Object} source - Semester being copied
+ * @param {string|null} startDate - Start date of the new semester
+ * @returns {number|null} Days to shift due dates by, or null when a start date is missing
+ */
+export const suggestOffsetDays = (source, startDate) => {
+  const from = source && parseDateKey(source.startDate);
+  const to = parseDateKey(startDate);
+  if (!from || !to) return null;
+  return Math.round((to - from) / (24 * 60 * 60 * 1000));
+};
+
+/**
+ * Restart a series at its copied occurrence
+ * Weekdays move with the offset, and `until` and `count` keep the same end
+ */
+const shiftSeries = (recurrence, dueDate, offsetDays) => {
+  const rule = { ...recurrence.rule };
+  if (rule.until) rule.until = shiftDateKey(rule.until, offsetDays);
+  if (rule.count) rule.count = Math.max(1, rule.count - recurrence.index);
+  if (rule.byWeekday) {
+    rule.byWeekday = rule.byWeekday.map(day => (((day + offsetDays) % 7) + 7) % 7);
+  }
+  return {
+    seriesId: generateId('series'),
+    rule,
+    anchor: dueDate,
+    index: 0,
+    template: recurrence.template,
+  };
+};
+
+/**
+ * Copy a subject's tasks for the new semester: due dates shifted, progress and grades reset
+ * Only the latest occurrence of a recurring series keeps repeating; earlier
+ * occurrences are copied as one-off tasks so the series doesn't spawn twice
+ */
+const shiftTasks = (tasks, offsetDays) => {
+  const latestIndex = {};
+  tasks.forEach((task) => {
+    if (!task.recurrence) return;
+    const { seriesId, index } = task.recurrence;
+    if (latestIndex[seriesId] === undefined || index > latestIndex[seriesId]) {
+      latestIndex[seriesId] = index;
+    }
+  });
+
+  return tasks.map((task) => {
+    const { id, createdAt, completedAt, recurrence, score, ...fields } = task;
+    const copy = { ...fields, completed: false };
+    if (task.dueDate) copy.dueDate = shiftDateKey(task.dueDate, offsetDays);
+    if (task.subtasks) {
+      copy.subtasks = task.subtasks.map(s => ({ id: generateId('step'), title: s.title, done: false }));
+    }
+    if (recurrence && recurrence.index === latestIndex[recurrence.seriesId]) {
+      copy.recurrence = shiftSeries(recurrence, copy.dueDate, offsetDays);
+    }
+    return copy;
+  });
+};
+
+/**
+ * Build what a new semester will contain
+ * @param {Object} options - { mode, sourceData, templateId, offsetDays } where mode is
+ *   'subjects' (subjects and colors of sourceData), 'tasks' (also their tasks, due dates
+ *   shifted by offsetDays) or 'template' (a built-in template)
+ * @returns {Object} { subjects: [{ name, colorTag, gradeCategories, tasks }] }
+ */
+export const buildSemesterPlan = ({ mode, sourceData, templateId, offsetDays = 0 }) => {
+  if (mode === 'template') {
+    const template = SEMESTER_TEMPLATES.find(t => t.id === templateId);
+    return {
+      subjects: template ? template.subjects.map(subject => ({ ...subject, tasks: [] })) : [],
+    };
+  }
+  return {
+    subjects: getOrderedSubjects(sourceData).map(subject => ({
+      name: subject.name,
+      colorTag: subject.colorTag,
+      gradeCategories: subject.gradeCategories || [],
+      tasks: mode === 'tasks' ? shiftTasks(subject.tasks, offsetDays) : [],
+    })),
+  };
+};
+
+/**
+ * Create a semester from a plan
+ * The semester, its subjects and their tasks are written together, so nothing is
+ * left behind when creating it fails
+ * @param {string} name - Name of the new semester
+ * @param {Object} details - { startDate, endDate, status } of the new semester
+ * @param {Object} plan - Result of buildSemesterPlan
+ * @returns {Object} The new semester
+ * @throws {Error} If a semester with the name already exists
+ */
+export const createSemesterFromPlan = (name, details, plan) => (
+  addSemesterWithSubjects(name, details, plan.subjects)
+);
@@ -0,0 +1,125 @@
+import { toDateKey } from './dates';
+
+/**
+ * Semester dates and status
+ * A semester may have a start and end date ("YYYY-MM-DD") and a status. Semesters
+ * saved before statuses existed have none and count as active. Archived semesters
+ * are read-only until they are restored.
+ */
+
+export const SEMESTER_STATUSES = [
+  { value: 'active', label: 'Active', icon: 'school-outline' },
+  { value: 'upcoming', label: 'Upcoming', icon: 'calendar-clock' },
+  { value: 'archived', label: 'Archived', icon: 'archive-outline' },
+];
+
+/**
+ * Status of a semester
+ * @param {Object} semester - Semester with an optional `status`
+ * @returns {string} 'active', 'upcoming' or 'archived'
+ */
+export const getSemesterStatus = semester => semester.status || 'active';
+
+/**
+ * Check a semester status before it is saved
+ * @param {string} status - Status to store
+ * @throws {Error} If the status is unknown
+ */
+export const assertSemesterStatus = (status) => {
+  if (!SEMESTER_STATUSES.some(s => s.value === status)) {
+    throw new Error(`Unknown semester status "${status}"`);
+  }
+};
+
+/**
+ * Check whether a semester is archived and therefore read-only
+ * @param {Object|undefined} semester - Semester to check
+ * @returns {boolean} True when archived
+ */
+export const isArchived = semester => !!semester && semester.status === 'archived';
+
+/**
+ * Refuse changes to an archived semester
+ * @param {Object|undefined} semester - Semester about to be changed
+ * @throws {Error} If the semester is archived
+ */
+export const assertNotArchived = (semester) => {
+  if (isArchived(semester)) {
+    throw new Error(`"${semester.name}" is archived. Restore it to make changes.`);
+  }
+};
+
+/**
+ * Check the start and end date of a semester
+ * @param {string|null} startDate - "YYYY-MM-DD" or null
+ * @param {string|null} endDate - "YYYY-MM-DD" or null
+ * @throws {Error} If the semester would end before it starts
+ */
+export const validateSemesterDates = (startDate, endDate) => {
+  if (startDate && endDate && endDate < startDate) {
+    throw new Error('The end date must not be before the start date');
+  }
+};
+
+/**
+ * Check whether today falls within a semester's dates
+ * Open-ended ranges count as running on the side without a date
+ */
+const isRunning = (semester, todayKey) => (
+  (!semester.startDate || semester.startDate <= todayKey)
+  && (!semester.endDate || semester.endDate >= todayKey)
+);
+
+/**
+ * Pick the semester the app opens on
+ * Among active semesters, one whose dates include today wins, then the one that
+ * started most recently, then the first in the list
+ * @param {Array} semesters - Semester list
+ * @param {Date} today - Reference day
+ * @returns {Object|null} The current semester, or null when none is active
+ */
+export const getCurrentSemester = (semesters, today = new Date()) => {
+  const todayKey = toDateKey(today);
+  const active = semesters.filter(s => getSemesterStatus(s) === 'active');
+  const running = active.filter(s => isRunning(s, todayKey));
+  const candidates = running.length > 0 ? running : active;
+  if (candidates.length === 0) return null;
+  return candidates.reduce((latest, semester) => (
+    (semester.startDate || '') > (latest.startDate || '') ? semester : latest
+  ));
+};
+
+/**
+ * Check whether a due date falls outside a semester's dates
+ * @param {string} dateKey - Due date "YYYY-MM-DD"
+ * @param {Object} semester - Semester with optional startDate and endDate
+ * @returns {boolean} True when the date is before the start or after the end
+ */
+export const isOutsideSemester = (dateKey, semester) => !!dateKey && (
+  (!!semester.startDate && dateKey < semester.startDate)
+  || (!!semester.endDate && dateKey > semester.endDate)
+);
+
+/**
+ * Count the tasks of a semester that are due outside its dates
+ * @param {Object} semester - Semester with optional startDate and endDate
+ * @param {Object} semesterData - Its subjects keyed by id
+ * @returns {number} Number of tasks due before the start or after the end
+ */
+export const countTasksOutsideSemester = (semester, semesterData) => Object.values(semesterData || {})
+  .reduce((count, subject) => (
+    count + subject.tasks.filter(task => isOutsideSemester(task.dueDate, semester)).length
+  ), 0);
+
+/**
+ * Describe a semester's dates, e.g. "2025-09-01 – 2026-01-31"
+ * @param {Object} semester - Semester with optional startDate and endDate
+ * @returns {string} Date range, or an empty string without dates
+ */
+export const formatSemesterDates = (semester) => {
+  const { startDate, endDate } = semester;
+  if (startDate && endDate) return `${startDate} – ${endDate}`;
+  if (startDate) return `From ${startDate}`;
+  if (endDate) return `Until ${endDate}`;
+  return '';
+};
@@ -0,0 +1,74 @@
+import { Platform } from 'react-native';
+import { File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import * as Print from 'expo-print';
+
+/**
+ * Save text to a file and hand it to the system share sheet
+ * On web the file is downloaded instead
+ * @param {string} fileName - Name of the file, e.g. "campusbuddy-backup.json"
+ * @param {string} contents - File contents
+ * @param {string} mimeType - MIME type of the file
+ */
+export const shareTextFile = async (fileName, contents, mimeType) => {
+  if (Platform.OS === 'web') {
+    const blob = new Blob([contents], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+    return;
+  }
+
+  const file = new File(Paths.cache, fileName);
+  if (file.exists) {
+    file.delete();
+  }
+  file.create();
+  file.write(contents);
+
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+  await Sharing.shareAsync(file.uri, { mimeType, dialogTitle: fileName });
+};
+
+/**
+ * Let the user pick a file and read it as text
+ * @param {Array<string>|string} type - Accepted MIME types
+ * @returns {Object|null} { name, text }, or null when the picker was cancelled
+ */
+export const pickTextFile = async (type) => {
+  const result = await DocumentPicker.getDocumentAsync({ type, copyToCacheDirectory: true });
+  if (result.canceled || !result.assets || result.assets.length === 0) return null;
+
+  const asset = result.assets[0];
+  const text = Platform.OS === 'web'
+    ? await (await fetch(asset.uri)).text()
+    : await new File(asset.uri).text();
+  return { name: asset.name, text };
+};
+
+/**
+ * Open the system print dialog for an HTML document
+ * On iOS and Android this also offers saving the page as a PDF
+ * @param {string} html - Complete HTML document
+ */
+export const printHtml = async (html) => {
+  if (Platform.OS === 'web') {
+    // printAsync prints the current page on web, so print the report from its own window
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      throw new Error('Allow pop-ups to print the report');
+    }
+    printWindow.document.write(html);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+    return;
+  }
+  await Print.printAsync({ html });
+};
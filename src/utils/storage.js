@@ -1,240 +1,990 @@
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { generateId } from './id';
+import { load, getState, mutate } from './repository';
+import { syncCompletionWithSubtasks } from './subtasks';
+import {
+  createSeries,
+  buildNextOccurrence,
+  pickTemplate,
+  getOccurrenceDate
+} from './recurrence';
+import { createTrashEntry } from './trash';
+import { setTaskCompleted } from './progress';
+import { applyOrder, getNextPosition, getOrderedSubjects } from './ordering';
+import { assertNotArchived, assertSemesterStatus, validateSemesterDates } from './semesters';
+import { normalizeSubjectDetails } from './courses';
+import { normalizeGradeCategories } from './grades';
+import {
+  getMissingClasses,
+  createAttendanceEntry,
+  assertAttendanceStatus,
+  assertAttendanceThreshold
+} from './attendance';
 
-// Storage keys for the app
-const STORAGE_KEY = '@semester_task_manager';
-const SEMESTERS_KEY = '@semesters_list';
+/**
+ * Deep copy stored data so callers can modify the result freely
+ */
+const clone = (value) => JSON.parse(JSON.stringify(value));
 
 /**
- * Load all semester data from AsyncStorage
- * @returns {Object} All semester data
+ * Find a subject inside a store draft
+ * @returns {Object|undefined} The subject, or undefined if it does not exist
  */
-export const loadData = async () => {
-  try {
-    const jsonValue = await AsyncStorage.getItem(STORAGE_KEY);
-    return jsonValue != null ? JSON.parse(jsonValue) : {};
-  } catch (e) {
-    console.error('Error loading data:', e);
-    return {};
+const findSubject = (store, semesterId, subjectId) => (store.data[semesterId] || {})[subjectId];
+
+/**
+ * Find a task inside a store draft
+ * @returns {Object|undefined} The task, or undefined if it does not exist
+ */
+const findTask = (store, semesterId, subjectId, taskId) => {
+  const subject = findSubject(store, semesterId, subjectId);
+  return subject ? subject.tasks.find(t => t.id === taskId) : undefined;
+};
+
+/**
+ * Refuse changes inside an archived semester
+ * @throws {Error} If the semester is archived
+ */
+const assertWritable = (store, semesterId) => {
+  assertNotArchived(store.semesters.find(s => s.id === semesterId));
+};
+
+/**
+ * Set or clear a semester's dates and status
+ * Missing fields are left alone; null or an empty string removes them
+ * @throws {Error} If the semester would end before it starts or the status is unknown
+ */
+const applySemesterDetails = (semester, details) => {
+  if (details.status) assertSemesterStatus(details.status);
+  ['startDate', 'endDate', 'status'].forEach((field) => {
+    if (details[field] === undefined) return;
+    if (details[field]) {
+      semester[field] = details[field];
+    } else {
+      delete semester[field];
+    }
+  });
+  validateSemesterDates(semester.startDate, semester.endDate);
+};
+
+/**
+ * Duplicate a task with its own id, creation time and subtask ids
+ * A copied occurrence of a recurring task starts its own series; tasks copied together
+ * share a `seriesIds` map so occurrences of one series stay in one new series
+ * @param {Object} task - Task to copy
+ * @param {Object} seriesIds - Old series ids mapped to new ones
+ * @returns {Object} The copy
+ */
+const duplicateTask = (task, seriesIds = {}) => {
+  const copy = { ...clone(task), id: generateId('task'), createdAt: new Date().toISOString() };
+  if (copy.subtasks) {
+    copy.subtasks = copy.subtasks.map(s => ({ ...s, id: generateId('step') }));
+  }
+  if (copy.recurrence) {
+    const { seriesId } = copy.recurrence;
+    seriesIds[seriesId] = seriesIds[seriesId] || generateId('series');
+    copy.recurrence.seriesId = seriesIds[seriesId];
   }
+  return copy;
 };
 
 /**
- * Load the list of semesters from AsyncStorage
- * @returns {Array} Array of semester names
+ * Point a task's grading category at the category with the same name in the subject
+ * it lands in; without one there the task becomes uncategorized
+ * @param {Object} task - Task being moved or copied
+ * @param {Object} fromSubject - Subject it comes from
+ * @param {Object} toSubject - Subject it lands in
  */
-export const loadSemesters = async () => {
-  try {
-    const jsonValue = await AsyncStorage.getItem(SEMESTERS_KEY);
-    return jsonValue != null ? JSON.parse(jsonValue) : [];
-  } catch (e) {
-    console.error('Error loading semesters:', e);
-    return [];
+const remapGradeCategory = (task, fromSubject, toSubject) => {
+  if (!task.category || fromSubject === toSubject) return;
+  const source = (fromSubject.gradeCategories || []).find(c => c.id === task.category);
+  const match = source && (toSubject.gradeCategories || [])
+    .find(c => c.name.toLowerCase() === source.name.toLowerCase());
+  if (match) {
+    task.category = match.id;
+  } else {
+    delete task.category;
   }
 };
 
 /**
- * Save the list of semesters to AsyncStorage
- * @param {Array} semesters - Array of semester names
+ * Check that a subject name is free in a semester
+ * @throws {Error} If another subject already uses the name
  */
-export const saveSemesters = async (semesters) => {
-  try {
-    const jsonValue = JSON.stringify(semesters);
-    await AsyncStorage.setItem(SEMESTERS_KEY, jsonValue);
-  } catch (e) {
-    console.error('Error saving semesters:', e);
+const assertSubjectNameFree = (semesterData, name, subjectId) => {
+  const duplicate = Object.values(semesterData)
+    .some(s => s.name === name && s.id !== subjectId);
+  if (duplicate) {
+    throw new Error('A subject with this name already exists');
   }
 };
 
 /**
- * Save all semester data to AsyncStorage
- * @param {Object} data - All semester data
+ * Create the next occurrence of a recurring task once it has been completed
+ * Only the latest occurrence of a series spawns, so re-ticking a task never duplicates
+ * @param {Object} subject - Subject draft owning the task
+ * @param {Object} task - Task whose completion may have changed
  */
-export const saveData = async (data) => {
-  try {
-    const jsonValue = JSON.stringify(data);
-    await AsyncStorage.setItem(STORAGE_KEY, jsonValue);
-  } catch (e) {
-    console.error('Error saving data:', e);
+const spawnNextOccurrence = (subject, task) => {
+  if (!task.completed || !task.recurrence) return;
+  const { seriesId, index } = task.recurrence;
+  const hasLaterOccurrence = subject.tasks.some(t => (
+    t.recurrence && t.recurrence.seriesId === seriesId && t.recurrence.index > index
+  ));
+  if (hasLaterOccurrence) return;
+
+  const next = buildNextOccurrence(task);
+  if (next) {
+    subject.tasks.push(next);
   }
 };
 
 /**
- * Add a new semester
- * @param {string} semesterName - Name of the semester to add
+ * Apply an "all future occurrences" edit to a recurring task
+ * The edited task becomes occurrence 0 of a new series, so a new rule or due date
+ * takes effect from this occurrence onwards. Later pending occurrences follow it with
+ * recomputed due dates; later completed ones leave the series so they never keep the
+ * next occurrence from being created. Earlier occurrences are left alone.
+ * @param {Object} subject - Subject draft owning the task
+ * @param {Object} task - Occurrence being edited
+ * @param {Object} fields - New task fields
+ * @param {Object|null|undefined} repeat - New rule, null to stop repeating, undefined to keep it
  */
-export const addSemester = async (semesterName) => {
-  const semesters = await loadSemesters();
-  if (!semesters.includes(semesterName)) {
-    semesters.push(semesterName);
-    await saveSemesters(semesters);
+const updateFutureOccurrences = (subject, task, fields, repeat) => {
+  const { seriesId, index: fromIndex, rule: oldRule } = task.recurrence;
+  const later = subject.tasks
+    .filter(t => t.id !== task.id && t.recurrence && t.recurrence.seriesId === seriesId
+      && t.recurrence.index > fromIndex)
+    .sort((a, b) => a.recurrence.index - b.recurrence.index);
+  Object.assign(task, fields);
+
+  let rule = repeat === undefined ? oldRule : repeat;
+  const ruleUnchanged = JSON.stringify(rule) === JSON.stringify(oldRule);
+  if (rule && ruleUnchanged && rule.count) {
+    // Counts are relative to the anchor, so keep the same end after re-anchoring
+    rule = { ...rule, count: Math.max(1, rule.count - fromIndex) };
+  }
+  const template = pickTemplate({ ...task.recurrence.template, ...fields });
+  const series = rule
+    ? { seriesId: generateId('series'), rule, anchor: task.dueDate, template }
+    : null;
+
+  if (series) {
+    task.recurrence = { ...series, index: 0 };
+  } else {
+    delete task.recurrence;
   }
+  let index = 0;
+  later.forEach((occurrence) => {
+    if (occurrence.completed) {
+      delete occurrence.recurrence;
+      return;
+    }
+    Object.assign(occurrence, pickTemplate(fields));
+    const dueDate = series && getOccurrenceDate(rule, series.anchor, index + 1);
+    if (!dueDate) {
+      // Past the end of the new rule, or not repeating any more: keep it as a one-off task
+      delete occurrence.recurrence;
+      return;
+    }
+    index += 1;
+    occurrence.dueDate = dueDate;
+    if (task.dueTime) {
+      occurrence.dueTime = task.dueTime;
+    } else {
+      delete occurrence.dueTime;
+    }
+    occurrence.recurrence = { ...series, index };
+  });
+};
+
+/**
+ * Load all semester data
+ * @returns {Object} All semester data keyed by semester id
+ */
+export const loadData = async () => {
+  await load();
+  return clone(getState().data);
+};
+
+/**
+ * Load the list of semesters
+ * @returns {Array} Array of semester objects ({ id, name })
+ */
+export const loadSemesters = async () => {
+  await load();
+  return clone(getState().semesters);
 };
 
 /**
- * Delete a semester and all its data
- * @param {string} semesterName - Name of the semester to delete
+ * Replace the list of semesters
+ * @param {Array} semesters - Array of semester objects
+ */
+export const saveSemesters = (semesters) => mutate((store) => {
+  store.semesters = clone(semesters);
+});
+
+/**
+ * Replace all semester data
+ * @param {Object} data - All semester data
  */
-export const deleteSemester = async (semesterName) => {
-  // Remove from semesters list
+export const saveData = (data) => mutate((store) => {
+  store.data = clone(data);
+});
+
+/**
+ * Get a single semester by id
+ * @param {string} semesterId - Id of the semester
+ * @returns {Object|undefined} Semester object ({ id, name })
+ */
+export const getSemester = async (semesterId) => {
   const semesters = await loadSemesters();
-  const updatedSemesters = semesters.filter(s => s !== semesterName);
-  await saveSemesters(updatedSemesters);
-  
-  // Remove all data for this semester
-  const data = await loadData();
-  delete data[semesterName];
-  await saveData(data);
+  return semesters.find(s => s.id === semesterId);
 };
 
 /**
- * Update/rename a semester
- * @param {string} oldName - Current name of the semester
+ * Add a new semester
+ * @param {string} semesterName - Name of the semester to add
+ * @param {Object} details - Optional { startDate, endDate, status }
+ * @returns {Object} The new semester, or the existing one with the same name
+ * @throws {Error} If the end date is before the start date
+ */
+export const addSemester = (semesterName, details = {}) => mutate((store) => {
+  const existing = store.semesters.find(s => s.name === semesterName);
+  if (existing) return existing;
+
+  const semester = { id: generateId('sem'), name: semesterName };
+  applySemesterDetails(semester, details);
+  // List entry and data are created in the same mutation, so they are saved together
+  store.semesters.push(semester);
+  store.data[semester.id] = {};
+  return semester;
+});
+
+/**
+ * Add a semester together with its subjects and their tasks in a single write,
+ * e.g. for "New semester from…", so a failure never leaves a half-filled semester
+ * @param {string} semesterName - Name of the new semester
+ * @param {Object} details - Optional { startDate, endDate, status }
+ * @param {Array} subjects - [{ name, colorTag, gradeCategories, tasks }] with task fields
+ *   without ids
+ * @returns {Object} The new semester
+ * @throws {Error} If a semester with the name already exists, the dates are invalid
+ *   or two subjects share a name
+ */
+export const addSemesterWithSubjects = (semesterName, details, subjects) => mutate((store) => {
+  if (store.semesters.some(s => s.name === semesterName)) {
+    throw new Error('A semester with this name already exists');
+  }
+  const semester = { id: generateId('sem'), name: semesterName };
+  applySemesterDetails(semester, details);
+  const semesterData = {};
+  const createdAt = new Date().toISOString();
+  subjects.forEach((planned) => {
+    assertSubjectNameFree(semesterData, planned.name);
+    const subject = {
+      id: generateId('sub'),
+      name: planned.name,
+      colorTag: planned.colorTag,
+      tasks: planned.tasks.map(task => ({ ...task, id: generateId('task'), createdAt })),
+      position: getNextPosition(semesterData),
+    };
+    const categories = normalizeGradeCategories(planned.gradeCategories || []);
+    if (categories.length > 0) subject.gradeCategories = categories;
+    semesterData[subject.id] = subject;
+  });
+  store.semesters.push(semester);
+  store.data[semester.id] = semesterData;
+  return semester;
+});
+
+/**
+ * Move a semester and all its data to the trash
+ * @param {string} semesterId - Id of the semester to delete
+ * @returns {string|undefined} Id of the trash entry, for undoing the delete
+ */
+export const deleteSemester = (semesterId) => mutate((store) => {
+  const index = store.semesters.findIndex(s => s.id === semesterId);
+  if (index === -1) return;
+
+  const semester = store.semesters[index];
+  const entry = createTrashEntry(
+    'semester',
+    { ...semester, subjects: store.data[semesterId] || {} },
+    { semesterId, semesterName: semester.name, index }
+  );
+  store.trash.push(entry);
+  store.semesters.splice(index, 1);
+  delete store.data[semesterId];
+  return entry.id;
+});
+
+/**
+ * Rename a semester and change its dates or status
+ * Data is keyed by id, so only the display name changes
+ * @param {string} semesterId - Id of the semester
  * @param {string} newName - New name for the semester
+ * @param {Object} details - Optional { startDate, endDate, status }; null clears a field
+ * @throws {Error} If another semester already uses the new name or the dates are invalid
  */
-export const updateSemester = async (oldName, newName) => {
-  if (oldName === newName) return;
-  
-  // Check if new name already exists
-  const semesters = await loadSemesters();
-  if (semesters.includes(newName)) {
+export const updateSemester = (semesterId, newName, details = {}) => mutate((store) => {
+  if (store.semesters.some(s => s.name === newName && s.id !== semesterId)) {
     throw new Error('A semester with this name already exists');
   }
-  
-  // Update semester name in list
-  const updatedSemesters = semesters.map(s => s === oldName ? newName : s);
-  await saveSemesters(updatedSemesters);
-  
-  // Move data to new semester name
-  const data = await loadData();
-  if (data[oldName]) {
-    data[newName] = data[oldName];
-    delete data[oldName];
-    await saveData(data);
+  const semester = store.semesters.find(s => s.id === semesterId);
+  if (semester) {
+    semester.name = newName;
+    applySemesterDetails(semester, details);
   }
-};
+});
+
+/**
+ * Change the status of a semester, e.g. to archive or restore it
+ * @param {string} semesterId - Id of the semester
+ * @param {string} status - 'active', 'upcoming' or 'archived'
+ * @throws {Error} If the status is unknown
+ */
+export const setSemesterStatus = (semesterId, status) => mutate((store) => {
+  assertSemesterStatus(status);
+  const semester = store.semesters.find(s => s.id === semesterId);
+  if (semester) {
+    semester.status = status;
+  }
+});
+
+/**
+ * Save a new manual order of the semester list
+ * @param {Array<string>} orderedIds - Semester ids in their new order
+ */
+export const reorderSemesters = (orderedIds) => mutate((store) => {
+  store.semesters = applyOrder(store.semesters, orderedIds);
+});
 
 /**
  * Get data for a specific semester
- * @param {string} semester - Name of the semester
- * @returns {Object} Semester data containing subjects and tasks
+ * @param {string} semesterId - Id of the semester
+ * @returns {Object} Semester data containing subjects keyed by subject id
  */
-export const getSemesterData = async (semester) => {
+export const getSemesterData = async (semesterId) => {
   const data = await loadData();
-  return data[semester] || {};
+  return data[semesterId] || {};
 };
 
 /**
  * Save data for a specific semester
- * @param {string} semester - Name of the semester
+ * @param {string} semesterId - Id of the semester
  * @param {Object} semesterData - Data to save for the semester
  */
-export const saveSemesterData = async (semester, semesterData) => {
-  const data = await loadData();
-  data[semester] = semesterData;
-  await saveData(data);
+export const saveSemesterData = (semesterId, semesterData) => mutate((store) => {
+  store.data[semesterId] = clone(semesterData);
+});
+
+/**
+ * Get a single subject of a semester
+ * @param {string} semesterId - Id of the semester
+ * @param {string} subjectId - Id of the subject
+ * @returns {Object|undefined} Subject object ({ id, name, colorTag, tasks })
+ */
+export const getSubject = async (semesterId, subjectId) => {
+  const semesterData = await getSemesterData(semesterId);
+  return semesterData[subjectId];
 };
 
 /**
  * Add a new subject to a semester
- * @param {string} semester - Name of the semester
+ * @param {string} semesterId - Id of the semester
  * @param {string} subjectName - Name of the subject
  * @param {string} colorTag - Color tag for the subject (default: #6C63FF)
+ * @returns {Object} The new subject, or the existing one with the same name
+ * @throws {Error} If the semester does not exist
  */
-export const addSubject = async (semester, subjectName, colorTag = '#6C63FF') => {
-  const semesterData = await getSemesterData(semester);
-  if (!semesterData[subjectName]) {
-    semesterData[subjectName] = { tasks: [], colorTag };
-    await saveSemesterData(semester, semesterData);
+export const addSubject = (semesterId, subjectName, colorTag = '#6C63FF') => mutate((store) => {
+  assertWritable(store, semesterId);
+  const semesterData = store.data[semesterId];
+  if (!semesterData) {
+    throw new Error('This semester no longer exists');
   }
-};
+  const existing = Object.values(semesterData).find(s => s.name === subjectName);
+  if (existing) return existing;
+
+  const subject = {
+    id: generateId('sub'),
+    name: subjectName,
+    colorTag,
+    tasks: [],
+    position: getNextPosition(semesterData),
+  };
+  semesterData[subject.id] = subject;
+  return subject;
+});
 
 /**
- * Delete a subject from a semester
- * @param {string} semester - Name of the semester
- * @param {string} subjectName - Name of the subject to delete
+ * Move a subject and its tasks to the trash
+ * @param {string} semesterId - Id of the semester
+ * @param {string} subjectId - Id of the subject to delete
+ * @returns {string|undefined} Id of the trash entry, for undoing the delete
  */
-export const deleteSubject = async (semester, subjectName) => {
-  const semesterData = await getSemesterData(semester);
-  delete semesterData[subjectName];
-  await saveSemesterData(semester, semesterData);
-};
+export const deleteSubject = (semesterId, subjectId) => mutate((store) => {
+  assertWritable(store, semesterId);
+  const subject = findSubject(store, semesterId, subjectId);
+  if (!subject) return;
+
+  const semester = store.semesters.find(s => s.id === semesterId);
+  const entry = createTrashEntry('subject', subject, {
+    semesterId,
+    semesterName: semester ? semester.name : '',
+    subjectId,
+    subjectName: subject.name,
+  });
+  store.trash.push(entry);
+  delete store.data[semesterId][subjectId];
+  return entry.id;
+});
 
 /**
  * Update/rename a subject
- * @param {string} semester - Name of the semester
- * @param {string} oldSubjectName - Current name of the subject
+ * @param {string} semesterId - Id of the semester
+ * @param {string} subjectId - Id of the subject
  * @param {string} newSubjectName - New name for the subject
  * @param {string} colorTag - Color tag for the subject
- * @throws {Error} If a subject with the new name already exists
+ * @throws {Error} If another subject already uses the new name
  */
-export const updateSubject = async (semester, oldSubjectName, newSubjectName, colorTag) => {
-  const semesterData = await getSemesterData(semester);
-  if (oldSubjectName !== newSubjectName) {
-    if (semesterData[newSubjectName]) {
-      throw new Error('A subject with this name already exists');
-    }
-    semesterData[newSubjectName] = { ...semesterData[oldSubjectName], colorTag };
-    delete semesterData[oldSubjectName];
+export const updateSubject = (semesterId, subjectId, newSubjectName, colorTag) => mutate((store) => {
+  assertWritable(store, semesterId);
+  const semesterData = store.data[semesterId] || {};
+  if (!semesterData[subjectId]) return;
+
+  assertSubjectNameFree(semesterData, newSubjectName, subjectId);
+  semesterData[subjectId].name = newSubjectName;
+  semesterData[subjectId].colorTag = colorTag;
+});
+
+/**
+ * Save a subject's course details: instructor, email, room, credits and weekly schedule
+ * @param {string} semesterId - Id of the semester
+ * @param {string} subjectId - Id of the subject
+ * @param {Object} details - { instructor, email, room, credits, schedule }; empty fields are dropped
+ * @throws {Error} If the email, credits or a class time is invalid
+ */
+export const updateSubjectDetails = (semesterId, subjectId, details) => mutate((store) => {
+  assertWritable(store, semesterId);
+  const subject = findSubject(store, semesterId, subjectId);
+  if (!subject) return;
+  const normalized = normalizeSubjectDetails(details);
+  if (normalized) {
+    subject.details = normalized;
   } else {
-    semesterData[oldSubjectName].colorTag = colorTag;
+    delete subject.details;
   }
-  await saveSemesterData(semester, semesterData);
-};
+});
+
+/**
+ * Save a subject's weighted grading categories
+ * Tasks in a category that was removed become uncategorized
+ * @param {string} semesterId - Id of the semester
+ * @param {string} subjectId - Id of the subject
+ * @param {Array} categories - [{ id?, name, weight }]; an empty list grades by total points
+ * @throws {Error} If a name is missing or repeated, or a weight isn't positive
+ */
+export const updateGradeCategories = (semesterId, subjectId, categories) => mutate((store) => {
+  assertWritable(store, semesterId);
+  const subject = findSubject(store, semesterId, subjectId);
+  if (!subject) return;
+  const normalized = normalizeGradeCategories(categories);
+  if (normalized.length > 0) {
+    subject.gradeCategories = normalized;
+  } else {
+    delete subject.gradeCategories;
+  }
+  const knownIds = new Set(normalized.map(c => c.id));
+  subject.tasks.forEach((task) => {
+    if (task.category && !knownIds.has(task.category)) delete task.category;
+  });
+});
+
+/**
+ * Move a subject and its tasks to another semester
+ * @param {string} semesterId - Id of the semester it is in
+ * @param {string} subjectId - Id of the subject
+ * @param {string} targetSemesterId - Id of the semester to move it to
+ * @param {string} name - Name in the target semester (default: its current name)
+ * @throws {Error} If the target semester is gone or already has a subject with the name
+ */
+export const moveSubject = (semesterId, subjectId, targetSemesterId, name) => mutate((store) => {
+  assertWritable(store, semesterId);
+  assertWritable(store, targetSemesterId);
+  const subject = findSubject(store, semesterId, subjectId);
+  if (!subject || semesterId === targetSemesterId) return;
+  const targetData = store.data[targetSemesterId];
+  if (!targetData) {
+    throw new Error('This semester no longer exists');
+  }
+  const subjectName = name || subject.name;
+  assertSubjectNameFree(targetData, subjectName);
+
+  delete store.data[semesterId][subjectId];
+  targetData[subjectId] = {
+    ...subject,
+    name: subjectName,
+    position: getNextPosition(targetData),
+  };
+});
+
+/**
+ * Copy a subject and its tasks into a semester
+ * A copy in another semester starts with an empty attendance log
+ * @param {string} semesterId - Id of the semester it is in
+ * @param {string} subjectId - Id of the subject
+ * @param {string} targetSemesterId - Id of the semester to copy it to (may be the same one)
+ * @param {string} name - Name of the copy (default: the subject's name)
+ * @returns {Object|undefined} The copy
+ * @throws {Error} If the target semester is gone or already has a subject with the name
+ */
+export const copySubject = (semesterId, subjectId, targetSemesterId, name) => mutate((store) => {
+  assertWritable(store, targetSemesterId);
+  const subject = findSubject(store, semesterId, subjectId);
+  if (!subject) return;
+  const targetData = store.data[targetSemesterId];
+  if (!targetData) {
+    throw new Error('This semester no longer exists');
+  }
+  const subjectName = name || subject.name;
+  assertSubjectNameFree(targetData, subjectName);
+
+  const seriesIds = {};
+  const copy = {
+    ...clone(subject),
+    id: generateId('sub'),
+    name: subjectName,
+    tasks: subject.tasks.map(task => duplicateTask(task, seriesIds)),
+    position: getNextPosition(targetData),
+  };
+  // The grading categories travel with the copy; tasks are matched to them by name
+  copy.tasks.forEach(task => remapGradeCategory(task, subject, copy));
+  // Attendance belongs to the classes of one semester, so another semester starts a fresh log
+  if (targetSemesterId !== semesterId) {
+    delete copy.attendance;
+  }
+  targetData[copy.id] = copy;
+  return copy;
+});
+
+/**
+ * Save a new manual order of a semester's subjects
+ * @param {string} semesterId - Id of the semester
+ * @param {Array<string>} orderedIds - Subject ids in their new order
+ */
+export const reorderSubjects = (semesterId, orderedIds) => mutate((store) => {
+  assertWritable(store, semesterId);
+  const semesterData = store.data[semesterId];
+  if (!semesterData) return;
+  applyOrder(getOrderedSubjects(semesterData), orderedIds).forEach((subject, position) => {
+    semesterData[subject.id].position = position;
+  });
+});
+
+/**
+ * Save a new manual order of a subject's tasks
+ * Only the listed tasks move, so reordering a filtered list keeps hidden tasks in place
+ * @param {string} semesterId - Id of the semester
+ * @param {string} subjectId - Id of the subject
+ * @param {Array<string>} orderedIds - Task ids in their new order
+ */
+export const reorderTasks = (semesterId, subjectId, orderedIds) => mutate((store) => {
+  assertWritable(store, semesterId);
+  const subject = findSubject(store, semesterId, subjectId);
+  if (!subject) return;
+  subject.tasks = applyOrder(subject.tasks, orderedIds);
+});
+
+/**
+ * Remember how a subject's task list is sorted, filtered and grouped
+ * @param {string} semesterId - Id of the semester
+ * @param {string} subjectId - Id of the subject
+ * @param {Object} changes - Any of { sort, filter, group }
+ */
+export const updateSubjectView = (semesterId, subjectId, changes) => mutate((store) => {
+  const subject = findSubject(store, semesterId, subjectId);
+  if (!subject) return;
+  subject.view = { ...subject.view, ...changes };
+});
 
 /**
  * Add a new task to a subject
- * @param {string} semester - Name of the semester
- * @param {string} subject - Name of the subject
- * @param {Object} task - Task object with title, dueDate, and completed properties
+ * @param {string} semesterId - Id of the semester
+ * @param {string} subjectId - Id of the subject
+ * @param {Object} task - Task object with title, dueDate, and completed properties;
+ *   an optional `repeat` rule starts a recurring series
+ * @returns {Object} The stored task including its new id
+ * @throws {Error} If the subject does not exist
  */
-export const addTask = async (semester, subject, task) => {
-  const semesterData = await getSemesterData(semester);
-  if (!semesterData[subject]) {
-    semesterData[subject] = { tasks: [], colorTag: '#6C63FF' };
+export const addTask = (semesterId, subjectId, task) => mutate((store) => {
+  assertWritable(store, semesterId);
+  const subject = findSubject(store, semesterId, subjectId);
+  if (!subject) {
+    throw new Error('This subject no longer exists');
   }
-  semesterData[subject].tasks.push(task);
-  await saveSemesterData(semester, semesterData);
-};
+
+  const { repeat, ...fields } = task;
+  const storedTask = { ...fields, id: generateId('task'), createdAt: new Date().toISOString() };
+  if (repeat) {
+    storedTask.recurrence = createSeries(storedTask, repeat);
+  }
+  subject.tasks.push(storedTask);
+  return storedTask;
+});
+
+/**
+ * Add several tasks to a subject in a single write, e.g. from a bulk import or a copied semester
+ * @param {string} semesterId - Id of the semester
+ * @param {string} subjectId - Id of the subject
+ * @param {Array<Object>} tasks - Task fields, without ids
+ * @returns {Array<Object>} The stored tasks
+ */
+export const addTasks = (semesterId, subjectId, tasks) => mutate((store) => {
+  assertWritable(store, semesterId);
+  const subject = findSubject(store, semesterId, subjectId);
+  if (!subject) {
+    throw new Error('This subject no longer exists');
+  }
+
+  const createdAt = new Date().toISOString();
+  const storedTasks = tasks.map(task => ({ ...task, id: generateId('task'), createdAt }));
+  subject.tasks.push(...storedTasks);
+  return storedTasks;
+});
 
 /**
  * Update an existing task
- * @param {string} semester - Name of the semester
- * @param {string} subject - Name of the subject
- * @param {number} taskIndex - Index of the task to update
- * @param {Object} updatedTask - Updated task object
+ * For recurring tasks, `scope` chooses between changing only this occurrence
+ * ('this') or this and every later occurrence of the series ('future')
+ * @param {string} semesterId - Id of the semester
+ * @param {string} subjectId - Id of the subject
+ * @param {string} taskId - Id of the task to update
+ * @param {Object} updatedTask - Updated task fields; an optional `repeat` rule
+ *   (or null) changes how the task repeats, for a single occurrence too
+ * @param {string} scope - 'this' (default) or 'future'
  */
-export const updateTask = async (semester, subject, taskIndex, updatedTask) => {
-  const semesterData = await getSemesterData(semester);
-  if (semesterData[subject] && semesterData[subject].tasks[taskIndex]) {
-    semesterData[subject].tasks[taskIndex] = updatedTask;
-    await saveSemesterData(semester, semesterData);
+export const updateTask = (semesterId, subjectId, taskId, updatedTask, scope = 'this') => mutate((store) => {
+  assertWritable(store, semesterId);
+  const subject = findSubject(store, semesterId, subjectId);
+  const task = subject && subject.tasks.find(t => t.id === taskId);
+  if (!task) return;
+
+  const { repeat, id, ...fields } = updatedTask;
+  if (task.recurrence && scope === 'future') {
+    updateFutureOccurrences(subject, task, fields, repeat);
+    return;
   }
-};
+  Object.assign(task, fields);
+  const currentRule = task.recurrence ? task.recurrence.rule : null;
+  if (repeat === undefined || JSON.stringify(repeat) === JSON.stringify(currentRule)) return;
+  // A changed rule takes this task out of its series: a new rule starts a series of its
+  // own, stopping leaves a one-off task
+  if (repeat) {
+    task.recurrence = createSeries(task, repeat);
+  } else {
+    delete task.recurrence;
+  }
+});
 
 /**
- * Delete a task from a subject
- * @param {string} semester - Name of the semester
- * @param {string} subject - Name of the subject
- * @param {number} taskIndex - Index of the task to delete
+ * Record or clear the grade of a task
+ * @param {string} semesterId - Id of the semester
+ * @param {string} subjectId - Id of the subject
+ * @param {string} taskId - Id of the task
+ * @param {Object} grade - { score, maxScore, category }; a null score clears the grade
+ *   but keeps the maximum score, a null category leaves the task uncategorized
+ * @throws {Error} If the score is negative or the maximum score isn't positive
  */
-export const deleteTask = async (semester, subject, taskIndex) => {
-  const semesterData = await getSemesterData(semester);
-  if (semesterData[subject]) {
-    semesterData[subject].tasks.splice(taskIndex, 1);
-    await saveSemesterData(semester, semesterData);
+export const setTaskGrade = (semesterId, subjectId, taskId, grade) => mutate((store) => {
+  assertWritable(store, semesterId);
+  const subject = findSubject(store, semesterId, subjectId);
+  const task = subject && subject.tasks.find(t => t.id === taskId);
+  if (!task) return;
+
+  const { score, maxScore, category } = grade;
+  if (maxScore !== undefined) {
+    if (!(maxScore > 0)) {
+      throw new Error('The maximum score must be more than 0');
+    }
+    task.maxScore = maxScore;
   }
-};
+  if (score === null || score === undefined) {
+    delete task.score;
+  } else {
+    if (!(score >= 0)) {
+      throw new Error('The score must be zero or more');
+    }
+    if (!(task.maxScore > 0)) {
+      throw new Error('The maximum score must be more than 0');
+    }
+    task.score = score;
+  }
+  if (category) {
+    task.category = category;
+  } else {
+    delete task.category;
+  }
+});
+
+/**
+ * Move a task to the trash
+ * @param {string} semesterId - Id of the semester
+ * @param {string} subjectId - Id of the subject
+ * @param {string} taskId - Id of the task to delete
+ * @returns {string|undefined} Id of the trash entry, for undoing the delete
+ */
+export const deleteTask = (semesterId, subjectId, taskId) => mutate((store) => {
+  assertWritable(store, semesterId);
+  const subject = findSubject(store, semesterId, subjectId);
+  const index = subject ? subject.tasks.findIndex(t => t.id === taskId) : -1;
+  if (index === -1) return;
+
+  const semester = store.semesters.find(s => s.id === semesterId);
+  const entry = createTrashEntry('task', subject.tasks[index], {
+    semesterId,
+    semesterName: semester ? semester.name : '',
+    subjectId,
+    subjectName: subject.name,
+    index,
+  });
+  store.trash.push(entry);
+  subject.tasks.splice(index, 1);
+  return entry.id;
+});
+
+/**
+ * Move a task to another subject, in this or another semester
+ * Its grading category is matched by name in the target subject
+ * @param {string} semesterId - Id of the semester it is in
+ * @param {string} subjectId - Id of the subject it is in
+ * @param {string} taskId - Id of the task
+ * @param {Object} target - { semesterId, subjectId } to move it to
+ * @throws {Error} If the target subject no longer exists
+ */
+export const moveTask = (semesterId, subjectId, taskId, target) => mutate((store) => {
+  assertWritable(store, semesterId);
+  assertWritable(store, target.semesterId);
+  const subject = findSubject(store, semesterId, subjectId);
+  const index = subject ? subject.tasks.findIndex(t => t.id === taskId) : -1;
+  if (index === -1) return;
+  const targetSubject = findSubject(store, target.semesterId, target.subjectId);
+  if (!targetSubject) {
+    throw new Error('This subject no longer exists');
+  }
+  if (targetSubject === subject) return;
+
+  const [task] = subject.tasks.splice(index, 1);
+  remapGradeCategory(task, subject, targetSubject);
+  targetSubject.tasks.push(task);
+});
+
+/**
+ * Copy a task into a subject, in this or another semester
+ * Its grading category is matched by name in the target subject
+ * @param {string} semesterId - Id of the semester it is in
+ * @param {string} subjectId - Id of the subject it is in
+ * @param {string} taskId - Id of the task
+ * @param {Object} target - { semesterId, subjectId } to copy it to
+ * @returns {Object|undefined} The copy
+ * @throws {Error} If the target subject no longer exists
+ */
+export const copyTask = (semesterId, subjectId, taskId, target) => mutate((store) => {
+  assertWritable(store, target.semesterId);
+  const subject = findSubject(store, semesterId, subjectId);
+  const task = findTask(store, semesterId, subjectId, taskId);
+  if (!task) return;
+  const targetSubject = findSubject(store, target.semesterId, target.subjectId);
+  if (!targetSubject) {
+    throw new Error('This subject no longer exists');
+  }
+
+  const copy = duplicateTask(task);
+  remapGradeCategory(copy, subject, targetSubject);
+  targetSubject.tasks.push(copy);
+  return copy;
+});
 
 /**
  * Toggle the completion status of a task
- * @param {string} semester - Name of the semester
- * @param {string} subject - Name of the subject
- * @param {number} taskIndex - Index of the task to toggle
+ * Completing a recurring task creates its next occurrence
+ * @param {string} semesterId - Id of the semester
+ * @param {string} subjectId - Id of the subject
+ * @param {string} taskId - Id of the task to toggle
  */
-export const toggleTaskCompletion = async (semester, subject, taskIndex) => {
-  const semesterData = await getSemesterData(semester);
-  if (semesterData[subject] && semesterData[subject].tasks[taskIndex]) {
-    semesterData[subject].tasks[taskIndex].completed = !semesterData[subject].tasks[taskIndex].completed;
-    await saveSemesterData(semester, semesterData);
+export const toggleTaskCompletion = (semesterId, subjectId, taskId) => mutate((store) => {
+  assertWritable(store, semesterId);
+  const subject = findSubject(store, semesterId, subjectId);
+  const task = subject && subject.tasks.find(t => t.id === taskId);
+  if (task) {
+    setTaskCompleted(task, !task.completed);
+    spawnNextOccurrence(subject, task);
   }
-};
+});
+
+/**
+ * Add a subtask to the end of a task's checklist
+ * @param {string} semesterId - Id of the semester
+ * @param {string} subjectId - Id of the subject
+ * @param {string} taskId - Id of the parent task
+ * @param {string} title - Title of the subtask
+ * @returns {Object} The new subtask
+ */
+export const addSubtask = (semesterId, subjectId, taskId, title) => mutate((store) => {
+  assertWritable(store, semesterId);
+  const task = findTask(store, semesterId, subjectId, taskId);
+  if (!task) return;
+
+  const subtask = { id: generateId('step'), title, done: false };
+  task.subtasks = [...(task.subtasks || []), subtask];
+  syncCompletionWithSubtasks(task);
+  return subtask;
+});
+
+/**
+ * Toggle a subtask; completes the parent task when every subtask is checked
+ * @param {string} semesterId - Id of the semester
+ * @param {string} subjectId - Id of the subject
+ * @param {string} taskId - Id of the parent task
+ * @param {string} subtaskId - Id of the subtask to toggle
+ */
+export const toggleSubtask = (semesterId, subjectId, taskId, subtaskId) => mutate((store) => {
+  assertWritable(store, semesterId);
+  const task = findTask(store, semesterId, subjectId, taskId);
+  const subtask = task && (task.subtasks || []).find(s => s.id === subtaskId);
+  if (subtask) {
+    subtask.done = !subtask.done;
+    syncCompletionWithSubtasks(task);
+    spawnNextOccurrence(findSubject(store, semesterId, subjectId), task);
+  }
+});
+
+/**
+ * Move a subtask one position up or down in the checklist
+ * @param {string} semesterId - Id of the semester
+ * @param {string} subjectId - Id of the subject
+ * @param {string} taskId - Id of the parent task
+ * @param {string} subtaskId - Id of the subtask to move
+ * @param {number} direction - -1 to move up, 1 to move down
+ */
+export const moveSubtask = (semesterId, subjectId, taskId, subtaskId, direction) => mutate((store) => {
+  assertWritable(store, semesterId);
+  const task = findTask(store, semesterId, subjectId, taskId);
+  const subtasks = task ? task.subtasks || [] : [];
+  const from = subtasks.findIndex(s => s.id === subtaskId);
+  const to = from + direction;
+  if (from === -1 || to < 0 || to >= subtasks.length) return;
+
+  const [subtask] = subtasks.splice(from, 1);
+  subtasks.splice(to, 0, subtask);
+});
+
+/**
+ * Delete a subtask from a task's checklist
+ * @param {string} semesterId - Id of the semester
+ * @param {string} subjectId - Id of the subject
+ * @param {string} taskId - Id of the parent task
+ * @param {string} subtaskId - Id of the subtask to delete
+ */
+export const deleteSubtask = (semesterId, subjectId, taskId, subtaskId) => mutate((store) => {
+  assertWritable(store, semesterId);
+  const task = findTask(store, semesterId, subjectId, taskId);
+  if (task && task.subtasks) {
+    task.subtasks = task.subtasks.filter(s => s.id !== subtaskId);
+    syncCompletionWithSubtasks(task);
+    spawnNextOccurrence(findSubject(store, semesterId, subjectId), task);
+  }
+});
+
+/**
+ * Add the subject's scheduled classes up to today that aren't in its attendance log yet
+ * They start unmarked
+ * @param {string} semesterId - Id of the semester
+ * @param {string} subjectId - Id of the subject
+ * @param {Date} today - Last day to add classes for
+ * @returns {number} Number of classes added
+ */
+export const generateAttendance = (semesterId, subjectId, today = new Date()) => mutate((store) => {
+  assertWritable(store, semesterId);
+  const subject = findSubject(store, semesterId, subjectId);
+  const semester = store.semesters.find(s => s.id === semesterId);
+  if (!subject || !semester) return 0;
+
+  const missing = getMissingClasses(subject, semester, today);
+  subject.attendance = [...(subject.attendance || []), ...missing.map(createAttendanceEntry)];
+  return missing.length;
+});
+
+/**
+ * Add a class to a subject's attendance log by hand
+ * @param {string} semesterId - Id of the semester
+ * @param {string} subjectId - Id of the subject
+ * @param {Object} fields - { date, status }
+ * @returns {Object} The new entry
+ * @throws {Error} If the subject does not exist or the status is unknown
+ */
+export const addAttendanceEntry = (semesterId, subjectId, fields) => mutate((store) => {
+  assertWritable(store, semesterId);
+  const subject = findSubject(store, semesterId, subjectId);
+  if (!subject) {
+    throw new Error('This subject no longer exists');
+  }
+  assertAttendanceStatus(fields.status);
+
+  const entry = createAttendanceEntry({ date: fields.date, status: fields.status });
+  subject.attendance = [...(subject.attendance || []), entry];
+  return entry;
+});
+
+/**
+ * Mark a class in the attendance log
+ * @param {string} semesterId - Id of the semester
+ * @param {string} subjectId - Id of the subject
+ * @param {string} entryId - Id of the attendance entry
+ * @param {string|null} status - 'present', 'late', 'absent', 'excused' or null to unmark
+ * @throws {Error} If the status is unknown
+ */
+export const setAttendanceStatus = (semesterId, subjectId, entryId, status) => mutate((store) => {
+  assertWritable(store, semesterId);
+  assertAttendanceStatus(status);
+  const subject = findSubject(store, semesterId, subjectId);
+  const entry = subject && (subject.attendance || []).find(e => e.id === entryId);
+  if (!entry) return;
+  entry.status = status;
+});
+
+/**
+ * Remove a class from the attendance log
+ * @param {string} semesterId - Id of the semester
+ * @param {string} subjectId - Id of the subject
+ * @param {string} entryId - Id of the attendance entry
+ */
+export const deleteAttendanceEntry = (semesterId, subjectId, entryId) => mutate((store) => {
+  assertWritable(store, semesterId);
+  const subject = findSubject(store, semesterId, subjectId);
+  if (!subject || !subject.attendance) return;
+  subject.attendance = subject.attendance.filter(e => e.id !== entryId);
+});
+
+/**
+ * Set the minimum attendance of a subject
+ * @param {string} semesterId - Id of the semester
+ * @param {string} subjectId - Id of the subject
+ * @param {number} threshold - Minimum attendance in percent
+ * @throws {Error} If the threshold isn't between 0 and 100
+ */
+export const setAttendanceThreshold = (semesterId, subjectId, threshold) => mutate((store) => {
+  assertWritable(store, semesterId);
+  assertAttendanceThreshold(threshold);
+  const subject = findSubject(store, semesterId, subjectId);
+  if (!subject) return;
+  subject.attendanceThreshold = threshold;
+});
+
+/**
+ * Update app-wide settings
+ * @param {Object} changes - Settings to change, e.g. { defaultReminder: 'same-day' }
+ */
+export const updateSettings = (changes) => mutate((store) => {
+  store.settings = { ...store.settings, ...changes };
+});
@@ -0,0 +1,40 @@
+import { setTaskCompleted } from './progress';
+
+/**
+ * Helpers for the ordered checklist of subtasks inside a task
+ */
+
+/**
+ * Count how many subtasks of a task are checked
+ * @param {Object} task - Task that may have a `subtasks` array
+ * @returns {Object|null} { done, total }, or null when the task has no subtasks
+ */
+export const getSubtaskProgress = (task) => {
+  const subtasks = task.subtasks || [];
+  if (subtasks.length === 0) return null;
+  return {
+    done: subtasks.filter(s => s.done).length,
+    total: subtasks.length,
+  };
+};
+
+/**
+ * Format subtask progress for display, e.g. "2/5"
+ * @param {Object} task - Task that may have a `subtasks` array
+ * @returns {string|null} Progress label, or null when the task has no subtasks
+ */
+export const formatSubtaskProgress = (task) => {
+  const progress = getSubtaskProgress(task);
+  return progress ? `${progress.done}/${progress.total}` : null;
+};
+
+/**
+ * Keep a task's completion in step with its checklist
+ * Checking the last subtask completes the task; unchecking one reopens it
+ * @param {Object} task - Task to update in place
+ */
+export const syncCompletionWithSubtasks = (task) => {
+  const progress = getSubtaskProgress(task);
+  if (!progress) return;
+  setTaskCompleted(task, progress.done === progress.total);
+};
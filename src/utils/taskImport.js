@@ -0,0 +1,266 @@
+import { toDateKey, addDays } from './dates';
+import { TASK_TYPES } from './taskOptions';
+
+/**
+ * Parsing for bulk task import
+ * Accepts CSV (title, due date, optional type and notes) or free text with one
+ * deadline per line, e.g. "HW3 - Oct 12" or "Oct 20: Midterm".
+ */
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december',
+];
+const WEEKDAY_PATTERN = /^(mon|tue|tues|wed|thu|thur|thurs|fri|sat|sun)[a-z]*\.?,?\s+/i;
+
+// Dates without a year further back than this are taken to mean next year
+const PAST_GRACE_DAYS = 90;
+
+// Column names recognised in a CSV header row
+const COLUMN_ALIASES = {
+  title: ['title', 'name', 'task', 'assignment', 'deadline'],
+  dueDate: ['due date', 'due', 'date', 'due_date', 'duedate'],
+  type: ['type', 'kind', 'category'],
+  notes: ['notes', 'note', 'description', 'details'],
+};
+
+// Longest run of words at either end of a line that may form a date
+const MAX_DATE_WORDS = 4;
+
+/**
+ * Look up a month by name or abbreviation ("Oct", "October", "Sept.")
+ * @returns {number} Month index 0-11, or -1
+ */
+const parseMonth = (text) => {
+  const name = text.toLowerCase().replace(/\.$/, '');
+  if (name.length < 3) return -1;
+  // Any prefix of at least three letters counts: "Oct", "Sept", "October"
+  return MONTHS.findIndex(month => month.startsWith(name));
+};
+
+/**
+ * Build a date, rejecting overflow such as February 30th
+ */
+const makeDate = (year, month, day) => {
+  const date = new Date(year, month, day);
+  return date.getMonth() === month && date.getDate() === day ? date : null;
+};
+
+/**
+ * Complete a date written without a year
+ * Uses this year unless that day is long past, e.g. "Jan 10" imported in November
+ */
+const withImpliedYear = (month, day, today) => {
+  const date = makeDate(today.getFullYear(), month, day);
+  if (!date) {
+    // February 29th only exists in some years
+    return makeDate(today.getFullYear() + 1, month, day);
+  }
+  return date < addDays(today, -PAST_GRACE_DAYS) ? makeDate(today.getFullYear() + 1, month, day) : date;
+};
+
+/**
+ * Expand a two-digit year ("25" -> 2025)
+ */
+const fullYear = year => (year.length === 2 ? 2000 + Number(year) : Number(year));
+
+/**
+ * Parse a due date written in one of the common formats:
+ * "2025-10-12", "2025/10/12", "10/12/2025", "10/12", "12.10.2025", "Oct 12",
+ * "October 12th, 2025", "12 Oct 2025", "Sun, Oct 12"; a dotted number without a year
+ * such as "3.5" is not a date
+ * @param {string} text - Date text
+ * @param {Object} options - { dayFirst: read "12/10" as 12 October, today: reference date }
+ * @returns {string|null} "YYYY-MM-DD", or null when the text is not a date
+ */
+export const parseImportDate = (text, { dayFirst = false, today = new Date() } = {}) => {
+  const value = (text || '').trim().replace(WEEKDAY_PATTERN, '').replace(/,/g, ' ').replace(/\s+/g, ' ');
+  let match;
+  let date = null;
+
+  if ((match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/.exec(value))) {
+    date = makeDate(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  } else if ((match = /^(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})$/.exec(value))) {
+    // Dotted dates are always day first and need a year, so "section 3.5" stays a number
+    date = makeDate(fullYear(match[3]), Number(match[2]) - 1, Number(match[1]));
+  } else if ((match = /^(\d{1,2})[/-](\d{1,2})(?:[/-](\d{2}|\d{4}))?$/.exec(value))) {
+    const [first, second] = [Number(match[1]), Number(match[2])];
+    const [month, day] = dayFirst ? [second - 1, first] : [first - 1, second];
+    date = match[3] ? makeDate(fullYear(match[3]), month, day) : withImpliedYear(month, day, today);
+  } else if ((match = /^([a-z]+\.?) (\d{1,2})(?:st|nd|rd|th)?(?: (\d{4}))?$/i.exec(value))) {
+    const month = parseMonth(match[1]);
+    if (month !== -1) {
+      const day = Number(match[2]);
+      date = match[3] ? makeDate(Number(match[3]), month, day) : withImpliedYear(month, day, today);
+    }
+  } else if ((match = /^(\d{1,2})(?:st|nd|rd|th)? ([a-z]+\.?)(?: (\d{4}))?$/i.exec(value))) {
+    const month = parseMonth(match[2]);
+    if (month !== -1) {
+      const day = Number(match[1]);
+      date = match[3] ? makeDate(Number(match[3]), month, day) : withImpliedYear(month, day, today);
+    }
+  }
+  return date ? toDateKey(date) : null;
+};
+
+/**
+ * Match a type column against the task types ("Exam", "exam", "Lab")
+ * @returns {string|null|undefined} Type value, null when empty, undefined when unknown
+ */
+const parseType = (text) => {
+  const value = (text || '').trim().toLowerCase();
+  if (!value) return null;
+  const type = TASK_TYPES.find(t => t.value === value || t.label.toLowerCase() === value);
+  return type ? type.value : undefined;
+};
+
+/**
+ * Split CSV text into rows of fields, honouring quoted fields
+ * The delimiter (comma, semicolon or tab) is taken from the first line
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Rows of { line, fields }
+ */
+export const splitCsv = (text) => {
+  const firstLine = text.split(/\r?\n/)[0] || '';
+  const delimiter = ['\t', ';', ','].find(d => firstLine.includes(d)) || ',';
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.some(f => f.trim())) rows.push({ line: rowLine, fields: fields.map(f => f.trim()) });
+    fields = [];
+    field = '';
+    rowLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && !field.trim()) {
+      quoted = true;
+      field = '';
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n') {
+      line++;
+      endRow();
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+  endRow();
+  return rows;
+};
+
+/**
+ * Find the column of each field in a header row
+ * @returns {Object|null} Column indexes keyed by field, or null when the row is not a header
+ */
+const readHeader = (fields) => {
+  const names = fields.map(f => f.toLowerCase());
+  const columns = {};
+  Object.entries(COLUMN_ALIASES).forEach(([key, aliases]) => {
+    const index = names.findIndex(name => aliases.includes(name));
+    if (index !== -1) columns[key] = index;
+  });
+  return columns.title !== undefined && columns.dueDate !== undefined ? columns : null;
+};
+
+/**
+ * Parse CSV with columns title, due date, type, notes
+ * A header row is optional; with one, columns may be in any order
+ */
+const parseCsvRows = (text, options) => {
+  const rows = splitCsv(text);
+  const header = rows.length > 0 ? readHeader(rows[0].fields) : null;
+  const columns = header || { title: 0, dueDate: 1, type: 2, notes: 3 };
+  const dataRows = header ? rows.slice(1) : rows;
+
+  return dataRows.map(({ line, fields }) => {
+    const get = key => (columns[key] !== undefined ? fields[columns[key]] || '' : '');
+    const source = fields.join(', ');
+    const title = get('title');
+    if (!title) return { line, source, error: 'Missing title' };
+    if (!get('dueDate')) return { line, source, error: 'Missing due date' };
+
+    const dueDate = parseImportDate(get('dueDate'), options);
+    if (!dueDate) return { line, source, error: `Can't read the date "${get('dueDate')}"` };
+    const type = parseType(get('type'));
+    if (type === undefined) return { line, source, error: `Unknown type "${get('type')}"` };
+    return { line, source, task: { title, dueDate, type, notes: get('notes') } };
+  });
+};
+
+/**
+ * Find a date at the start or end of a line and return the rest as the title
+ * Tries the longest run of words first, so "Oct 12 2025" wins over "2025"
+ */
+const splitTitleAndDate = (text, options) => {
+  const words = text.split(/\s+/);
+  const maxWords = Math.min(MAX_DATE_WORDS, words.length - 1);
+  for (let count = maxWords; count >= 1; count--) {
+    const candidates = [
+      { date: words.slice(-count), title: words.slice(0, -count) },
+      { date: words.slice(0, count), title: words.slice(count) },
+    ];
+    for (let i = 0; i < candidates.length; i++) {
+      const dueDate = parseImportDate(candidates[i].date.join(' ').replace(/^[-–—:|(]+|[-–—:|)]+$/g, ''), options);
+      if (dueDate) {
+        const title = candidates[i].title.join(' ').replace(/^[\s\-–—:|,(]+|[\s\-–—:|,(]+$/g, '');
+        if (title) return { title, dueDate };
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Parse free text with one deadline per line
+ */
+const parseLineRows = (text, options) => text.split(/\r?\n/)
+  .map((source, index) => ({ line: index + 1, source: source.trim().replace(/^[-*•]\s+/, '') }))
+  .filter(({ source }) => source)
+  .map(({ line, source }) => {
+    const parsed = splitTitleAndDate(source, options);
+    if (!parsed) return { line, source, error: 'No due date found' };
+    return { line, source, task: { title: parsed.title, dueDate: parsed.dueDate, type: null, notes: '' } };
+  });
+
+/**
+ * Guess whether pasted text is CSV or a plain list of deadlines
+ * @param {string} text - Pasted or loaded text
+ * @returns {string} 'csv' or 'lines'
+ */
+export const detectImportFormat = (text) => {
+  const rows = splitCsv(text || '');
+  if (rows.length === 0) return 'lines';
+  if (readHeader(rows[0].fields)) return 'csv';
+  const multiColumn = rows.filter(row => row.fields.length >= 2 && parseImportDate(row.fields[1]));
+  return multiColumn.length > rows.length / 2 ? 'csv' : 'lines';
+};
+
+/**
+ * Parse import text into preview rows
+ * @param {string} text - CSV or one deadline per line
+ * @param {Object} options - { format: 'csv' | 'lines', dayFirst, today }
+ * @returns {Array<Object>} Rows of { line, source, task } or { line, source, error }
+ */
+export const parseImportText = (text, { format, ...options } = {}) => {
+  if (!text || !text.trim()) return [];
+  return format === 'csv' ? parseCsvRows(text, options) : parseLineRows(text, options);
+};
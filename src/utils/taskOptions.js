@@ -0,0 +1,45 @@
+/**
+ * Option lists for the optional task fields
+ * Tasks saved before these fields existed simply leave them undefined
+ */
+
+// Task priorities, from lowest to highest
+export const PRIORITIES = [
+  { value: 'low', label: 'Low', color: '#10B981' },
+  { value: 'medium', label: 'Medium', color: '#06B6D4' },
+  { value: 'high', label: 'High', color: '#F59E0B' },
+  { value: 'urgent', label: 'Urgent', color: '#EF4444' },
+];
+
+// Kinds of academic work a task can represent
+export const TASK_TYPES = [
+  { value: 'assignment', label: 'Assignment', icon: 'file-document-edit-outline' },
+  { value: 'exam', label: 'Exam', icon: 'school-outline' },
+  { value: 'lab', label: 'Lab', icon: 'flask-outline' },
+  { value: 'reading', label: 'Reading', icon: 'book-open-variant' },
+  { value: 'project', label: 'Project', icon: 'folder-star-outline' },
+];
+
+/**
+ * Look up the priority option for a task
+ * @param {string} value - Stored priority value
+ * @returns {Object|undefined} Matching priority option
+ */
+export const getPriority = (value) => PRIORITIES.find(p => p.value === value);
+
+/**
+ * Look up the type option for a task
+ * @param {string} value - Stored type value
+ * @returns {Object|undefined} Matching type option
+ */
+export const getTaskType = (value) => TASK_TYPES.find(t => t.value === value);
+
+/**
+ * Parse the estimated hours typed into the task dialog
+ * @param {string} text - Raw input text
+ * @returns {number|null} Positive number of hours, or null when empty or invalid
+ */
+export const parseEstimatedHours = (text) => {
+  const hours = parseFloat(String(text).replace(',', '.'));
+  return Number.isFinite(hours) && hours > 0 ? hours : null;
+};
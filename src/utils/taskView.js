@@ -0,0 +1,95 @@
+import { getDueDateTime, dueSortKey, toDateKey, addDays } from './dates';
+import { startOfWeek } from './calendar';
+
+/**
+ * Sorting, filtering and grouping of a subject's task list
+ */
+
+export const SORT_OPTIONS = [
+  { value: 'manual', label: 'Manual order' },
+  { value: 'created', label: 'Creation date' },
+  { value: 'due', label: 'Due date' },
+  { value: 'title', label: 'Title' },
+];
+
+export const FILTER_OPTIONS = [
+  { value: 'all', label: 'All' },
+  { value: 'pending', label: 'Pending' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'overdue', label: 'Overdue' },
+];
+
+// Stored order, no filter, no grouping: how the list looked before it had options
+export const DEFAULT_TASK_VIEW = { sort: 'manual', filter: 'all', group: false };
+
+/**
+ * Check whether a pending task is past its due moment
+ * @param {Object} task - Task with dueDate and optional dueTime
+ * @param {Date} now - Reference moment
+ * @returns {boolean} True when the task is overdue
+ */
+export const isOverdue = (task, now = new Date()) => {
+  if (task.completed) return false;
+  const due = getDueDateTime(task);
+  return due !== null && due < now;
+};
+
+const FILTERS = {
+  all: () => true,
+  pending: task => !task.completed,
+  completed: task => task.completed,
+  overdue: isOverdue,
+};
+
+/**
+ * Sort tasks without changing the stored order
+ * Manual order is the stored order, which drag and drop rearranges
+ * Tasks created before creation times were recorded keep their stored order, ahead of newer ones
+ */
+const sortTasks = (tasks, sort) => {
+  const indexed = tasks.map((task, index) => ({ task, index }));
+  const compare = {
+    created: (a, b) => (a.task.createdAt || '').localeCompare(b.task.createdAt || ''),
+    due: (a, b) => dueSortKey(a.task).localeCompare(dueSortKey(b.task)),
+    title: (a, b) => a.task.title.localeCompare(b.task.title, undefined, { sensitivity: 'base', numeric: true }),
+  }[sort] || (() => 0);
+  return indexed
+    .sort((a, b) => compare(a, b) || a.index - b.index)
+    .map(entry => entry.task);
+};
+
+/**
+ * Split tasks into Overdue / This week / Later / Done
+ * "This week" runs to the end of the current Monday-first week
+ */
+const groupTasks = (tasks, now) => {
+  const endOfWeekKey = toDateKey(addDays(startOfWeek(now), 6));
+  const sections = [
+    { key: 'overdue', title: 'Overdue', data: [] },
+    { key: 'week', title: 'This week', data: [] },
+    { key: 'later', title: 'Later', data: [] },
+    { key: 'done', title: 'Done', data: [] },
+  ];
+  const [overdue, week, later, done] = sections;
+  tasks.forEach((task) => {
+    if (task.completed) done.data.push(task);
+    else if (isOverdue(task, now)) overdue.data.push(task);
+    else if (task.dueDate && task.dueDate <= endOfWeekKey) week.data.push(task);
+    else later.data.push(task);
+  });
+  return sections.filter(section => section.data.length > 0);
+};
+
+/**
+ * Apply a subject's view options to its tasks
+ * @param {Array} tasks - Tasks in stored order
+ * @param {Object} view - { sort, filter, group }; missing options use the defaults
+ * @param {Date} now - Reference moment for overdue and this week
+ * @returns {Array} SectionList sections; a single untitled section when not grouping
+ */
+export const buildTaskSections = (tasks, view, now = new Date()) => {
+  const { sort, filter, group } = { ...DEFAULT_TASK_VIEW, ...view };
+  const visible = sortTasks(tasks.filter(task => (FILTERS[filter] || FILTERS.all)(task, now)), sort);
+  if (group) return groupTasks(visible, now);
+  return visible.length > 0 ? [{ key: 'all', title: null, data: visible }] : [];
+};
@@ -0,0 +1,205 @@
+import { load, getState, mutate } from './repository';
+import { generateId } from './id';
+import { assertNotArchived } from './semesters';
+
+/**
+ * Trash for deleted semesters, subjects and tasks
+ * Deleting moves an item into `store.trash` together with where it came from,
+ * so it can be put back in the same place until it is purged.
+ */
+
+// Entries older than this are purged automatically
+export const TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Suffix for restored semesters/subjects whose name has been reused meanwhile
+const RESTORED_SUFFIX = ' (restored)';
+
+/**
+ * Build a trash entry for a deleted item
+ * @param {string} kind - 'semester', 'subject' or 'task'
+ * @param {Object} item - The deleted item; semesters carry their subjects in `item.subjects`
+ * @param {Object} origin - { semesterId, semesterName, subjectId, subjectName, index }
+ * @returns {Object} Trash entry
+ */
+export const createTrashEntry = (kind, item, origin) => ({
+  id: generateId('trash'),
+  kind,
+  item,
+  deletedAt: new Date().toISOString(),
+  ...origin,
+});
+
+/**
+ * Days left before an entry is purged automatically
+ * @param {Object} entry - Trash entry
+ * @param {Date} now - Reference moment
+ * @returns {number} Whole days, at least 0
+ */
+export const getDaysUntilPurge = (entry, now = new Date()) => {
+  const age = now.getTime() - new Date(entry.deletedAt).getTime();
+  return Math.max(0, Math.ceil(TRASH_RETENTION_DAYS - age / DAY_MS));
+};
+
+/**
+ * Pick a name that isn't taken yet, e.g. "Physics (restored)", "Physics (restored 2)"
+ */
+const uniqueName = (name, takenNames) => {
+  if (!takenNames.includes(name)) return name;
+  let candidate = `${name}${RESTORED_SUFFIX}`;
+  let counter = 2;
+  while (takenNames.includes(candidate)) {
+    candidate = `${name} (restored ${counter})`;
+    counter++;
+  }
+  return candidate;
+};
+
+/**
+ * Add the ids of subjects and their tasks to a set
+ */
+const addSubjectIds = (ids, subjects) => {
+  subjects.forEach((subject) => {
+    ids.add(subject.id);
+    subject.tasks.forEach(task => ids.add(task.id));
+  });
+};
+
+/**
+ * Collect every semester, subject and task id in a store draft
+ * @param {Object} store - Store draft
+ * @param {Object} options - { includeTrash } also counts the items waiting in the trash,
+ *   which keep their ids and may be restored later
+ * @returns {Set<string>} Ids in use
+ */
+export const collectIds = (store, { includeTrash = false } = {}) => {
+  const ids = new Set(store.semesters.map(s => s.id));
+  Object.entries(store.data).forEach(([semesterId, subjects]) => {
+    ids.add(semesterId);
+    addSubjectIds(ids, Object.values(subjects));
+  });
+  if (includeTrash) {
+    store.trash.forEach((entry) => {
+      ids.add(entry.item.id);
+      if (entry.kind === 'semester') addSubjectIds(ids, Object.values(entry.item.subjects || {}));
+      if (entry.kind === 'subject') addSubjectIds(ids, [entry.item]);
+    });
+  }
+  return ids;
+};
+
+/**
+ * Keep an id unless something else took it while the item was in the trash
+ */
+const freeId = (id, prefix, usedIds) => {
+  const next = usedIds.has(id) ? generateId(prefix) : id;
+  usedIds.add(next);
+  return next;
+};
+
+/**
+ * Give a restored subject and its tasks fresh ids where theirs are taken
+ */
+const withFreeIds = (subject, usedIds) => ({
+  ...subject,
+  id: freeId(subject.id, 'sub', usedIds),
+  tasks: subject.tasks.map(task => ({ ...task, id: freeId(task.id, 'task', usedIds) })),
+});
+
+/**
+ * Insert an item back at its old position, clamped to the current length
+ */
+const insertAt = (list, index, item) => {
+  const position = Number.isInteger(index) ? Math.min(Math.max(index, 0), list.length) : list.length;
+  list.splice(position, 0, item);
+};
+
+/**
+ * Put a trash entry back where it was deleted from
+ * Ids taken meanwhile (e.g. by an imported backup) are replaced, so nothing is overwritten
+ * @param {Object} store - Store draft
+ * @param {Object} entry - Trash entry
+ * @throws {Error} If the semester or subject it belonged to no longer exists or is archived
+ */
+const restoreEntry = (store, entry) => {
+  const usedIds = collectIds(store);
+  if (entry.kind === 'semester') {
+    const { subjects, ...semester } = entry.item;
+    semester.id = freeId(semester.id, 'sem', usedIds);
+    semester.name = uniqueName(semester.name, store.semesters.map(s => s.name));
+    const semesterData = {};
+    Object.values(subjects || {}).forEach((subject) => {
+      const restored = withFreeIds(subject, usedIds);
+      semesterData[restored.id] = restored;
+    });
+    insertAt(store.semesters, entry.index, semester);
+    store.data[semester.id] = semesterData;
+    return;
+  }
+
+  const semesterData = store.data[entry.semesterId];
+  if (!semesterData) {
+    throw new Error(`Restore the semester "${entry.semesterName}" first`);
+  }
+  assertNotArchived(store.semesters.find(s => s.id === entry.semesterId));
+  if (entry.kind === 'subject') {
+    const subject = withFreeIds(entry.item, usedIds);
+    subject.name = uniqueName(subject.name, Object.values(semesterData).map(s => s.name));
+    semesterData[subject.id] = subject;
+    return;
+  }
+
+  const subject = semesterData[entry.subjectId];
+  if (!subject) {
+    throw new Error(`Restore the subject "${entry.subjectName}" first`);
+  }
+  insertAt(subject.tasks, entry.index, { ...entry.item, id: freeId(entry.item.id, 'task', usedIds) });
+};
+
+/**
+ * Restore a deleted item to its original location, e.g. from an Undo action
+ * @param {string} entryId - Id of the trash entry
+ * @throws {Error} If the item's semester or subject has been deleted as well
+ */
+export const restoreFromTrash = (entryId) => mutate((store) => {
+  const entry = store.trash.find(e => e.id === entryId);
+  if (!entry) return;
+  restoreEntry(store, entry);
+  store.trash = store.trash.filter(e => e.id !== entryId);
+});
+
+/**
+ * Delete a trash entry for good
+ * @param {string} entryId - Id of the trash entry
+ */
+export const purgeFromTrash = (entryId) => mutate((store) => {
+  store.trash = store.trash.filter(e => e.id !== entryId);
+});
+
+/**
+ * Delete everything in the trash for good
+ */
+export const emptyTrash = () => mutate((store) => {
+  store.trash = [];
+});
+
+/**
+ * Check whether an entry has been in the trash longer than the retention period
+ */
+const isExpired = (entry, now) => (
+  new Date(entry.deletedAt).getTime() <= now.getTime() - TRASH_RETENTION_DAYS * DAY_MS
+);
+
+/**
+ * Purge entries that have been in the trash longer than the retention period
+ * Runs on every launch, so nothing is written unless an entry has actually expired
+ * @param {Date} now - Reference moment
+ */
+export const purgeExpiredTrash = async (now = new Date()) => {
+  await load();
+  if (!getState().trash.some(entry => isExpired(entry, now))) return;
+  await mutate((store) => {
+    store.trash = store.trash.filter(entry => !isExpired(entry, now));
+  });
+};